@@ -158,15 +158,16 @@ export async function getDriveClient() {
 
 /**
  * Validate configuration
+ * @param {object} options
+ * @param {boolean} options.sheets - Google Sheets storage is in use (STORAGE_DRIVER=sheets)
+ * @param {boolean} options.drive - Google Drive file storage is in use (FILE_STORAGE_DRIVER=drive)
  */
-export function validateConfig() {
+export function validateConfig({ sheets = true, drive = true } = {}) {
   const required = [
-    'GOOGLE_SHEETS_PROPERTIES_ID',
-    'GOOGLE_SHEETS_REPORTS_ID',
-    'GOOGLE_DRIVE_FOLDER_ID',
-    'GOOGLE_CLIENT_ID',
-    'GOOGLE_CLIENT_SECRET',
-    'GOOGLE_REDIRECT_URI',
+    ...(sheets ? ['GOOGLE_SHEETS_PROPERTIES_ID', 'GOOGLE_SHEETS_REPORTS_ID'] : []),
+    ...(drive
+      ? ['GOOGLE_DRIVE_FOLDER_ID', 'GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET', 'GOOGLE_REDIRECT_URI']
+      : []),
   ];
 
   const missing = required.filter((key) => !process.env[key]);
@@ -181,14 +182,14 @@ export function validateConfig() {
   const keyPath =
     process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH || './google-credentials.json';
 
-  if (!hasEnvJson && !fs.existsSync(keyPath)) {
+  if (sheets && !hasEnvJson && !fs.existsSync(keyPath)) {
     console.warn(
       '⚠️  Warning: No service account credentials found. Sheets access will fail.'
     );
   }
 
   const tokenPath = process.env.OAUTH_TOKEN_PATH || './oauth-tokens.json';
-  if (!fs.existsSync(tokenPath)) {
+  if (drive && !fs.existsSync(tokenPath)) {
     console.warn(
       '⚠️  Warning: oauth-tokens.json not found. Drive access will fail until you authenticate.'
     );
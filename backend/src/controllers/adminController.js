@@ -0,0 +1,62 @@
+import crypto from 'crypto';
+import * as propertiesService from '../services/propertiesService.js';
+
+/**
+ * Admin endpoints (/api/admin/*)
+ * Protected by ADMIN_TOKEN, sent as "Authorization: Bearer <token>" or "X-Admin-Token: <token>".
+ * Without ADMIN_TOKEN set they are disabled.
+ */
+
+function sameToken(a, b) {
+  const hash = (v) => crypto.createHash('sha256').update(String(v)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+/**
+ * Middleware: reject requests without the admin token
+ */
+export function requireAdmin(req, res, next) {
+  const expected = (process.env.ADMIN_TOKEN || '').trim();
+  if (!expected) {
+    return res.status(403).json({
+      error: 'Admin endpoints disabled',
+      message: 'Set ADMIN_TOKEN on the server to enable them',
+    });
+  }
+
+  const auth = req.get('Authorization') || '';
+  const provided = (auth.startsWith('Bearer ') ? auth.slice(7) : req.get('X-Admin-Token') || '').trim();
+
+  if (!provided || !sameToken(provided, expected)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Missing or invalid admin token',
+    });
+  }
+
+  return next();
+}
+
+/**
+ * Re-read the property catalogue from storage (drops the cache)
+ * POST /api/admin/properties/reload
+ */
+export async function reloadPropertiesHandler(req, res) {
+  try {
+    const result = await propertiesService.reloadProperties();
+
+    console.log(`🔄 Property catalogue reloaded: ${result.count} properties (version ${result.version})`);
+
+    return res.json({
+      success: true,
+      ...result,
+      message: 'Property catalogue reloaded',
+    });
+  } catch (error) {
+    console.error('Reload properties error:', error);
+    return res.status(500).json({
+      error: 'Failed to reload properties',
+      message: error?.message || 'Unknown error',
+    });
+  }
+}
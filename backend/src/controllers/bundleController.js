@@ -1,3 +1,4 @@
+import { pipeline } from 'stream/promises';
 import * as bundleService from '../services/bundleService.js';
 
 export async function generateBundleHandler(req, res, next) {
@@ -26,7 +27,7 @@ export async function generateBundleHandler(req, res, next) {
     const pdfHtml = req.body?.pdfHtml || '';
     const pdfFileName = req.body?.pdfFileName || '';
 
-    const { zipBuffer, zipFileName } = await bundleService.generateZipBundle({
+    const { zipStream, zipFileName } = await bundleService.generateZipBundle({
       report,
       files,
       pdfHtml,
@@ -35,9 +36,13 @@ export async function generateBundleHandler(req, res, next) {
 
     res.setHeader('Content-Type', 'application/zip');
     res.setHeader('Content-Disposition', `attachment; filename="${zipFileName}"`);
-    res.status(200).send(zipBuffer);
+    res.status(200);
+    await pipeline(zipStream, res);
   } catch (error) {
     console.error('Bundle generation error:', error);
+
+    // The ZIP was already partly sent: the client sees an interrupted download
+    if (res.headersSent) return;
     res.status(500).json({
       success: false,
       message: 'Failed to generate bundle',
@@ -0,0 +1,54 @@
+import * as localFiles from '../storage/localFiles.js';
+import { getFileStorageDriverName } from '../storage/files.js';
+
+/**
+ * Serve a file stored by the local file storage driver
+ * GET /files/:id?sig=<signature>[&download=1]
+ *
+ * Only available with FILE_STORAGE_DRIVER=local. The signature is part of every
+ * URL returned by uploads/exports, so links keep working in <img> tags and the PDF.
+ */
+export async function getFileHandler(req, res) {
+  try {
+    if (getFileStorageDriverName() !== 'local') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'File serving is only available with FILE_STORAGE_DRIVER=local',
+      });
+    }
+
+    const { id } = req.params;
+
+    if (!localFiles.verifyFileSignature(id, req.query.sig)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Missing or invalid file signature',
+      });
+    }
+
+    const filePath = await localFiles.resolveFilePath(id);
+    const meta = await localFiles.getFileMeta(id);
+
+    res.setHeader('Content-Type', meta.mimeType);
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+
+    if (req.query.download) {
+      return res.download(filePath, meta.name);
+    }
+
+    res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(meta.name)}`);
+    return res.sendFile(filePath);
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({
+        error: 'File not found',
+      });
+    }
+
+    console.error('Get file error:', error);
+    return res.status(500).json({
+      error: 'Failed to read file',
+      message: error?.message || 'Unknown error',
+    });
+  }
+}
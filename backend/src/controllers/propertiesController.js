@@ -1,13 +1,42 @@
 import * as propertiesService from '../services/propertiesService.js';
+import * as propertyImportService from '../services/propertyImportService.js';
+import * as propertyExportService from '../services/propertyExportService.js';
+import { readUploadedFile } from '../services/tempUploads.js';
+
+/**
+ * Tag the response with the catalogue version; true when the client's copy is current (304 sent)
+ */
+async function sendNotModified(req, res) {
+  const { version } = await propertiesService.getCatalogue();
+  res.set('ETag', `"${version}"`);
+  res.set('Cache-Control', 'no-cache');
+
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+}
 
 /**
  * Search properties
- * GET /api/properties?search=<query>
+ * GET /api/properties?search=<query>&limit=20
  */
 export async function searchPropertiesHandler(req, res) {
   try {
     const searchQuery = String(req.query.search || '').trim();
 
+    let limit = propertiesService.getDefaultSearchLimit();
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1 || limit > propertiesService.MAX_SEARCH_LIMIT) {
+        return res.status(400).json({
+          error: 'Invalid query',
+          message: `limit must be between 1 and ${propertiesService.MAX_SEARCH_LIMIT}`,
+        });
+      }
+    }
+
     if (!searchQuery) {
       return res.json({
         properties: [],
@@ -15,13 +44,15 @@ export async function searchPropertiesHandler(req, res) {
       });
     }
 
-    const properties = await propertiesService.searchProperties(searchQuery);
+    if (await sendNotModified(req, res)) return;
 
-    console.log(`🔍 Search: "${searchQuery}" - Found ${properties.length} properties`);
+    const { properties, total } = await propertiesService.searchProperties(searchQuery, { limit });
+
+    console.log(`🔍 Search: "${searchQuery}" - Found ${total} properties, returning ${properties.length}`);
 
     return res.json({
       properties,
-      total: properties.length,
+      total,
     });
   } catch (error) {
     console.error('Search error:', error);
@@ -32,6 +63,68 @@ export async function searchPropertiesHandler(req, res) {
   }
 }
 
+function parseNumberParam(value, min, max) {
+  const n = Number(String(value ?? '').trim());
+  return String(value ?? '').trim() && Number.isFinite(n) && n >= min && n <= max ? n : null;
+}
+
+/**
+ * Properties around a GPS position, nearest first (each with `distance` in metres)
+ * GET /api/properties/nearby?lat=26.2285&lng=50.586&radius=1000&limit=20
+ */
+export async function nearbyPropertiesHandler(req, res) {
+  try {
+    const lat = parseNumberParam(req.query.lat, -90, 90);
+    const lng = parseNumberParam(req.query.lng, -180, 180);
+    if (lat === null || lng === null) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        message: 'lat and lng are required (decimal degrees)',
+      });
+    }
+
+    const radius =
+      req.query.radius === undefined
+        ? propertiesService.DEFAULT_NEARBY_RADIUS
+        : parseNumberParam(req.query.radius, 1, propertiesService.MAX_NEARBY_RADIUS);
+    if (radius === null) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        message: `radius must be between 1 and ${propertiesService.MAX_NEARBY_RADIUS} metres`,
+      });
+    }
+
+    let limit = propertiesService.getDefaultSearchLimit();
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1 || limit > propertiesService.MAX_SEARCH_LIMIT) {
+        return res.status(400).json({
+          error: 'Invalid query',
+          message: `limit must be between 1 and ${propertiesService.MAX_SEARCH_LIMIT}`,
+        });
+      }
+    }
+
+    if (await sendNotModified(req, res)) return;
+
+    const { properties, total } = await propertiesService.findNearbyProperties({ lat, lng }, { radius, limit });
+
+    console.log(`📍 Nearby: ${lat},${lng} within ${radius}m - Found ${total}, returning ${properties.length}`);
+
+    return res.json({
+      properties,
+      total,
+      radius,
+    });
+  } catch (error) {
+    console.error('Nearby properties error:', error);
+    return res.status(500).json({
+      error: 'Failed to find nearby properties',
+      message: error?.message || 'Unknown error',
+    });
+  }
+}
+
 /**
  * Add a new property
  * POST /api/properties
@@ -49,6 +142,23 @@ export async function addPropertyHandler(req, res) {
     });
   } catch (error) {
     console.error('Add property error:', error);
+
+    if (error?.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid property',
+        message: error.message,
+        code: error.code,
+      });
+    }
+
+    if (error?.status === 409) {
+      return res.status(409).json({
+        error: 'Property conflict',
+        message: error.message,
+        code: error.code,
+      });
+    }
+
     return res.status(500).json({
       error: 'Failed to add property',
       message: error?.message || 'Unknown error',
@@ -56,6 +166,143 @@ export async function addPropertyHandler(req, res) {
   }
 }
 
+function isTrue(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+/**
+ * Bulk create / update properties from a CSV or XLSX file (upsert by code)
+ * POST /api/properties/import (multipart/form-data: file, mapping?, dryRun?, skipInvalid?)
+ * Options may also be sent in the query string; mapping is JSON { field: header }.
+ */
+export async function importPropertiesHandler(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: 'Send the CSV or XLSX file in the "file" field',
+      });
+    }
+
+    const options = { ...req.query, ...(req.body || {}) };
+
+    let mapping = {};
+    if (options.mapping) {
+      try {
+        mapping = typeof options.mapping === 'string' ? JSON.parse(options.mapping) : options.mapping;
+      } catch {
+        mapping = null;
+      }
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return res.status(400).json({
+          error: 'Invalid import',
+          message: 'mapping must be a JSON object of { field: column header }',
+          code: 'INVALID_IMPORT_MAPPING',
+        });
+      }
+    }
+
+    const result = await propertyImportService.importProperties(await readUploadedFile(req.file), {
+      mapping,
+      dryRun: isTrue(options.dryRun),
+      skipInvalid: isTrue(options.skipInvalid),
+    });
+
+    console.log(
+      `📥 Import ${req.file.originalname}${result.dryRun ? ' (dry run)' : ''}: ` +
+        `${result.total} rows, ${result.errors.length} errors`
+    );
+
+    return res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    console.error('Import properties error:', error);
+
+    if (error?.status === 422 || error?.code === 'IMPORT_CONFLICT') {
+      return res.status(error.status).json({
+        success: false,
+        error: error.status === 422 ? 'Import validation failed' : 'Import conflict',
+        message: error.message,
+        code: error.code,
+        ...error.result,
+      });
+    }
+
+    if (error?.status === 400 || error?.status === 409) {
+      return res.status(error.status).json({
+        error: error.status === 409 ? 'Property conflict' : 'Invalid import',
+        message: error.message,
+        code: error.code,
+      });
+    }
+
+    return res.status(500).json({
+      error: 'Failed to import properties',
+      message: error?.message || 'Unknown error',
+    });
+  }
+}
+
+/**
+ * Download the catalogue
+ * GET /api/properties/export?format=csv|xlsx|geojson&includeArchived=false
+ */
+export async function exportPropertiesHandler(req, res) {
+  try {
+    const format = String(req.query.format || 'csv').trim().toLowerCase();
+    if (!propertyExportService.EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        message: `format must be one of: ${Object.keys(propertyExportService.EXPORT_FORMATS).join(', ')}`,
+      });
+    }
+
+    if (await sendNotModified(req, res)) return;
+
+    const { body, contentType, fileName, count, located } = await propertyExportService.exportProperties(format, {
+      includeArchived: isTrue(req.query.includeArchived),
+    });
+
+    console.log(
+      `📤 Property export: ${format}, ${count} properties` + (located !== undefined ? `, ${located} located` : '')
+    );
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', String(body.length));
+    return res.send(body);
+  } catch (error) {
+    console.error('Export properties error:', error);
+    return res.status(500).json({
+      error: 'Failed to export properties',
+      message: error?.message || 'Unknown error',
+    });
+  }
+}
+
+/**
+ * Code a new property would get (PROPERTY_CODE_FORMAT), shown by the add-property form
+ * GET /api/properties/next-code?governorate=<name>
+ */
+export async function nextPropertyCodeHandler(req, res) {
+  try {
+    const { code, format } = await propertiesService.previewPropertyCode(String(req.query.governorate || ''));
+
+    return res.json({
+      code,
+      format,
+    });
+  } catch (error) {
+    console.error('Next property code error:', error);
+    return res.status(500).json({
+      error: 'Failed to get next property code',
+      message: error?.message || 'Unknown error',
+    });
+  }
+}
+
 /**
  * Get property by ID
  * GET /api/properties/:id
@@ -70,6 +317,8 @@ export async function getPropertyHandler(req, res) {
       });
     }
 
+    if (await sendNotModified(req, res)) return;
+
     const property = await propertiesService.getPropertyById(id);
 
     if (!property) {
@@ -87,3 +336,77 @@ export async function getPropertyHandler(req, res) {
     });
   }
 }
+
+/**
+ * Update catalogue fields of a property (fields not sent are kept; code cannot change)
+ * PUT /api/properties/:id
+ */
+export async function updatePropertyHandler(req, res) {
+  try {
+    const body = req.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return res.status(400).json({
+        error: 'Invalid property',
+        message: 'Request body must be a JSON object',
+      });
+    }
+
+    const result = await propertiesService.updateProperty(req.params.id, body);
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Property not found',
+      });
+    }
+
+    return res.json({
+      success: true,
+      property: result.property,
+      changedFields: result.changedFields,
+      message: result.changedFields.length ? 'Property updated successfully' : 'No changes',
+    });
+  } catch (error) {
+    console.error('Update property error:', error);
+
+    if (error?.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid property',
+        message: error.message,
+        code: error.code,
+      });
+    }
+
+    return res.status(500).json({
+      error: 'Failed to update property',
+      message: error?.message || 'Unknown error',
+    });
+  }
+}
+
+/**
+ * Archive a property: hidden from search, still returned by GET /api/properties/:id
+ * DELETE /api/properties/:id
+ */
+export async function archivePropertyHandler(req, res) {
+  try {
+    const result = await propertiesService.archiveProperty(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Property not found',
+      });
+    }
+
+    return res.json({
+      success: true,
+      property: result.property,
+      message: result.alreadyArchived ? 'Property was already archived' : 'Property archived',
+    });
+  } catch (error) {
+    console.error('Archive property error:', error);
+    return res.status(500).json({
+      error: 'Failed to archive property',
+      message: error?.message || 'Unknown error',
+    });
+  }
+}
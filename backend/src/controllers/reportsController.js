@@ -1,5 +1,10 @@
 import * as reportsService from '../services/reportsService.js';
 import * as exportsService from '../services/exportsService.js';
+import * as reportHistoryService from '../services/reportHistoryService.js';
+import * as idempotencyService from '../services/idempotencyService.js';
+import * as reportSearchService from '../services/reportSearchService.js';
+import * as propertiesService from '../services/propertiesService.js';
+import { locationLinkError } from '../services/locationLinks.js';
 
 function safeMsg(err) {
   if (!err) return 'Unknown error';
@@ -13,71 +18,286 @@ function safeDetails(err) {
   return err?.response?.data || err?.errors || err?.stack || undefined;
 }
 
+/**
+ * Validation shared by submit and edit
+ * Returns an error message, or null when the report is valid.
+ */
+function validateReportPayload(report) {
+  if (!report?.propertyId || !report?.propertyCode) {
+    return 'Property information is required';
+  }
+
+  if (!report?.visitType) {
+    return 'Visit type is required';
+  }
+
+  if (report.visitType === 'complaint' && !report?.complaint) {
+    return 'Complaint is required for complaint visits';
+  }
+
+  const locationError = locationLinkError(report.locationLink);
+  if (locationError) {
+    return locationError;
+  }
+
+  return null;
+}
+
+/**
+ * Best-effort catalogue update after a submit: the report is already saved,
+ * so a failure is reported in the response instead of failing the request
+ */
+async function applyPropertyEditsSafely(report) {
+  try {
+    const { property, changedFields } = await propertiesService.applyReportPropertyEdits(report);
+    return { propertyId: property.id, changedFields };
+  } catch (error) {
+    console.warn(`⚠️  Could not apply property edits for ${report.propertyCode}:`, safeMsg(error));
+    return { error: safeMsg(error) };
+  }
+}
+
 /**
  * Submit a new report
  * POST /api/reports
+ * Optional "Idempotency-Key" header: a replay returns the first reportId instead of saving again
+ * Optional body flag "applyPropertyEdits": true updates the property catalogue from the report
  */
 export async function submitReportHandler(req, res) {
   try {
-    const report = req.body;
+    // applyPropertyEdits: also copy the property details of the report to the catalogue
+    const { applyPropertyEdits, ...report } = req.body || {};
 
-    if (!report?.propertyId || !report?.propertyCode) {
+    const validationError = validateReportPayload(report);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        message: 'Property information is required',
+        message: validationError,
       });
     }
 
-    if (!report?.visitType) {
-      return res.status(400).json({
+    const idempotencyKey = idempotencyService.getIdempotencyKey(req);
+
+    const { result, replayed } = await idempotencyService.runOnce(
+      'reports',
+      idempotencyKey,
+      idempotencyService.fingerprint(req.body),
+      async () => {
+        const saved = await reportsService.saveReport(report);
+        const result = {
+          reportId: saved.reportId,
+          locationCheck: saved.locationCheck,
+          photosBeforeVisit: saved.photosBeforeVisit,
+          duplicatePhotos: saved.duplicatePhotos,
+        };
+        if (applyPropertyEdits === true) result.propertyUpdate = await applyPropertyEditsSafely(report);
+        return result;
+      }
+    );
+
+    if (replayed) {
+      console.log(`↩️  Report submission replayed for Idempotency-Key ${idempotencyKey}: ${result.reportId}`);
+      res.set('Idempotent-Replayed', 'true');
+    }
+
+    return res.json({
+      success: true,
+      reportId: result?.reportId,
+      message: 'Report submitted successfully',
+      exportsEndpoint: result?.reportId ? `/api/reports/${result.reportId}/exports` : undefined,
+      propertyUpdate: result?.propertyUpdate,
+      locationCheck: result?.locationCheck,
+      photosBeforeVisit: result?.photosBeforeVisit,
+      duplicatePhotos: result?.duplicatePhotos,
+    });
+  } catch (error) {
+    const msg = safeMsg(error);
+    console.error('Submit report error (full):', error);
+
+    if (error?.code === 'INVALID_IDEMPOTENCY_KEY' || error?.code === 'IDEMPOTENCY_KEY_REUSED') {
+      return res.status(error.status).json({
         success: false,
-        message: 'Visit type is required',
+        message: msg,
+        code: error.code,
       });
     }
 
-    if (report.visitType === 'complaint' && !report?.complaint) {
+    if (error?.code === 'REPORT_ID_CONFLICT') {
+      return res.status(409).json({
+        success: false,
+        message: 'Report ID conflict, please submit again',
+        error: msg,
+        code: error.code,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to submit report',
+      error: msg,
+      details: safeDetails(error),
+    });
+  }
+}
+
+/**
+ * Edit and resubmit an existing report
+ * PUT /api/reports/:id   (full report, same body as POST /api/reports)
+ * PATCH /api/reports/:id (only the fields to change)
+ */
+export async function updateReportHandler(req, res) {
+  try {
+    const { id } = req.params;
+
+    const existing = await reportsService.getReportById(id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
+    }
+
+    // editedBy is who made the change (kept in the report history, not in the report)
+    const { editedBy, ...body } = req.body || {};
+    const report = req.method === 'PATCH' ? reportsService.mergeReportPatch(existing, body) : body;
+
+    const validationError = validateReportPayload(report);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        message: 'Complaint is required for complaint visits',
+        message: validationError,
       });
     }
 
-    const result = await reportsService.saveReport(report);
+    const result = await reportsService.updateReport(existing, report, { editedBy });
+
+    // Previously generated PDF/ZIP no longer match the report (best-effort)
+    let exportsInvalidated = 0;
+    try {
+      const { trashed } = await exportsService.invalidateExports(existing);
+      exportsInvalidated = trashed;
+    } catch (error) {
+      console.warn(`⚠️  Could not invalidate exports for ${id}:`, safeMsg(error));
+    }
 
     return res.json({
       success: true,
-      reportId: result?.reportId,
-      message: 'Report submitted successfully',
-      exportsEndpoint: result?.reportId ? `/api/reports/${result.reportId}/exports` : undefined,
+      reportId: id,
+      message: 'Report updated successfully',
+      revision: result.revision,
+      duplicatePhotos: result.duplicatePhotos,
+      exportsInvalidated,
+      exportsEndpoint: `/api/reports/${id}/exports`,
     });
   } catch (error) {
     const msg = safeMsg(error);
-    console.error('Submit report error (full):', error);
+    console.error('Update report error (full):', error);
 
     return res.status(500).json({
       success: false,
-      message: 'Failed to submit report',
+      message: 'Failed to update report',
       error: msg,
       details: safeDetails(error),
     });
   }
 }
 
+const DEFAULT_REPORTS_LIMIT = 50;
+const MAX_REPORTS_LIMIT = 500;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function queryList(value) {
+  return String(value ?? '')
+    .split(',')
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
 /**
- * Get all reports
- * GET /api/reports
+ * Parse GET /api/reports query parameters
+ * Returns { filters, options } or { error } with a message for a 400.
+ */
+function parseReportsQuery(query) {
+  const filters = {
+    propertyCode: queryList(query.propertyCode),
+    visitType: queryList(query.visitType),
+    inspectorName: queryList(query.inspectorName),
+    governorate: queryList(query.governorate),
+    area: queryList(query.area),
+    propertyType: queryList(query.propertyType),
+    q: String(query.q ?? '').trim().toLowerCase(),
+  };
+
+  for (const field of ['from', 'to']) {
+    if (query[field] === undefined || query[field] === '') continue;
+    if (!DATE_PATTERN.test(String(query[field]))) {
+      return { error: `${field} must be a date in YYYY-MM-DD format` };
+    }
+    filters[field] = String(query[field]);
+  }
+
+  if (query.hasComplaint !== undefined && query.hasComplaint !== '') {
+    const value = String(query.hasComplaint).toLowerCase();
+    if (!['true', 'false', '1', '0'].includes(value)) {
+      return { error: 'hasComplaint must be true or false' };
+    }
+    filters.hasComplaint = value === 'true' || value === '1';
+  }
+
+  if (query.locationFlagged !== undefined && query.locationFlagged !== '') {
+    const value = String(query.locationFlagged).toLowerCase();
+    if (!['true', 'false', '1', '0'].includes(value)) {
+      return { error: 'locationFlagged must be true or false' };
+    }
+    filters.locationFlagged = value === 'true' || value === '1';
+  }
+
+  const sort = query.sort ? String(query.sort) : 'submitDate';
+  if (!reportsService.REPORT_SORT_FIELDS[sort]) {
+    return { error: `sort must be one of: ${Object.keys(reportsService.REPORT_SORT_FIELDS).join(', ')}` };
+  }
+
+  const order = query.order ? String(query.order).toLowerCase() : 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_REPORTS_LIMIT : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_REPORTS_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_REPORTS_LIMIT}` };
+  }
+
+  let cursor;
+  if (query.cursor) {
+    cursor = reportsService.decodeReportsCursor(query.cursor);
+    if (!cursor) return { error: 'Invalid cursor' };
+  }
+
+  return { filters, options: { sort, order, limit, cursor } };
+}
+
+/**
+ * List reports with filters, sorting and cursor pagination
+ * GET /api/reports?from=&to=&visitType=&inspectorName=&governorate=&area=&propertyType=
+ *                 &propertyCode=&hasComplaint=&q=&sort=&order=&limit=&cursor=
  */
 export async function getReportsHandler(req, res) {
   try {
-    const { propertyCode } = req.query;
+    const parsed = parseReportsQuery(req.query);
+    if (parsed.error) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        message: parsed.error,
+      });
+    }
 
-    const reports = propertyCode
-      ? await reportsService.getReportsByPropertyCode(propertyCode)
-      : await reportsService.getAllReports();
+    const { reports, total, nextCursor } = await reportsService.queryReports(parsed.filters, parsed.options);
 
     return res.json({
       reports,
-      total: reports.length,
+      total,
+      limit: parsed.options.limit,
+      nextCursor,
     });
   } catch (error) {
     const msg = safeMsg(error);
@@ -91,6 +311,55 @@ export async function getReportsHandler(req, res) {
   }
 }
 
+/**
+ * Full-text search in complaints, findings, actions and notes (Arabic-aware)
+ * GET /api/reports/search?q=<text>&limit=20
+ */
+export async function searchReportsHandler(req, res) {
+  try {
+    const q = String(req.query.q ?? '').trim();
+    if (!q) {
+      return res.status(400).json({
+        error: 'Search query required',
+        message: 'Provide the q query parameter',
+      });
+    }
+
+    const limit = req.query.limit === undefined ? 20 : parseInt(req.query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        message: 'limit must be between 1 and 100',
+      });
+    }
+
+    const { total, results } = await reportSearchService.searchReports(q, { limit });
+
+    return res.json({
+      query: q,
+      total,
+      results,
+    });
+  } catch (error) {
+    if (error?.code === 'TOO_MANY_SEARCH_WORDS') {
+      return res.status(error.status).json({
+        error: 'Invalid query',
+        message: error.message,
+        code: error.code,
+      });
+    }
+
+    const msg = safeMsg(error);
+    console.error('Search reports error (full):', error);
+
+    return res.status(500).json({
+      error: 'Failed to search reports',
+      message: msg,
+      details: safeDetails(error),
+    });
+  }
+}
+
 /**
  * Get a single report by ID
  * GET /api/reports/:id
@@ -120,9 +389,47 @@ export async function getReportHandler(req, res) {
   }
 }
 
+/**
+ * Revision history with field-level diffs
+ * GET /api/reports/:id/history
+ */
+export async function getReportHistoryHandler(req, res) {
+  try {
+    const { id } = req.params;
+
+    const report = await reportsService.getReportById(id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
+    }
+
+    const revisions = await reportHistoryService.getReportHistory(report);
+
+    return res.json({
+      success: true,
+      reportId: id,
+      currentRevision: revisions[revisions.length - 1]?.revision || 0,
+      revisions,
+    });
+  } catch (error) {
+    const msg = safeMsg(error);
+    console.error('Get report history error (full):', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch report history',
+      error: msg,
+      details: safeDetails(error),
+    });
+  }
+}
+
 /**
  * Generate exports (PDF + ZIP) and upload to Drive
  * POST /api/reports/:id/exports
+ * Optional: ?revisionFooter=1 (or { "revisionFooter": true }) prints "Revision N" on every PDF page
  */
 export async function generateExportsHandler(req, res) {
   try {
@@ -136,7 +443,11 @@ export async function generateExportsHandler(req, res) {
       });
     }
 
-    const exportsResult = await exportsService.generateAndUploadExports(report);
+    const wantsRevisionFooter =
+      ['1', 'true'].includes(String(req.query.revisionFooter)) || req.body?.revisionFooter === true;
+    const revision = wantsRevisionFooter ? await reportHistoryService.getCurrentRevision(report) : undefined;
+
+    const exportsResult = await exportsService.generateAndUploadExports(report, { revision });
 
     return res.json({
       success: true,
@@ -1,8 +1,117 @@
 import * as driveService from '../services/driveService.js';
+import * as idempotencyService from '../services/idempotencyService.js';
+import * as reportsService from '../services/reportsService.js';
+import { extractExif } from '../services/exifMetadata.js';
+import { validateFileContent } from '../services/fileTypes.js';
+import { processImage } from '../services/imageProcessing.js';
+import { findDuplicatePhoto, perceptualHash, sanitizePhotoHashes } from '../services/photoHashes.js';
+import { readUploadedFile, readUploadedFileSample, uploadedFileStream } from '../services/tempUploads.js';
+import * as localFiles from '../storage/localFiles.js';
+import { getFileStorageDriverName } from '../storage/files.js';
+
+/**
+ * Check the content of uploaded files (magic bytes) before any upload handler
+ * Sets each file's `fileType` ({ id, kind, mimeType }) and replaces a generic declared type
+ * (application/octet-stream) with the detected one; errors go to the error middleware in server.js.
+ */
+export async function checkUploadedFileTypes(req, res, next) {
+  const files = req.file ? [req.file] : req.files || [];
+  const subfolder = req.body.subfolder || 'الصور الرئيسية';
+
+  try {
+    for (const file of files) {
+      file.fileType = validateFileContent(file, subfolder, await readUploadedFileSample(file));
+      file.mimetype = file.fileType.mimeType;
+    }
+    next();
+  } catch (error) {
+    console.error(`❌ Rejected upload for "${subfolder}": ${error.message}`);
+    next(error);
+  }
+}
+
+/**
+ * What to store for an uploaded (temp) file: images are read, processed and kept in memory one at a time,
+ * other files are streamed from disk
+ */
+async function prepareUpload(file) {
+  if (file.fileType?.kind !== 'image') {
+    return {
+      content: uploadedFileStream(file),
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      thumbnail: null,
+      original: null,
+      exif: null,
+      perceptualHash: null,
+    };
+  }
+
+  const buffer = await readUploadedFile(file);
+  const { image, thumbnail, original } = await processImage(buffer, file.originalname, file.mimetype);
+  return {
+    content: image.buffer,
+    fileName: image.fileName,
+    mimeType: image.mimeType,
+    size: image.buffer.length,
+    thumbnail,
+    original,
+    exif: extractExif(buffer),
+    // From the stored image: sharp cannot read HEIC, the converted JPEG looks the same
+    perceptualHash: await perceptualHash(image.buffer),
+  };
+}
+
+// More photos than any report has; the rest of a longer list is ignored
+const MAX_DRAFT_PHOTOS = 500;
+
+/**
+ * Photos already uploaded for the report being filled in: form field `draftPhotos`, JSON
+ * [{ url, sha256, perceptualHash }] (malformed entries are ignored)
+ */
+function parseDraftPhotos(value) {
+  let photos = value;
+  try {
+    if (typeof value === 'string') photos = JSON.parse(value);
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(photos)) return [];
+
+  return photos
+    .slice(0, MAX_DRAFT_PHOTOS)
+    .map((photo) => ({ url: String(photo?.url || ''), ...sanitizePhotoHashes(photo) }))
+    .filter((photo) => photo.url && (photo.sha256 || photo.perceptualHash));
+}
+
+/**
+ * Photo an uploaded image duplicates (best-effort, null otherwise): one already uploaded for the same report
+ * (draftPhotos, reportId null), else one of an earlier report for the property
+ */
+async function findDuplicate(file, prepared, propertyCode, draftPhotos = []) {
+  if (file.fileType?.kind !== 'image') return null;
+  const hashes = { sha256: file.sha256, perceptualHash: prepared.perceptualHash };
+  try {
+    return (
+      findDuplicatePhoto(hashes, draftPhotos) || (await reportsService.findPreviousDuplicatePhoto(propertyCode, hashes))
+    );
+  } catch (error) {
+    console.warn(`⚠️  Could not check ${file.originalname} for duplicates:`, error.message);
+    return null;
+  }
+}
 
 /**
  * Upload a file to Google Drive
  * POST /api/upload
+ * Optional "Idempotency-Key" header: a retried upload returns the first file instead of a copy
+ * Images come back with their EXIF metadata (capture time, GPS, camera) in `exif`, null when absent,
+ * and are stored compressed with a thumbnail (see imageProcessing.js): `url` + `thumbnailUrl`.
+ * HEIC / HEIF photos are stored as JPEG; `originalUrl` is the .heic file when HEIC_KEEP_ORIGINAL=true
+ * `sha256` (bytes as uploaded) and, for images, `perceptualHash` are sent back with the report
+ * (see photoHashes.js); `duplicateOf` is set when the photo repeats one already uploaded for the same report
+ * (optional `draftPhotos` field, see parseDraftPhotos) or one of an earlier report for the property
  */
 export async function uploadFileHandler(req, res) {
   let uploadResult = null;
@@ -40,40 +149,85 @@ export async function uploadFileHandler(req, res) {
 
     const file = req.file;
 
-    // Backup validation in case multer fileFilter didn't see subfolder yet
-    const isImage = file.mimetype.startsWith('image/');
+    // Type and subfolder were checked on the content by checkUploadedFileTypes
     const targetSubfolder = subfolder || 'الصور الرئيسية';
 
-    // Report files folder allows images + documents; other folders images only
-    if (targetSubfolder !== 'ملفات البلاغ' && !isImage) {
-      console.error(`❌ Invalid file type for subfolder "${targetSubfolder}"`);
-      return res.status(400).json({
-        error: 'Invalid file type',
-        message: `Only image files are allowed for "${targetSubfolder}"`,
-        details: `You attempted to upload a ${file.mimetype} file to a photo folder. Use "ملفات البلاغ" subfolder for documents.`,
-        code: 'INVALID_FILE_TYPE_FOR_SUBFOLDER',
-      });
-    }
+    const idempotencyKey = idempotencyService.getIdempotencyKey(req);
+    const requestFingerprint = idempotencyService.fingerprint(file.sha256, {
+      name: file.originalname,
+      propertyCode,
+      propertyType,
+      endowedTo,
+      subfolder: targetSubfolder,
+    });
 
     console.log(`⏳ Uploading ${file.originalname} to Google Drive...`);
 
-    uploadResult = await driveService.uploadFile(
-      file.buffer,
-      file.originalname,
-      file.mimetype,
-      propertyCode,
-      propertyType || '',
-      endowedTo || '',
-      targetSubfolder
+    const { result, replayed } = await idempotencyService.runOnce(
+      'upload',
+      idempotencyKey,
+      requestFingerprint,
+      async () => {
+        const prepared = await prepareUpload(file);
+
+        const uploaded = await driveService.uploadFile(
+          prepared.content,
+          prepared.fileName,
+          prepared.mimeType,
+          propertyCode,
+          propertyType || '',
+          endowedTo || '',
+          targetSubfolder,
+          prepared.thumbnail,
+          prepared.original
+        );
+
+        return {
+          url: uploaded.url,
+          fileName: uploaded.fileName,
+          fileId: uploaded.fileId,
+          downloadUrl: uploaded.downloadUrl || null,
+          thumbnailUrl: uploaded.thumbnailUrl || null,
+          thumbnailFileId: uploaded.thumbnailFileId || null,
+          originalUrl: uploaded.originalUrl || null,
+          originalFileId: uploaded.originalFileId || null,
+          size: prepared.size,
+          originalSize: file.size,
+          exif: prepared.exif,
+          sha256: file.sha256,
+          perceptualHash: prepared.perceptualHash,
+          duplicateOf: await findDuplicate(file, prepared, propertyCode, parseDraftPhotos(req.body.draftPhotos)),
+        };
+      }
     );
+    uploadResult = result;
 
-    console.log(`✅ Upload successful: ${file.originalname} → ${uploadResult.fileName}`);
+    if (replayed) {
+      console.log(`↩️  Upload replayed for Idempotency-Key ${idempotencyKey}: ${uploadResult.fileName}`);
+      res.set('Idempotent-Replayed', 'true');
+    } else {
+      console.log(`✅ Upload successful: ${file.originalname} → ${uploadResult.fileName}`);
+    }
+    if (uploadResult.duplicateOf) {
+      const { reportId, match } = uploadResult.duplicateOf;
+      console.log(`   ⚠️  ${file.originalname} duplicates a photo of ${reportId || 'this report'} (${match})`);
+    }
 
     res.json({
       success: true,
       url: uploadResult.url,
       filename: uploadResult.fileName,
       fileId: uploadResult.fileId,
+      thumbnailUrl: uploadResult.thumbnailUrl ?? null,
+      thumbnailFileId: uploadResult.thumbnailFileId ?? null,
+      originalUrl: uploadResult.originalUrl ?? null,
+      originalFileId: uploadResult.originalFileId ?? null,
+      size: uploadResult.size,
+      originalSize: uploadResult.originalSize,
+      exif: uploadResult.exif ?? null,
+      sha256: uploadResult.sha256 ?? null,
+      perceptualHash: uploadResult.perceptualHash ?? null,
+      duplicateOf: uploadResult.duplicateOf ?? null,
       message: 'File uploaded successfully',
       // Keep these for future UI (optional)
       downloadUrl: uploadResult.downloadUrl || null,
@@ -82,6 +236,14 @@ export async function uploadFileHandler(req, res) {
     console.error('❌ Upload error:', error.message);
     console.error('   Error details:', error);
 
+    if (error.code === 'INVALID_IDEMPOTENCY_KEY' || error.code === 'IDEMPOTENCY_KEY_REUSED') {
+      return res.status(error.status).json({
+        error: 'Invalid Idempotency-Key',
+        message: error.message,
+        code: error.code,
+      });
+    }
+
     if (uploadResult) {
       console.log('⚠️  Note: File was uploaded successfully despite error');
       return res.status(500).json({
@@ -108,6 +270,7 @@ export async function uploadFileHandler(req, res) {
 /**
  * Upload multiple files
  * POST /api/upload/multiple
+ * `duplicateOf` as for POST /api/upload; a photo repeating an earlier file of the same request points to it
  */
 export async function uploadMultipleFilesHandler(req, res) {
   let uploadedFiles = [];
@@ -138,31 +301,52 @@ export async function uploadMultipleFilesHandler(req, res) {
 
     const targetSubfolder = subfolder || 'الصور الرئيسية';
 
-    if (targetSubfolder !== 'ملفات البلاغ') {
-      const nonImageFiles = req.files.filter((f) => !f.mimetype.startsWith('image/'));
-      if (nonImageFiles.length > 0) {
-        console.error(`❌ Invalid file types for subfolder "${targetSubfolder}"`);
-        return res.status(400).json({
-          error: 'Invalid file type',
-          message: `Only image files are allowed for "${targetSubfolder}"`,
-          details: `Found ${nonImageFiles.length} non-image file(s): ${nonImageFiles
-            .map((f) => f.originalname)
-            .join(', ')}. Use "ملفات البلاغ" subfolder for documents.`,
-          code: 'INVALID_FILE_TYPE_FOR_SUBFOLDER',
-          invalidFiles: nonImageFiles.map((f) => ({ name: f.originalname, type: f.mimetype })),
-        });
-      }
-    }
-
     console.log(`⏳ Uploading ${req.files.length} files to Google Drive...`);
 
+    const draftPhotos = parseDraftPhotos(req.body.draftPhotos);
+
+    // One at a time: decoding several large photos at once needs a lot of memory
+    const files = [];
+    for (const file of req.files) {
+      const prepared = await prepareUpload(file);
+      files.push({
+        originalname: prepared.fileName,
+        mimetype: prepared.mimeType,
+        ...(Buffer.isBuffer(prepared.content) ? { buffer: prepared.content } : { stream: prepared.content }),
+        thumbnail: prepared.thumbnail,
+        original: prepared.original,
+        size: prepared.size,
+        exif: prepared.exif,
+        perceptualHash: prepared.perceptualHash,
+        duplicateOf: await findDuplicate(file, prepared, propertyCode, draftPhotos),
+      });
+    }
+
     uploadedFiles = await driveService.uploadMultipleFiles(
-      req.files,
+      files,
       propertyCode,
       propertyType || '',
       endowedTo || '',
       targetSubfolder
     );
+    // URLs of the request's own files are only known now
+    const earlier = [];
+    uploadedFiles = uploadedFiles.map((uploaded, i) => {
+      const hashes = { sha256: req.files[i].sha256, perceptualHash: files[i].perceptualHash };
+      const inRequest = req.files[i].fileType?.kind === 'image' ? findDuplicatePhoto(hashes, earlier) : null;
+      if (req.files[i].fileType?.kind === 'image') earlier.push({ url: uploaded.url, ...hashes });
+
+      return {
+        ...uploaded,
+        thumbnailUrl: uploaded.thumbnailUrl ?? null,
+        originalUrl: uploaded.originalUrl ?? null,
+        size: files[i].size,
+        originalSize: req.files[i].size,
+        exif: files[i].exif,
+        ...hashes,
+        duplicateOf: files[i].duplicateOf || inRequest,
+      };
+    });
 
     console.log(`✅ Successfully uploaded ${uploadedFiles.length} files`);
 
@@ -197,3 +381,60 @@ export async function uploadMultipleFilesHandler(req, res) {
     });
   }
 }
+
+/**
+ * Move an uploaded file to the trash (a photo or complaint file removed from the form before the report is saved)
+ * DELETE /api/upload/:fileId[?sig=<signature>]
+ * A photo's thumbnail and kept HEIC original are separate files (thumbnailFileId / originalFileId).
+ * Local file IDs only encode a path, so they need the `sig` of the file's link as proof the caller uploaded it
+ * (403 INVALID_FILE_SIGNATURE); Drive IDs are random and only known from the upload response.
+ * Only files uploads created can be deleted (403 NOT_AN_UPLOAD for folders, exports and other Drive files);
+ * files a stored report links to are kept: 409 FILE_IN_REPORT.
+ */
+export async function deleteUploadedFileHandler(req, res) {
+  const { fileId } = req.params;
+
+  try {
+    if (!/^[A-Za-z0-9_-]{10,}$/.test(fileId)) {
+      return res.status(404).json({ error: 'File not found', message: `File not found: ${fileId}` });
+    }
+    if (getFileStorageDriverName() === 'local' && !localFiles.verifyFileSignature(fileId, req.query.sig)) {
+      console.warn(`⚠️  Refused to delete ${fileId}: missing or invalid signature`);
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Missing or invalid file signature',
+        code: 'INVALID_FILE_SIGNATURE',
+      });
+    }
+
+    const location = await driveService.getUploadedFileLocation(fileId);
+    const reportId = await reportsService.findReportUsingFile(fileId, location.propertyFolder);
+    if (reportId) {
+      console.warn(`⚠️  Not deleting ${fileId}: used by report ${reportId}`);
+      return res.status(409).json({
+        error: 'File in use',
+        message: `The file is part of report ${reportId}; remove it from the report instead`,
+        code: 'FILE_IN_REPORT',
+        reportId,
+      });
+    }
+
+    await driveService.trashUploadedFile(fileId);
+    res.json({ success: true, fileId, message: 'File moved to trash' });
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'File not found', message: error.message });
+    }
+    if (error.code === 'NOT_AN_UPLOAD') {
+      console.warn(`⚠️  Refused to delete ${fileId}: not an uploaded file`);
+      return res.status(403).json({ error: 'Forbidden', message: error.message, code: error.code });
+    }
+
+    console.error('❌ Delete upload error:', error.message);
+    res.status(500).json({
+      error: 'Delete failed',
+      message: error.message,
+      details: 'The file could not be moved to the trash. Please try again.',
+    });
+  }
+}
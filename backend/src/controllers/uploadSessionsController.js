@@ -0,0 +1,95 @@
+import * as uploadSessions from '../services/uploadSessions.js';
+
+/**
+ * Resumable uploads (see services/uploadSessions.js)
+ * POST   /api/upload/sessions                      → start: { fileName, mimeType, size, propertyCode, ... }
+ * GET    /api/upload/sessions/:uploadId            → { offset, size, ... } to resume
+ * PUT    /api/upload/sessions/:uploadId?offset=N   → raw bytes of the next chunk
+ * POST   /api/upload/sessions/:uploadId/complete   → stores the file like POST /api/upload
+ * DELETE /api/upload/sessions/:uploadId            → abandon the upload
+ */
+
+function sendSessionError(res, error, label) {
+  console.error(`❌ ${label}:`, error.message);
+  const status = error.status || 500;
+  return res.status(status).json({
+    error: status >= 500 ? 'Upload session error' : 'Invalid upload session request',
+    message: error.message,
+    code: error.code,
+    ...(error.offset !== undefined && { offset: error.offset }),
+  });
+}
+
+export async function createUploadSessionHandler(req, res) {
+  try {
+    const session = await uploadSessions.createUploadSession(req.body || {});
+    console.log(`📥 Resumable upload started: ${session.fileName} (${session.size} bytes) → ${session.uploadId}`);
+    res.status(201).json({ success: true, ...session });
+  } catch (error) {
+    sendSessionError(res, error, 'Upload session start error');
+  }
+}
+
+export async function getUploadSessionHandler(req, res) {
+  try {
+    res.json({ success: true, ...(await uploadSessions.getUploadSession(req.params.uploadId)) });
+  } catch (error) {
+    sendSessionError(res, error, 'Upload session error');
+  }
+}
+
+export async function uploadChunkHandler(req, res) {
+  const offset = Number(req.query.offset);
+
+  try {
+    const session = await uploadSessions.appendUploadChunk(req.params.uploadId, offset, req);
+    res.json({ success: true, ...session });
+  } catch (error) {
+    // The client went away midway: what arrived is kept, it asks for the offset when it comes back
+    if (req.destroyed && !error.status) {
+      console.warn(`⚠️  Upload chunk interrupted: ${req.params.uploadId} at offset ${offset}`);
+      return;
+    }
+    sendSessionError(res, error, 'Upload chunk error');
+  }
+}
+
+/**
+ * Turns a complete session into req.file / req.body for checkUploadedFileTypes + uploadFileHandler.
+ * Once answered the session is removed, except:
+ * - storing failed (5xx): completing can be retried
+ * - it was stored with an Idempotency-Key: the session is kept until it expires, so a client that lost
+ *   the answer and retries with the same key gets the first upload back instead of a 404
+ */
+export async function completeUploadSession(req, res, next) {
+  const { uploadId } = req.params;
+
+  try {
+    const { file, fields } = await uploadSessions.getCompletedUpload(uploadId);
+    req.file = file;
+    req.body = fields;
+
+    const replayable = Boolean(req.get('Idempotency-Key'));
+    res.on('finish', () => {
+      if (res.statusCode >= 500) return;
+      const done =
+        replayable && res.statusCode < 300
+          ? uploadSessions.markUploadCompleted(uploadId)
+          : uploadSessions.removeUploadSession(uploadId);
+      done.catch((error) => console.warn(`⚠️  Could not update upload session ${uploadId}:`, error.message));
+    });
+    next();
+  } catch (error) {
+    sendSessionError(res, error, 'Upload session completion error');
+  }
+}
+
+export async function cancelUploadSessionHandler(req, res) {
+  try {
+    await uploadSessions.getUploadSession(req.params.uploadId);
+    await uploadSessions.removeUploadSession(req.params.uploadId);
+    res.json({ success: true, message: 'Upload cancelled' });
+  } catch (error) {
+    sendSessionError(res, error, 'Upload session cancel error');
+  }
+}
@@ -2,93 +2,118 @@ import express from 'express';
 import multer from 'multer';
 import * as propertiesController from '../controllers/propertiesController.js';
 import * as uploadController from '../controllers/uploadController.js';
+import * as uploadSessionsController from '../controllers/uploadSessionsController.js';
 import * as reportsController from '../controllers/reportsController.js';
 import * as authController from '../controllers/authController.js';
 import * as bundleController from '../controllers/bundleController.js';
+import * as filesController from '../controllers/filesController.js';
+import * as adminController from '../controllers/adminController.js';
+import { getStorageDriverName } from '../storage/index.js';
+import { getFileStorageDriverName } from '../storage/files.js';
+import { getUploadLimits, MAX_FIELD_BYTES, tempUploadStorage, trackTempUploads } from '../services/tempUploads.js';
 
 const router = express.Router();
 
-// Configure multer for file uploads (memory storage)
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 1024 * 1024 * 1024, // 1GB per file
-    fieldSize: 100 * 1024 * 1024, // 100MB for text fields (pdfHtml, report JSON)
-    fields: 100, // Max number of non-file fields
-    files: 100, // Max number of files
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedImageTypes = [
-      'image/jpeg',
-      'image/jpg',
-      'image/png',
-      'image/gif',
-      'image/webp',
-      'image/bmp',
-    ];
-    
-    const allowedDocTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'text/plain',
-      'text/csv', // ✅ Added CSV support
-      'application/csv', // ✅ Alternative CSV mime type
-    ];
-
-    const isImage = allowedImageTypes.includes(file.mimetype) || file.mimetype.startsWith('image/');
-    const isDocument = allowedDocTypes.includes(file.mimetype);
-
-    const subfolder = req.body.subfolder;
-
-    console.log(
-      `   📄 File filter check: ${file.originalname} (${file.mimetype}), subfolder: ${subfolder || 'undefined'}`
-    );
-
-    // For /api/bundle we accept whatever passed here and validate later if needed.
-    // It won't send "subfolder" the same way as /api/upload.
-    if (!subfolder) {
-      if (isImage || isDocument) {
-        console.log(`   ✅ Accepted (subfolder not available, will validate in controller)`);
-        cb(null, true);
-      } else {
-        console.log(`   ❌ Rejected: unsupported file type`);
-        cb(
-          new Error(
-            `Unsupported file type: ${file.mimetype}. Allowed: images, PDFs, Word, Excel, CSV, text files`
-          ),
-          false
-        );
-      }
-      return;
+// File type pre-check on the declared MIME type; the content is checked after upload (checkUploadedFileTypes)
+function fileFilter(req, file, cb) {
+  const allowedImageTypes = [
+    'image/jpeg',
+    'image/jpg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'image/bmp',
+  ];
+  
+  const allowedDocTypes = [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'text/plain',
+    'text/csv', // ✅ Added CSV support
+    'application/csv', // ✅ Alternative CSV mime type
+  ];
+
+  // HEIC photos may come as application/octet-stream: let them through by name, the controller checks the content
+  const isHeicName = /\.(heic|heif)$/i.test(file.originalname || '');
+  const isImage = allowedImageTypes.includes(file.mimetype) || file.mimetype.startsWith('image/') || isHeicName;
+  const isDocument = allowedDocTypes.includes(file.mimetype);
+
+  const subfolder = req.body.subfolder;
+
+  console.log(
+    `   📄 File filter check: ${file.originalname} (${file.mimetype}), subfolder: ${subfolder || 'undefined'}`
+  );
+
+  // For /api/bundle we accept whatever passed here and validate later if needed.
+  // It won't send "subfolder" the same way as /api/upload.
+  if (!subfolder) {
+    if (isImage || isDocument) {
+      console.log(`   ✅ Accepted (subfolder not available, will validate in controller)`);
+      cb(null, true);
+    } else {
+      console.log(`   ❌ Rejected: unsupported file type`);
+      cb(
+        new Error(
+          `Unsupported file type: ${file.mimetype}. Allowed: images, PDFs, Word, Excel, CSV, text files`
+        ),
+        false
+      );
     }
+    return;
+  }
 
-    if (subfolder === 'ملفات البلاغ') {
-      if (isImage || isDocument) {
-        console.log(`   ✅ Accepted for ${subfolder}`);
-        cb(null, true);
-      } else {
-        console.log(`   ❌ Rejected: only images and documents allowed for ${subfolder}`);
-        cb(
-          new Error(
-            'Only images, PDFs, Word documents, Excel files, CSV files, and text files are allowed for Report Files'
-          ),
-          false
-        );
-      }
+  if (subfolder === 'ملفات البلاغ') {
+    if (isImage || isDocument) {
+      console.log(`   ✅ Accepted for ${subfolder}`);
+      cb(null, true);
     } else {
-      if (isImage) {
-        console.log(`   ✅ Accepted for ${subfolder}`);
-        cb(null, true);
-      } else {
-        console.log(`   ❌ Rejected: only images allowed for ${subfolder}`);
-        cb(new Error(`Only image files are allowed for ${subfolder || 'photo folders'}`), false);
-      }
+      console.log(`   ❌ Rejected: only images and documents allowed for ${subfolder}`);
+      cb(
+        new Error(
+          'Only images, PDFs, Word documents, Excel files, CSV files, and text files are allowed for Report Files'
+        ),
+        false
+      );
     }
-  },
-});
+  } else {
+    if (isImage) {
+      console.log(`   ✅ Accepted for ${subfolder}`);
+      cb(null, true);
+    } else {
+      console.log(`   ❌ Rejected: only images allowed for ${subfolder}`);
+      cb(new Error(`Only image files are allowed for ${subfolder || 'photo folders'}`), false);
+    }
+  }
+}
+
+// Configure multer for file uploads: files are streamed to temp files (see services/tempUploads.js).
+// Built per request so the UPLOAD_* limits are read after .env is loaded.
+function createUpload() {
+  const limits = getUploadLimits();
+  return multer({
+    storage: tempUploadStorage(limits),
+    limits: {
+      fileSize: limits.maxFileBytes,
+      fieldSize: MAX_FIELD_BYTES, // for text fields (pdfHtml, report JSON)
+      fields: 100, // Max number of non-file fields
+      files: limits.maxFiles,
+    },
+    fileFilter,
+  });
+}
+
+function uploadMiddleware(method, ...args) {
+  return [trackTempUploads, (req, res, next) => createUpload()[method](...args)(req, res, next)];
+}
+
+const upload = {
+  single: (field) => uploadMiddleware('single', field),
+  array: (field, maxCount) => uploadMiddleware('array', field, maxCount),
+  any: () => uploadMiddleware('any'),
+};
 
 // API Health check
 router.get('/api/health', (req, res) => {
@@ -96,6 +121,8 @@ router.get('/api/health', (req, res) => {
     status: 'OK',
     message: 'VisitProp API is running',
     timestamp: new Date().toISOString(),
+    storage: getStorageDriverName(),
+    fileStorage: getFileStorageDriverName(),
     endpoints: {
       auth: {
         login: 'GET /auth/login (Login page)',
@@ -103,18 +130,36 @@ router.get('/api/health', (req, res) => {
         logout: 'POST /auth/logout',
       },
       properties: {
-        search: 'GET /api/properties?search=<query>',
-        add: 'POST /api/properties (application/json)',
-        getById: 'GET /api/properties/:id',
+        search: 'GET /api/properties?search=<query>&limit=20',
+        add: 'POST /api/properties (application/json, code optional: generated from PROPERTY_CODE_FORMAT)',
+        nextCode: 'GET /api/properties/next-code?governorate=<name>',
+        nearby: 'GET /api/properties/nearby?lat=<lat>&lng=<lng>&radius=1000&limit=20 (metres, nearest first)',
+        export: 'GET /api/properties/export?format=csv|xlsx|geojson&includeArchived=false',
+        import:
+          'POST /api/properties/import (multipart/form-data: file=CSV|XLSX, mapping?, dryRun?, skipInvalid?; ' +
+          'Authorization: Bearer <ADMIN_TOKEN>)',
+        getById: 'GET /api/properties/:id (archived properties included)',
+        update: 'PUT /api/properties/:id (application/json, changed fields only; Authorization: Bearer <ADMIN_TOKEN>)',
+        archive: 'DELETE /api/properties/:id (soft delete, hidden from search; Authorization: Bearer <ADMIN_TOKEN>)',
       },
       upload: {
         single: 'POST /api/upload (multipart/form-data)',
         multiple: 'POST /api/upload/multiple (multipart/form-data)',
+        resumableStart: 'POST /api/upload/sessions (application/json: fileName, mimeType, size, propertyCode, ...)',
+        resumableStatus: 'GET /api/upload/sessions/:uploadId (offset to resume from)',
+        resumableChunk: 'PUT /api/upload/sessions/:uploadId?offset=<bytes> (application/octet-stream)',
+        resumableComplete: 'POST /api/upload/sessions/:uploadId/complete (same response as POST /api/upload)',
+        resumableCancel: 'DELETE /api/upload/sessions/:uploadId',
+        delete: 'DELETE /api/upload/:fileId?sig=<sig of its url> (moves an upload to the trash; 409 if in a report)',
       },
       reports: {
         submit: 'POST /api/reports (application/json)',
-        getAll: 'GET /api/reports',
+        getAll: 'GET /api/reports?from=&to=&visitType=&inspectorName=&governorate=&area=&propertyType=&hasComplaint=&q=&sort=&order=&limit=&cursor=',
+        search: 'GET /api/reports/search?q=<text>&limit=20',
         getById: 'GET /api/reports/:id',
+        update: 'PUT /api/reports/:id (application/json, full report)',
+        patch: 'PATCH /api/reports/:id (application/json, changed fields only)',
+        history: 'GET /api/reports/:id/history',
         getByProperty: 'GET /api/reports?propertyCode=<code>',
         exportsGenerate: 'POST /api/reports/:id/exports',
         exportsGet: 'GET /api/reports/:id/exports',
@@ -122,6 +167,12 @@ router.get('/api/health', (req, res) => {
       bundle: {
         download: 'POST /api/bundle (multipart/form-data -> returns ZIP)',
       },
+      files: {
+        get: 'GET /files/:id?sig=<signature> (FILE_STORAGE_DRIVER=local only)',
+      },
+      admin: {
+        reloadProperties: 'POST /api/admin/properties/reload (Authorization: Bearer <ADMIN_TOKEN>)',
+      },
     },
   });
 });
@@ -133,21 +184,63 @@ router.get('/auth/callback', authController.handleCallback);
 router.get('/auth/status', authController.checkStatus);
 router.post('/auth/logout', authController.logout);
 
+// Local file storage (FILE_STORAGE_DRIVER=local) - signed links from uploads/exports
+router.get('/files/:id', filesController.getFileHandler);
+
 // API routes
 router.get('/api/properties', propertiesController.searchPropertiesHandler);
 router.post('/api/properties', propertiesController.addPropertyHandler);
+router.post(
+  '/api/properties/import',
+  adminController.requireAdmin,
+  upload.single('file'),
+  propertiesController.importPropertiesHandler
+);
+router.get('/api/properties/next-code', propertiesController.nextPropertyCodeHandler);
+router.get('/api/properties/export', propertiesController.exportPropertiesHandler);
+router.get('/api/properties/nearby', propertiesController.nearbyPropertiesHandler);
 router.get('/api/properties/:id', propertiesController.getPropertyHandler);
+router.put('/api/properties/:id', adminController.requireAdmin, propertiesController.updatePropertyHandler);
+router.delete('/api/properties/:id', adminController.requireAdmin, propertiesController.archivePropertyHandler);
 
-router.post('/api/upload', upload.single('file'), uploadController.uploadFileHandler);
-router.post('/api/upload/multiple', upload.array('files', 10), uploadController.uploadMultipleFilesHandler);
+router.post(
+  '/api/upload',
+  upload.single('file'),
+  uploadController.checkUploadedFileTypes,
+  uploadController.uploadFileHandler
+);
+router.post('/api/upload/sessions', uploadSessionsController.createUploadSessionHandler);
+router.get('/api/upload/sessions/:uploadId', uploadSessionsController.getUploadSessionHandler);
+router.put('/api/upload/sessions/:uploadId', uploadSessionsController.uploadChunkHandler);
+router.post(
+  '/api/upload/sessions/:uploadId/complete',
+  uploadSessionsController.completeUploadSession,
+  uploadController.checkUploadedFileTypes,
+  uploadController.uploadFileHandler
+);
+router.delete('/api/upload/sessions/:uploadId', uploadSessionsController.cancelUploadSessionHandler);
+router.post(
+  '/api/upload/multiple',
+  upload.array('files', 10),
+  uploadController.checkUploadedFileTypes,
+  uploadController.uploadMultipleFilesHandler
+);
+router.delete('/api/upload/:fileId', uploadController.deleteUploadedFileHandler);
 
 router.post('/api/reports', reportsController.submitReportHandler);
 router.get('/api/reports', reportsController.getReportsHandler);
+router.get('/api/reports/search', reportsController.searchReportsHandler);
 router.get('/api/reports/:id', reportsController.getReportHandler);
+router.put('/api/reports/:id', reportsController.updateReportHandler);
+router.patch('/api/reports/:id', reportsController.updateReportHandler);
+router.get('/api/reports/:id/history', reportsController.getReportHistoryHandler);
 
 router.post('/api/reports/:id/exports', reportsController.generateExportsHandler);
 router.get('/api/reports/:id/exports', reportsController.getExportsHandler);
 
+// Admin (ADMIN_TOKEN)
+router.post('/api/admin/properties/reload', adminController.requireAdmin, adminController.reloadPropertiesHandler);
+
 // Backend bundle ZIP (PDF + all uploaded files in folders)
 router.post('/api/bundle', upload.any(), bundleController.generateBundleHandler);
 
@@ -3,7 +3,10 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import multer from 'multer';
 import routes from './routes/index.js';
-import { validateConfig } from './config/google-hybrid.js';
+import { FILE_TYPE_ERROR_CODES } from './services/fileTypes.js';
+import { clearStaleTempUploads, formatMegabytes, getUploadLimits } from './services/tempUploads.js';
+import { clearExpiredUploadSessions } from './services/uploadSessions.js';
+import { validateStorageConfig } from './storage/index.js';
 
 // Load environment variables
 dotenv.config();
@@ -50,6 +53,7 @@ app.use(
       return cb(new Error(`CORS blocked for origin: ${origin}`));
     },
     credentials: true,
+    exposedHeaders: ['Idempotent-Replayed', 'ETag'],
   })
 );
 
@@ -85,18 +89,20 @@ app.use((err, req, res, next) => {
 
   // Handle Multer errors (file upload errors)
   if (err instanceof multer.MulterError) {
+    const limits = getUploadLimits();
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         error: 'File too large',
-        message: 'Maximum file size is 1GB',
-        details: `The uploaded file exceeds the 1GB size limit`,
+        message: `Maximum file size is ${formatMegabytes(limits.maxFileBytes)}`,
+        details: `The uploaded file exceeds the ${formatMegabytes(limits.maxFileBytes)} size limit`,
         code: 'LIMIT_FILE_SIZE',
       });
     } else if (err.code === 'LIMIT_FILE_COUNT') {
+      // upload.array('files', 10) reports an 11th file as LIMIT_UNEXPECTED_FILE, so this is UPLOAD_MAX_FILES
       return res.status(400).json({
         error: 'Too many files',
-        message: 'Maximum 10 files allowed',
-        details: 'You can upload up to 10 files at once',
+        message: `Maximum ${limits.maxFiles} files allowed`,
+        details: `You can upload up to ${limits.maxFiles} files at once`,
         code: 'LIMIT_FILE_COUNT',
       });
     } else if (err.code === 'LIMIT_UNEXPECTED_FILE') {
@@ -130,6 +136,26 @@ app.use((err, req, res, next) => {
     });
   }
 
+  // Total size of the files of one request (services/tempUploads.js)
+  if (err.code === 'LIMIT_REQUEST_SIZE') {
+    return res.status(413).json({
+      error: 'Upload too large',
+      message: err.message,
+      details: 'Upload the files in several smaller requests',
+      code: err.code,
+    });
+  }
+
+  // Content checks of uploads (magic bytes, see services/fileTypes.js)
+  if (FILE_TYPE_ERROR_CODES.includes(err.code)) {
+    return res.status(err.status || 400).json({
+      error: 'Invalid file type',
+      message: err.message,
+      details: 'Files are checked by their content, not their name or declared type',
+      code: err.code,
+    });
+  }
+
   // General error handling
   res.status(err.status || 500).json({
     error: err.message || 'Internal server error',
@@ -150,8 +176,13 @@ app.use((req, res) => {
 async function startServer() {
   try {
     console.log('🔍 Validating configuration...');
-    validateConfig();
-    console.log('✅ Configuration valid');
+    const drivers = validateStorageConfig();
+    console.log(`✅ Configuration valid (storage: ${drivers.storage}, files: ${drivers.files})`);
+
+    const staleUploads = await clearStaleTempUploads();
+    if (staleUploads) console.log(`🧹 Removed ${staleUploads} stale temp upload(s)`);
+    const expiredSessions = await clearExpiredUploadSessions();
+    if (expiredSessions) console.log(`🧹 Removed ${expiredSessions} expired upload session(s)`);
 
     app.listen(PORT, () => {
       console.log('');
@@ -172,8 +203,13 @@ async function startServer() {
       allowedOrigins.forEach((o) => console.log(`   ✅ ${o}`));
       console.log('   ✅ *.vercel.app (preview deployments)');
       console.log('');
+      const uploadLimits = getUploadLimits();
       console.log('📦 File Upload Limits:');
-      console.log('   ✅ Max file size: 1GB');
+      console.log(`   ✅ Max file size: ${formatMegabytes(uploadLimits.maxFileBytes)}`);
+      console.log(`   ✅ Max files per request: ${uploadLimits.maxFiles}`);
+      console.log(`   ✅ Max upload size per request: ${formatMegabytes(uploadLimits.maxRequestBytes)}`);
+      const sessionBytes = formatMegabytes(uploadLimits.maxSessionBytes);
+      console.log(`   ✅ Resumable uploads: ${uploadLimits.maxSessions} open, ${sessionBytes} in all`);
       console.log('   ✅ Max body size: 500MB');
       console.log('   ✅ Max field size: 100MB (for pdfHtml)');
       console.log('   ✅ Allowed: Images, PDF, Word, Excel, CSV, Text');
@@ -0,0 +1,41 @@
+/**
+ * Arabic text helpers shared by report and property search
+ * (no backend dependencies, so the mock server in server/ can import it too)
+ *
+ * - Diacritics (tashkeel) and tatweel are ignored
+ * - أ إ آ ٱ → ا, ة → ه, ى → ي, ؤ → و, ئ → ي, Arabic-Indic digits → 0-9
+ * - Leading "ال" is dropped from words longer than 3 letters
+ */
+
+export const WORD_PATTERN = /[\p{L}\p{N}\p{M}\u0640]+/gu;
+
+/**
+ * Fold Arabic spelling variants and case so equivalent words compare equal
+ */
+export function normalizeArabic(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/[\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g, '')
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/ة/g, 'ه')
+    .replace(/ى/g, 'ي')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي')
+    .replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, (d) => String(d.charCodeAt(0) - 0x06f0));
+}
+
+/**
+ * normalizeArabic() plus dropping a leading "ال"
+ */
+export function normalizeWord(word) {
+  const w = normalizeArabic(word);
+  return w.length > 3 && w.startsWith('ال') ? w.slice(2) : w;
+}
+
+/**
+ * Normalized words of a text
+ */
+export function tokenize(text) {
+  return [...String(text ?? '').matchAll(WORD_PATTERN)].map((m) => normalizeWord(m[0])).filter(Boolean);
+}
@@ -1,5 +1,6 @@
 import JSZip from 'jszip';
 import { generatePdfBuffer } from './pdfService.js';
+import { uploadedFileStream } from './tempUploads.js';
 
 function safeStr(v) {
   return v === undefined || v === null ? '' : String(v);
@@ -110,6 +111,10 @@ function parseFindingIndex(field) {
   return null;
 }
 
+/**
+ * ZIP of the report PDF and the uploaded files (multer temp files)
+ * Returns { zipStream, zipFileName }: files are read from disk while the ZIP is streamed out
+ */
 export async function generateZipBundle({ report, files, pdfHtml, pdfFileName }) {
   const zip = new JSZip();
 
@@ -135,15 +140,15 @@ export async function generateZipBundle({ report, files, pdfHtml, pdfFileName })
   for (const f of files || []) {
     const field = f.fieldname || '';
     const original = sanitizeFileName(f.originalname || 'file');
-    const buf = f.buffer;
+    const content = uploadedFileStream(f);
 
     if (field === 'mainPhotos') {
-      mainFolder?.file(original, buf);
+      mainFolder?.file(original, content);
       continue;
     }
 
     if (field === 'complaintFiles') {
-      complaintFolder?.file(original, buf);
+      complaintFolder?.file(original, content);
       continue;
     }
 
@@ -152,21 +157,22 @@ export async function generateZipBundle({ report, files, pdfHtml, pdfFileName })
       const findingNumber = findingIdx + 1;
       const findingText = safeStr(findings?.[findingIdx]?.text || '').substring(0, 50).trim();
       const folderName = sanitizeFileName(`Finding ${findingNumber} - ${findingText || 'No Description'}`);
-      findingsRoot?.folder(folderName)?.file(original, buf);
+      findingsRoot?.folder(folderName)?.file(original, content);
       continue;
     }
 
-    zip.folder('Misc')?.file(original, buf);
+    zip.folder('Misc')?.file(original, content);
   }
 
-  const zipBuffer = await zip.generateAsync({
+  const zipStream = zip.generateNodeStream({
     type: 'nodebuffer',
+    streamFiles: true,
     compression: 'DEFLATE',
     compressionOptions: { level: 6 },
   });
 
   return {
-    zipBuffer,
+    zipStream,
     zipFileName: buildZipName(report),
   };
 }
@@ -1,9 +1,8 @@
-import { getDriveClient } from '../config/google-hybrid.js';
+import { getFileStore } from '../storage/files.js';
 import { format } from 'date-fns';
-import { Readable } from 'stream';
 
 /**
- * Folder Structure in Google Drive:
+ * Folder Structure in Google Drive (or LOCAL_FILES_DIR with FILE_STORAGE_DRIVER=local):
  *
  * Main Folder (GOOGLE_DRIVE_FOLDER_ID)
  * └── "315, محل تجاري, " (Code, PropertyType, EndowedTo) ← ALWAYS REUSED
@@ -27,43 +26,25 @@ const EXPORTS_FOLDER_NAME = 'Exports';
  * @param {boolean} allowReuse - If false, will create new folder even if one exists
  */
 async function getOrCreateFolder(parentFolderId, folderName, allowReuse = true) {
-  const drive = await getDriveClient();
-
-  // Escape single quotes in folder name for query
-  const escapedFolderName = folderName.replace(/'/g, "\\'");
+  const store = getFileStore();
 
   // Search for existing folder
-  const query = `name='${escapedFolderName}' and '${parentFolderId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`;
-
-  const searchResponse = await drive.files.list({
-    q: query,
-    fields: 'files(id, name, webViewLink)',
-    spaces: 'drive',
-  });
+  const existing = await store.findFolder(parentFolderId, folderName);
 
-  if (searchResponse.data.files && searchResponse.data.files.length > 0 && allowReuse) {
+  if (existing && allowReuse) {
     console.log(`   ♻️  Reusing existing folder: ${folderName}`);
     return {
-      id: searchResponse.data.files[0].id,
-      webViewLink: searchResponse.data.files[0].webViewLink,
+      id: existing.id,
+      webViewLink: existing.webViewLink,
     };
   }
 
   console.log(`   📁 Creating new folder: ${folderName}`);
-  const folderMetadata = {
-    name: folderName,
-    mimeType: 'application/vnd.google-apps.folder',
-    parents: [parentFolderId],
-  };
-
-  const createResponse = await drive.files.create({
-    requestBody: folderMetadata,
-    fields: 'id, name, webViewLink',
-  });
+  const created = await store.createFolder(parentFolderId, folderName);
 
   return {
-    id: createResponse.data.id,
-    webViewLink: createResponse.data.webViewLink,
+    id: created.id,
+    webViewLink: created.webViewLink,
   };
 }
 
@@ -72,22 +53,14 @@ async function getOrCreateFolder(parentFolderId, folderName, allowReuse = true)
  * Scans existing "Finding N - ..." folders and returns next N
  */
 async function getNextFindingNumber(dateFolderId) {
-  const drive = await getDriveClient();
+  const folders = await getFileStore().listFolders(dateFolderId);
 
-  const query = `'${dateFolderId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`;
-
-  const searchResponse = await drive.files.list({
-    q: query,
-    fields: 'files(id, name)',
-    spaces: 'drive',
-  });
-
-  if (!searchResponse.data.files || searchResponse.data.files.length === 0) return 1;
+  if (folders.length === 0) return 1;
 
   const findingNumbers = [];
   const findingPattern = /^Finding (\d+) - /;
 
-  searchResponse.data.files.forEach((file) => {
+  folders.forEach((file) => {
     const match = file.name.match(findingPattern);
     if (match) findingNumbers.push(parseInt(match[1], 10));
   });
@@ -110,7 +83,7 @@ function sanitizeFolderName(name) {
  * For findings: frontend sends "Finding 1 - X" and backend assigns next number.
  */
 async function getOrganizedFolderPath(propertyCode, propertyType, endowedTo, subfolder = 'الصور الرئيسية') {
-  const mainFolderId = process.env.GOOGLE_DRIVE_FOLDER_ID;
+  const mainFolderId = getFileStore().rootFolderId();
   const today = format(new Date(), 'yyyy-MM-dd');
 
   // Step 1: Property folder
@@ -169,80 +142,87 @@ export async function ensureExportsFolder(propertyCode, propertyType, endowedTo)
  * Upload a Buffer to Google Drive (used for generated PDF/ZIP exports)
  */
 export async function uploadBufferToDrive(buffer, fileName, mimeType, parentFolderId) {
-  const drive = await getDriveClient();
-
   const sanitizedFileName = String(fileName).replace(/[^a-zA-Z0-9._\u0600-\u06FF\s-]/g, '_');
-  const bufferStream = Readable.from(buffer);
 
-  const fileMetadata = {
+  const created = await getFileStore().createFile({
+    parentFolderId,
     name: sanitizedFileName,
-    parents: [parentFolderId],
+    mimeType,
+    buffer,
+  });
+
+  return {
+    fileId: created.id,
+    fileName: created.name,
+    url: created.webViewLink,
+    downloadUrl: created.webContentLink || null,
   };
+}
 
-  const media = {
-    mimeType,
-    body: bufferStream,
+/**
+ * Store a photo's companion files (thumbnail, kept HEIC original) in the same folder as the photo
+ */
+async function createCompanionFiles(store, parentFolderId, { thumbnail = null, original = null } = {}) {
+  const create = async (file) => {
+    if (!file) return null;
+    return store.createFile({
+      parentFolderId,
+      name: file.fileName.replace(/[^a-zA-Z0-9._\u0600-\u06FF\s-]/g, '_'),
+      mimeType: file.mimeType,
+      buffer: file.buffer,
+    });
   };
 
-  const response = await drive.files.create({
-    requestBody: fileMetadata,
-    media,
-    fields: 'id, name, webViewLink, webContentLink',
-  });
+  const thumbnailFile = await create(thumbnail);
+  const originalFile = await create(original);
 
   return {
-    fileId: response.data.id,
-    fileName: response.data.name,
-    url: response.data.webViewLink || `https://drive.google.com/file/d/${response.data.id}/view`,
-    downloadUrl: response.data.webContentLink || null,
+    thumbnailFileId: thumbnailFile?.id || null,
+    thumbnailUrl: thumbnailFile ? store.imageUrl(thumbnailFile.id) : null, // shown in <img> tags, not a viewer page
+    originalFileId: originalFile?.id || null,
+    originalUrl: originalFile?.webViewLink || null,
   };
 }
 
 /**
  * Upload a file to Google Drive (used for user uploads)
+ * fileContent: a Buffer, or a readable stream (documents are streamed from their temp file)
+ * thumbnail / original: optional { buffer, fileName, mimeType } stored next to the file
+ * (the photo's thumbnail and, for a converted HEIC photo, the .heic file as uploaded)
  */
 export async function uploadFile(
-  fileBuffer,
+  fileContent,
   fileName,
   mimeType,
   propertyCode,
   propertyType,
   endowedTo,
-  subfolder = 'الصور الرئيسية'
+  subfolder = 'الصور الرئيسية',
+  thumbnail = null,
+  original = null
 ) {
   try {
-    const drive = await getDriveClient();
-
     console.log(`   📂 Organizing folder structure...`);
     const { subFolderId } = await getOrganizedFolderPath(propertyCode, propertyType, endowedTo, subfolder);
 
-    const bufferStream = Readable.from(fileBuffer);
     const sanitizedFileName = fileName.replace(/[^a-zA-Z0-9._\u0600-\u06FF\s-]/g, '_');
 
-    console.log(`   ⬆️  Uploading to Google Drive: ${sanitizedFileName}`);
-    const fileMetadata = {
+    console.log(`   ⬆️  Uploading to file storage: ${sanitizedFileName}`);
+    const created = await getFileStore().createFile({
+      parentFolderId: subFolderId,
       name: sanitizedFileName,
-      parents: [subFolderId],
-    };
-
-    const media = {
       mimeType,
-      body: bufferStream,
-    };
-
-    const response = await drive.files.create({
-      requestBody: fileMetadata,
-      media,
-      fields: 'id, name, webViewLink, webContentLink',
+      ...(Buffer.isBuffer(fileContent) ? { buffer: fileContent } : { stream: fileContent }),
     });
 
-    console.log(`   ✓ File uploaded successfully: ${response.data.id}`);
+    console.log(`   ✓ File uploaded successfully: ${created.id}`);
 
     return {
-      fileId: response.data.id,
-      fileName: sanitizedFileName,
-      url: response.data.webViewLink || `https://drive.google.com/file/d/${response.data.id}/view`,
-      downloadUrl: response.data.webContentLink || null,
+      fileId: created.id,
+      fileName: created.name,
+      url: created.webViewLink,
+      downloadUrl: created.webContentLink || null,
+      ...(await createCompanionFiles(getFileStore(), subFolderId, { thumbnail, original })),
     };
   } catch (error) {
     console.error('❌ Error uploading file to Google Drive:', error.message);
@@ -262,11 +242,12 @@ export async function uploadFile(
 }
 
 /**
- * Upload multiple files to the same subfolder
+ * Upload multiple files to the same subfolder (a file's `thumbnail` / `original` are stored next to it)
+ * Each file has a `buffer` or a `stream` (see uploadFile)
  */
 export async function uploadMultipleFiles(files, propertyCode, propertyType, endowedTo, subfolder = 'الصور الرئيسية') {
   try {
-    const drive = await getDriveClient();
+    const store = getFileStore();
 
     const uploadPromises = files.map(async (file, index) => {
       console.log(`   [${index + 1}/${files.length}] Uploading: ${file.originalname}`);
@@ -274,32 +255,23 @@ export async function uploadMultipleFiles(files, propertyCode, propertyType, end
       console.log(`   📂 Organizing folder structure for file ${index + 1}...`);
       const { subFolderId } = await getOrganizedFolderPath(propertyCode, propertyType, endowedTo, subfolder);
 
-      const bufferStream = Readable.from(file.buffer);
       const sanitizedFileName = file.originalname.replace(/[^a-zA-Z0-9._\u0600-\u06FF\s-]/g, '_');
 
-      const fileMetadata = {
+      const created = await store.createFile({
+        parentFolderId: subFolderId,
         name: sanitizedFileName,
-        parents: [subFolderId],
-      };
-
-      const media = {
         mimeType: file.mimetype,
-        body: bufferStream,
-      };
-
-      const response = await drive.files.create({
-        requestBody: fileMetadata,
-        media,
-        fields: 'id, name, webViewLink, webContentLink',
+        ...(file.buffer ? { buffer: file.buffer } : { stream: file.stream }),
       });
 
       console.log(`   ✓ [${index + 1}/${files.length}] ${sanitizedFileName} uploaded`);
 
       return {
-        fileId: response.data.id,
-        fileName: sanitizedFileName,
-        url: response.data.webViewLink || `https://drive.google.com/file/d/${response.data.id}/view`,
-        downloadUrl: response.data.webContentLink || null,
+        fileId: created.id,
+        fileName: created.name,
+        url: created.webViewLink,
+        downloadUrl: created.webContentLink || null,
+        ...(await createCompanionFiles(store, subFolderId, file)),
       };
     });
 
@@ -312,30 +284,62 @@ export async function uploadMultipleFiles(files, propertyCode, propertyType, end
   }
 }
 
+function fileError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Where an uploaded file is: { name, propertyFolder, dateFolder, subfolder }
+ * Only files uploadFile stores qualify (Main / property / date / subfolder / file, not under Exports):
+ * 404 when the file does not exist or is trashed, 403 NOT_AN_UPLOAD for folders, exports and anything else.
+ */
+export async function getUploadedFileLocation(fileId) {
+  let location;
+  try {
+    location = await getFileStore().getFileLocation(fileId);
+  } catch (error) {
+    // Drive reports a missing file as code 404
+    if (error.status === 404 || error.code === 404) throw fileError(404, 'FILE_NOT_FOUND', `File not found: ${fileId}`);
+    throw error;
+  }
+
+  if (!location) throw fileError(404, 'FILE_NOT_FOUND', `File not found: ${fileId}`);
+
+  const [propertyFolder, dateFolder, subfolder] = location.folders;
+  if (location.isFolder || location.folders.length !== 3 || subfolder === EXPORTS_FOLDER_NAME) {
+    throw fileError(403, 'NOT_AN_UPLOAD', 'Only files uploaded through /api/upload can be deleted');
+  }
+
+  return { name: location.name, propertyFolder, dateFolder, subfolder };
+}
+
+/**
+ * Move an uploaded file to the trash: Drive's trash, or LOCAL_FILES_DIR/.trash
+ * (check it with getUploadedFileLocation first)
+ */
+export async function trashUploadedFile(fileId) {
+  await getFileStore().trashFile(fileId);
+  console.log(`   🗑️  Moved to trash: ${fileId}`);
+}
+
 /**
  * Get folder structure for a property (best-effort)
  * Note: your property folder name is "code, type, endowedTo", so searching by code alone may not match.
  */
 export async function getPropertyFolderStructure(propertyCode) {
   try {
-    const drive = await getDriveClient();
-    const mainFolderId = process.env.GOOGLE_DRIVE_FOLDER_ID;
-
-    const escaped = String(propertyCode).replace(/'/g, "\\'");
-    const query = `name contains '${escaped}' and '${mainFolderId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`;
-
-    const response = await drive.files.list({
-      q: query,
-      fields: 'files(id, name, webViewLink)',
-      spaces: 'drive',
-    });
+    const store = getFileStore();
+    const folders = await store.listFolders(store.rootFolderId(), String(propertyCode));
 
-    if (response.data.files && response.data.files.length > 0) {
+    if (folders.length > 0) {
       return {
         exists: true,
-        folderId: response.data.files[0].id,
-        folderUrl: response.data.files[0].webViewLink,
-        folderName: response.data.files[0].name,
+        folderId: folders[0].id,
+        folderUrl: folders[0].webViewLink,
+        folderName: folders[0].name,
       };
     }
 
@@ -0,0 +1,183 @@
+import { heicExif, isHeic } from './heicImages.js';
+
+/**
+ * EXIF metadata of uploaded photos
+ * Reads the TIFF structure of JPEG (APP1 "Exif"), HEIC (Exif item) and TIFF files without a dependency:
+ * - capture time: DateTimeOriginal (else DateTime), with OffsetTimeOriginal when the camera wrote one
+ * - GPS position: GPSLatitude / GPSLongitude with their N/S, E/W refs
+ * - camera: Make and Model
+ *
+ * Anything unreadable is skipped; a photo without EXIF gives null, never an error.
+ */
+
+const TAGS = {
+  make: 0x010f,
+  model: 0x0110,
+  dateTime: 0x0132,
+  exifIfd: 0x8769,
+  gpsIfd: 0x8825,
+  dateTimeOriginal: 0x9003,
+  offsetTimeOriginal: 0x9011,
+  gpsLatitudeRef: 0x0001,
+  gpsLatitude: 0x0002,
+  gpsLongitudeRef: 0x0003,
+  gpsLongitude: 0x0004,
+};
+
+// Bytes per value of each TIFF field type (1 BYTE, 2 ASCII, 3 SHORT, 4 LONG, 5 RATIONAL, ... 10 SRATIONAL)
+const TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+const MAX_IFD_ENTRIES = 1000;
+
+/**
+ * TIFF block of a JPEG (APP1 segment starting "Exif\0\0"), or null
+ */
+function jpegTiffBlock(buffer) {
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+
+    // Start of scan / end of image: no metadata after this point
+    if (marker === 0xda || marker === 0xd9) return null;
+    if (marker === 0xff || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      offset += marker === 0xff ? 1 : 2;
+      continue;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const start = offset + 4;
+    if (marker === 0xe1 && buffer.toString('latin1', start, start + 6) === 'Exif\0\0') {
+      return buffer.subarray(start + 6, Math.min(buffer.length, offset + 2 + length));
+    }
+
+    offset += 2 + length;
+  }
+
+  return null;
+}
+
+function tiffBlock(buffer) {
+  if (buffer.length < 8) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return jpegTiffBlock(buffer);
+  if (isHeic(buffer)) return heicExif(buffer);
+
+  const order = buffer.toString('latin1', 0, 2);
+  return order === 'II' || order === 'MM' ? buffer : null;
+}
+
+/**
+ * Entries of one IFD as Map(tag → value); values are strings, numbers or arrays of numbers
+ */
+function readIfd(tiff, offset, littleEndian) {
+  const u16 = (at) => (littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const u32 = (at) => (littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+  const i32 = (at) => (littleEndian ? tiff.readInt32LE(at) : tiff.readInt32BE(at));
+
+  const entries = new Map();
+  if (!offset || offset + 2 > tiff.length) return entries;
+
+  const count = Math.min(u16(offset), MAX_IFD_ENTRIES);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+
+    const tag = u16(entry);
+    const type = u16(entry + 2);
+    const values = u32(entry + 4);
+    const size = (TYPE_SIZES[type] || 0) * values;
+    if (!size) continue;
+
+    const start = size <= 4 ? entry + 8 : u32(entry + 8);
+    if (start + size > tiff.length) continue;
+
+    if (type === 2) {
+      entries.set(tag, tiff.toString('latin1', start, start + size).replace(/\0.*$/s, '').trim());
+    } else if (type === 3) {
+      entries.set(tag, values === 1 ? u16(start) : Array.from({ length: values }, (_, n) => u16(start + n * 2)));
+    } else if (type === 4) {
+      entries.set(tag, u32(start));
+    } else if (type === 5 || type === 10) {
+      const read = type === 5 ? u32 : i32;
+      entries.set(
+        tag,
+        Array.from({ length: values }, (_, n) => {
+          const denominator = read(start + n * 8 + 4);
+          return denominator ? read(start + n * 8) / denominator : NaN;
+        })
+      );
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * "2024:01:15 10:23:45" (+ "+03:00") → "2024-01-15T10:23:45+03:00"; camera local time when there is no offset
+ */
+function exifDate(value, offset) {
+  const match = String(value || '').match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match || match[1] === '0000') return null;
+
+  const [, year, month, day, hour, minute, second] = match;
+  const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`;
+}
+
+/**
+ * [degrees, minutes, seconds] + "N"/"S"/"E"/"W" → signed decimal degrees
+ */
+function gpsCoordinate(parts, ref, limit) {
+  if (!Array.isArray(parts) || parts.length < 3 || parts.some((n) => !Number.isFinite(n))) return null;
+
+  const value = parts[0] + parts[1] / 60 + parts[2] / 3600;
+  if (value > limit) return null;
+  const signed = ref === 'S' || ref === 'W' ? -value : value;
+  return Math.round(signed * 1e7) / 1e7;
+}
+
+function textTag(entries, tag) {
+  const value = entries.get(tag);
+  return typeof value === 'string' && value ? value : null;
+}
+
+/**
+ * { capturedAt, latitude, longitude, cameraMake, cameraModel } of an image buffer, or null without EXIF
+ */
+export function extractExif(buffer) {
+  try {
+    const tiff = Buffer.isBuffer(buffer) ? tiffBlock(buffer) : null;
+    if (!tiff || tiff.length < 8) return null;
+
+    const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+    const magic = littleEndian ? tiff.readUInt16LE(2) : tiff.readUInt16BE(2);
+    if (magic !== 42) return null;
+
+    const ifd0 = readIfd(tiff, littleEndian ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4), littleEndian);
+    const exif = readIfd(tiff, ifd0.get(TAGS.exifIfd), littleEndian);
+    const gps = readIfd(tiff, ifd0.get(TAGS.gpsIfd), littleEndian);
+
+    let latitude = gpsCoordinate(gps.get(TAGS.gpsLatitude), gps.get(TAGS.gpsLatitudeRef), 90);
+    let longitude = gpsCoordinate(gps.get(TAGS.gpsLongitude), gps.get(TAGS.gpsLongitudeRef), 180);
+    // 0,0 is what many phones write when they had no fix
+    if (latitude === null || longitude === null || (latitude === 0 && longitude === 0)) {
+      latitude = null;
+      longitude = null;
+    }
+
+    const metadata = {
+      capturedAt:
+        exifDate(exif.get(TAGS.dateTimeOriginal), exif.get(TAGS.offsetTimeOriginal)) ||
+        exifDate(ifd0.get(TAGS.dateTime)),
+      latitude,
+      longitude,
+      cameraMake: textTag(ifd0, TAGS.make),
+      cameraModel: textTag(ifd0, TAGS.model),
+    };
+
+    return Object.values(metadata).some((value) => value !== null) ? metadata : null;
+  } catch {
+    return null;
+  }
+}
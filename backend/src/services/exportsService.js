@@ -1,18 +1,18 @@
 import archiver from 'archiver';
 import { PassThrough } from 'stream';
 import { format } from 'date-fns';
-import { getDriveClient } from '../config/google-hybrid.js';
+import { getFileStore } from '../storage/files.js';
 
 /**
  * Exports Service
  * - Generates:
- *   1) PDF report (print-ready HTML -> PDF using Playwright)
+ *   1) PDF report (print-ready HTML -> PDF using Playwright), with the photos' stored thumbnails
  *   2) ZIP evidence bundle (downloads Drive files, zips them with folders)
- * - Uploads both to Google Drive under:
+ * - Uploads both to Google Drive (or the local file storage driver) under:
  *   Main / <Property Folder> / <YYYY-MM-DD> / Exports /
  *
  * IMPORTANT:
- * - Self-contained (no driveService.js dependency)
+ * - Self-contained (no driveService.js dependency), talks to storage/files.js directly
  * - Defensive: should NOT white-screen the frontend.
  *   All errors are thrown with clear messages, controllers should return JSON safely.
  */
@@ -66,6 +66,14 @@ function normalizeReportForExports(report) {
     return { index: idx + 1, text, photos };
   });
 
+  // Stored reports keep thumbnails in photoMetadata; a payload has them on its photos
+  const photoMetadata = [
+    ...(Array.isArray(report.photoMetadata) ? report.photoMetadata : []),
+    ...[...(report.mainPhotos || []), ...findingsRaw.flatMap((f) => f?.photos || [])]
+      .filter((p) => p && typeof p === 'object')
+      .map((p) => ({ url: p.uploadedUrl || p.url, thumbnailUrl: p.thumbnailUrl })),
+  ].filter((m) => m?.url && m.thumbnailUrl);
+
   return {
     reportId: pickFirst(report.reportId, report.id),
     submitDate: getReportDate(report),
@@ -94,12 +102,21 @@ function normalizeReportForExports(report) {
     complaintFiles,
     complaintFileUrls,
     findings,
+    photoMetadata,
+    visitStartLocation: report.visitStartLocation || null,
+    submitLocation: report.submitLocation || null,
+    distanceFromProperty: report.distanceFromProperty ?? null,
+    locationFlagged: Boolean(report.locationFlagged),
   };
 }
 
 function extractDriveFileId(url) {
   const u = safeStr(url);
 
+  // Local file storage driver: <PUBLIC_BASE_URL>/files/<id>?sig=...
+  const local = u.match(/\/files\/([^/?#]+)/);
+  if (local) return local[1];
+
   const m1 = u.match(/\/file\/d\/([^/]+)/);
   if (m1) return m1[1];
 
@@ -113,18 +130,39 @@ function extractDriveFileId(url) {
 }
 
 async function downloadDriveFileToBuffer(fileId) {
-  const drive = await getDriveClient();
-  const resp = await drive.files.get({ fileId, alt: 'media' }, { responseType: 'arraybuffer' });
-  return Buffer.from(resp.data);
+  return getFileStore().downloadFile(fileId);
 }
 
 async function resolveNameFromDrive(fileId) {
-  const drive = await getDriveClient();
-  const resp = await drive.files.get({ fileId, fields: 'name,mimeType' });
-  return {
-    name: resp.data?.name || `file-${fileId}`,
-    mimeType: resp.data?.mimeType || 'application/octet-stream',
-  };
+  return getFileStore().getFileMeta(fileId);
+}
+
+const MAX_PDF_THUMBNAILS = 100;
+
+/**
+ * Photo URL → data: URI of its stored thumbnail
+ * Playwright renders without the user's Drive session, so thumbnails are downloaded and embedded;
+ * photos whose thumbnail cannot be read are left out of the PDF (they are still in the ZIP).
+ */
+async function loadThumbnails(r) {
+  const wanted = [...r.mainPhotosUrls, ...r.findings.flatMap((f) => f.photos)];
+  const thumbnails = new Map();
+
+  for (const url of [...new Set(wanted)].slice(0, MAX_PDF_THUMBNAILS)) {
+    const thumbnailUrl = r.photoMetadata.find((m) => m.url === url)?.thumbnailUrl;
+    const fileId = thumbnailUrl && extractDriveFileId(thumbnailUrl);
+    if (!fileId) continue;
+
+    try {
+      const [buffer, meta] = await Promise.all([downloadDriveFileToBuffer(fileId), resolveNameFromDrive(fileId)]);
+      const mimeType = safeStr(meta.mimeType).startsWith('image/') ? meta.mimeType : 'image/jpeg';
+      thumbnails.set(url, `data:${mimeType};base64,${buffer.toString('base64')}`);
+    } catch (e) {
+      console.warn(`Failed to load thumbnail of ${url}:`, e?.message || e);
+    }
+  }
+
+  return thumbnails;
 }
 
 function htmlEscape(s) {
@@ -136,7 +174,25 @@ function htmlEscape(s) {
     .replaceAll("'", '&#39;');
 }
 
-function buildReportHtml(r) {
+/**
+ * "26.2285, 50.586 (±12 m) · 2024-01-15 12:00 · 40 m from property" (same text as the bundle PDF)
+ */
+function gpsFixText(fix) {
+  if (!fix || fix.latitude == null || fix.longitude == null) return '';
+  const parts = [`${fix.latitude}, ${fix.longitude}${fix.accuracy != null ? ` (±${fix.accuracy} m)` : ''}`];
+  if (fix.capturedAt) parts.push(String(fix.capturedAt).replace('T', ' ').slice(0, 16));
+  if (fix.distance != null) parts.push(`${fix.distance} m from property`);
+  return parts.join(' · ');
+}
+
+function photosHtml(urls, thumbnails) {
+  const images = (urls || [])
+    .filter((url) => thumbnails.has(url))
+    .map((url) => `<a href="${htmlEscape(url)}"><img src="${thumbnails.get(url)}" alt="" /></a>`);
+  return images.length ? `<div class="photos">${images.join('')}</div>` : '';
+}
+
+function buildReportHtml(r, { revision, thumbnails = new Map() } = {}) {
   const actionsText = Array.isArray(r.actions)
     ? r.actions
         .map((a) => (typeof a === 'string' ? a : a?.text))
@@ -166,6 +222,10 @@ function buildReportHtml(r) {
     .box { border: 1px solid #e5e5e5; border-radius: 10px; padding: 10px; }
     a { color: #0b57d0; text-decoration: none; }
     .small { font-size: 11px; }
+    .flagged { color: #b91c1c; font-weight: 700; }
+    .photos { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 6px; }
+    .photos img { width: 120px; height: 90px; object-fit: cover; border-radius: 6px; border: 1px solid #e5e5e5; }
+    .revision-footer { position: fixed; bottom: 0; left: 0; right: 0; text-align: center; }
   </style>
 </head>
 <body>
@@ -212,9 +272,29 @@ function buildReportHtml(r) {
     }
   </div>
 
+  ${
+    r.mainPhotosUrls.length
+      ? `<h2>Main Photos</h2>
+         <div class="box">
+           <div class="muted small">${r.mainPhotosUrls.length} photo(s)</div>
+           ${photosHtml(r.mainPhotosUrls, thumbnails)}
+         </div>`
+      : ''
+  }
+
   <h2>Visit</h2>
   <div class="box">
     <div class="row"><div class="label">Visit Type</div><div class="value">${htmlEscape(r.visitType)}</div></div>
+    <div class="row">
+      <div class="label">Device Location (visit start / submit)</div>
+      <div class="value">${htmlEscape(gpsFixText(r.visitStartLocation)) || '<span class="muted">N/A</span>'}</div>
+      <div class="value">${htmlEscape(gpsFixText(r.submitLocation)) || '<span class="muted">N/A</span>'}</div>
+      ${
+        r.locationFlagged
+          ? `<div class="value flagged">⚠️ Submitted ${htmlEscape(r.distanceFromProperty)} m from the property</div>`
+          : ''
+      }
+    </div>
     ${
       r.complaint
         ? `<div class="row"><div class="label">Complaint</div><div class="value">${htmlEscape(
@@ -233,7 +313,7 @@ function buildReportHtml(r) {
               .map((f) => {
                 const photoCount = (f.photos || []).length;
                 return `<li><b>Finding ${f.index}:</b> ${htmlEscape(f.text)}
-                  <span class="muted small">(photos: ${photoCount})</span></li>`;
+                  <span class="muted small">(photos: ${photoCount})</span>${photosHtml(f.photos, thumbnails)}</li>`;
               })
               .join('')}
           </ul>`
@@ -270,15 +350,23 @@ function buildReportHtml(r) {
   </div>
 
   <div class="muted small" style="margin-top: 10px;">
-    Evidence files are packaged in the ZIP export.
+    Full-size photos and evidence files are packaged in the ZIP export.
   </div>
+
+  ${
+    revision
+      ? `<div class="revision-footer muted small">Report ${htmlEscape(r.reportId || '')} &nbsp;|&nbsp; Revision ${htmlEscape(
+          revision
+        )}</div>`
+      : ''
+  }
 </body>
 </html>`;
 }
 
-async function generatePdfBuffer(report) {
+async function generatePdfBuffer(report, { revision } = {}) {
   const r = normalizeReportForExports(report);
-  const html = buildReportHtml(r);
+  const html = buildReportHtml(r, { revision, thumbnails: await loadThumbnails(r) });
 
   // Lazy import so server can boot even if Playwright is not present until used.
   const { chromium } = await import('playwright');
@@ -350,7 +438,7 @@ async function generateZipBuffer(report, options = {}) {
     // 1) PDF INSIDE ZIP (so frontend ZIP contains PDF too)
     if (includePdfInsideZip) {
       const { pdfName } = buildExportNames(r);
-      const pdfBuffer = await generatePdfBuffer(r);
+      const pdfBuffer = await generatePdfBuffer(r, { revision: options.revision });
       archive.append(pdfBuffer, { name: sanitizeFileName(pdfName) });
     }
 
@@ -451,35 +539,17 @@ function buildExportNames(report) {
 }
 
 async function getOrCreateFolder(parentFolderId, folderName) {
-  const drive = await getDriveClient();
-
-  const escaped = folderName.replace(/'/g, "\\'");
-  const query = `name='${escaped}' and '${parentFolderId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`;
+  const store = getFileStore();
 
-  const search = await drive.files.list({
-    q: query,
-    fields: 'files(id,name,webViewLink)',
-    spaces: 'drive',
-  });
-
-  const existing = search.data.files?.[0];
+  const existing = await store.findFolder(parentFolderId, folderName);
   if (existing?.id) return { id: existing.id, webViewLink: existing.webViewLink || null };
 
-  const created = await drive.files.create({
-    requestBody: {
-      name: folderName,
-      mimeType: 'application/vnd.google-apps.folder',
-      parents: [parentFolderId],
-    },
-    fields: 'id,name,webViewLink',
-  });
-
-  return { id: created.data.id, webViewLink: created.data.webViewLink || null };
+  const created = await store.createFolder(parentFolderId, folderName);
+  return { id: created.id, webViewLink: created.webViewLink || null };
 }
 
 async function ensureExportsFolder(propertyCode, propertyType, endowedTo, dateStr) {
-  const mainFolderId = process.env.GOOGLE_DRIVE_FOLDER_ID;
-  if (!mainFolderId) throw new Error('Missing GOOGLE_DRIVE_FOLDER_ID');
+  const mainFolderId = getFileStore().rootFolderId();
 
   const today = dateStr || format(new Date(), 'yyyy-MM-dd');
 
@@ -501,33 +571,27 @@ async function ensureExportsFolder(propertyCode, propertyType, endowedTo, dateSt
 }
 
 async function uploadBufferToDrive(buffer, fileName, mimeType, parentFolderId) {
-  const drive = await getDriveClient();
-
-  const response = await drive.files.create({
-    requestBody: {
-      name: fileName,
-      parents: [parentFolderId],
-    },
-    media: {
-      mimeType,
-      body: Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer),
-    },
-    fields: 'id,name,webViewLink,webContentLink',
+  const created = await getFileStore().createFile({
+    parentFolderId,
+    name: fileName,
+    mimeType,
+    buffer: Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer),
   });
 
   return {
-    fileId: response.data.id,
-    fileName: response.data.name || fileName,
-    url: response.data.webViewLink || `https://drive.google.com/file/d/${response.data.id}/view`,
-    downloadUrl: response.data.webContentLink || null,
+    fileId: created.id,
+    fileName: created.name || fileName,
+    url: created.webViewLink,
+    downloadUrl: created.webContentLink || null,
   };
 }
 
 /**
  * Generate PDF + ZIP and upload both to Drive under Exports folder.
  * ZIP will ALSO contain the PDF inside it.
+ * options.revision → adds a "Revision N" footer to the PDF
  */
-export async function generateAndUploadExports(report) {
+export async function generateAndUploadExports(report, options = {}) {
   const r = normalizeReportForExports(report);
 
   if (!r.propertyCode || !r.propertyType || !r.endowedTo) {
@@ -539,8 +603,8 @@ export async function generateAndUploadExports(report) {
 
   // Generate PDF and ZIP (zip includes pdf inside)
   const [pdfBuffer, zipBuffer] = await Promise.all([
-    generatePdfBuffer(r),
-    generateZipBuffer(r, { includePdfInsideZip: true }),
+    generatePdfBuffer(r, { revision: options.revision }),
+    generateZipBuffer(r, { includePdfInsideZip: true, revision: options.revision }),
   ]);
 
   const pdfUpload = await uploadBufferToDrive(pdfBuffer, pdfName, 'application/pdf', folders.exportsFolderId);
@@ -575,6 +639,39 @@ export async function generatePdfOnlyBuffer(report) {
   return await generatePdfBuffer(r);
 }
 
+/**
+ * Trash previously generated exports of a report (after it was edited),
+ * so GET /exports no longer returns a stale PDF/ZIP.
+ * Only looks up folders, never creates them.
+ */
+export async function invalidateExports(report) {
+  const r = normalizeReportForExports(report);
+
+  if (!r.propertyCode || !r.propertyType || !r.endowedTo) {
+    return { trashed: 0 };
+  }
+
+  const store = getFileStore();
+  const propertyFolder = await store.findFolder(
+    store.rootFolderId(),
+    sanitizeFolderName(`${r.propertyCode}, ${r.propertyType}, ${r.endowedTo}`)
+  );
+  const dateFolder = propertyFolder && (await store.findFolder(propertyFolder.id, getReportDate(r)));
+  const exportsFolder = dateFolder && (await store.findFolder(dateFolder.id, 'Exports'));
+
+  if (!exportsFolder) return { trashed: 0 };
+
+  const { base } = buildExportNames(r);
+  const files = await store.listFiles(exportsFolder.id);
+  const stale = files.filter((f) => safeStr(f.name).startsWith(`${base} - `));
+
+  for (const f of stale) {
+    await store.trashFile(f.id);
+  }
+
+  return { trashed: stale.length };
+}
+
 /**
  * Try to find existing exports in Drive (best-effort).
  */
@@ -587,16 +684,7 @@ export async function getExistingExports(report) {
 
   const folders = await ensureExportsFolder(r.propertyCode, r.propertyType, r.endowedTo, getReportDate(r));
 
-  const drive = await getDriveClient();
-  const query = `'${folders.exportsFolderId}' in parents and trashed=false`;
-
-  const resp = await drive.files.list({
-    q: query,
-    fields: 'files(id,name,webViewLink,webContentLink,mimeType,createdTime)',
-    spaces: 'drive',
-  });
-
-  const files = resp.data.files || [];
+  const files = await getFileStore().listFiles(folders.exportsFolderId);
   const pdf = files.find((f) => safeStr(f.name).toLowerCase().endsWith('.pdf'));
   const zip = files.find((f) => safeStr(f.name).toLowerCase().endsWith('.zip'));
 
@@ -608,7 +696,7 @@ export async function getExistingExports(report) {
       ? {
           fileId: pdf.id,
           fileName: pdf.name,
-          url: pdf.webViewLink || `https://drive.google.com/file/d/${pdf.id}/view`,
+          url: pdf.webViewLink,
           downloadUrl: pdf.webContentLink || null,
           createdTime: pdf.createdTime || null,
         }
@@ -617,7 +705,7 @@ export async function getExistingExports(report) {
       ? {
           fileId: zip.id,
           fileName: zip.name,
-          url: zip.webViewLink || `https://drive.google.com/file/d/${zip.id}/view`,
+          url: zip.webViewLink,
           downloadUrl: zip.webContentLink || null,
           createdTime: zip.createdTime || null,
         }
@@ -0,0 +1,209 @@
+import path from 'path';
+import { isHeic } from './heicImages.js';
+
+/**
+ * Content-based type checks for uploads
+ * The MIME type and name of an upload come from the client, so each file is identified by its first bytes
+ * ("magic bytes") and rejected when
+ * - the content is not a known type (UNRECOGNIZED_FILE_TYPE), e.g. an executable renamed to .jpg; text has
+ *   no magic bytes, so it is only accepted from .csv / .txt files and never when it holds markup or a script
+ *   (HTML, SVG, XML, PHP, #!) that a browser or server could run
+ * - the content does not match the declared MIME type (FILE_TYPE_MISMATCH); application/octet-stream and
+ *   an empty type declare nothing
+ * - the type is not allowed in the target subfolder (INVALID_FILE_TYPE_FOR_SUBFOLDER): photo folders
+ *   (الصور الرئيسية, "Finding N - ..." and any other) take images only, ملفات البلاغ also takes documents
+ */
+
+export const REPORT_FILES_SUBFOLDER = 'ملفات البلاغ';
+
+export const FILE_TYPE_ERROR_CODES = [
+  'UNRECOGNIZED_FILE_TYPE',
+  'FILE_TYPE_MISMATCH',
+  'INVALID_FILE_TYPE_FOR_SUBFOLDER',
+];
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+function ftypBrands(buffer) {
+  if (buffer.length < 16 || ascii(buffer, 4, 8) !== 'ftyp') return [];
+  const size = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [ascii(buffer, 8, 12)];
+  for (let at = 16; at + 4 <= size; at += 4) brands.push(ascii(buffer, at, at + 4));
+  return brands;
+}
+
+function zipEntryNamed(buffer, prefix) {
+  return startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) && buffer.includes(Buffer.from(prefix, 'latin1'));
+}
+
+/**
+ * UTF-8 text without NUL bytes (CSV and .txt files have no magic bytes)
+ */
+function looksLikeText(buffer) {
+  const head = buffer.subarray(0, 64 * 1024);
+  if (!head.length || head.includes(0)) return false;
+  try {
+    // stream: a multi-byte character cut at the end of the sample is not an error
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Tags and headers that make text a page, an image or a program rather than data
+const MARKUP_TAGS = '!doctype|html|head|body|script|svg|iframe|frame|object|embed|style|meta|link|base|form|img|math';
+const MARKUP = new RegExp(`<\\/?\\s*(?:${MARKUP_TAGS})\\b|<\\?(?:xml|php)|^\\s*#!`, 'i');
+
+function looksLikeMarkup(buffer) {
+  return MARKUP.test(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+}
+
+/**
+ * Known types, checked in order; mimeTypes are the declarations that match (the first one is canonical),
+ * extensions (when set) the only file names the type is accepted under
+ */
+const FILE_TYPES = [
+  {
+    id: 'jpeg',
+    kind: 'image',
+    mimeTypes: ['image/jpeg', 'image/jpg', 'image/pjpeg'],
+    test: (b) => startsWith(b, [0xff, 0xd8, 0xff]),
+  },
+  {
+    id: 'png',
+    kind: 'image',
+    mimeTypes: ['image/png'],
+    test: (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  { id: 'gif', kind: 'image', mimeTypes: ['image/gif'], test: (b) => ['GIF87a', 'GIF89a'].includes(ascii(b, 0, 6)) },
+  {
+    id: 'webp',
+    kind: 'image',
+    mimeTypes: ['image/webp'],
+    test: (b) => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WEBP',
+  },
+  {
+    id: 'bmp',
+    kind: 'image',
+    mimeTypes: ['image/bmp', 'image/x-ms-bmp', 'image/x-bmp'],
+    // "BM" alone is too common: also check the reserved bytes and the DIB header size
+    test: (b) =>
+      b.length >= 26 &&
+      ascii(b, 0, 2) === 'BM' &&
+      b.readUInt32LE(6) === 0 &&
+      [12, 40, 52, 56, 64, 108, 124].includes(b.readUInt32LE(14)),
+  },
+  {
+    id: 'tiff',
+    kind: 'image',
+    mimeTypes: ['image/tiff', 'image/tif'],
+    test: (b) => startsWith(b, [0x49, 0x49, 0x2a, 0x00]) || startsWith(b, [0x4d, 0x4d, 0x00, 0x2a]),
+  },
+  {
+    id: 'heic',
+    kind: 'image',
+    mimeTypes: ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'],
+    test: (b) => isHeic(b),
+  },
+  {
+    id: 'avif',
+    kind: 'image',
+    mimeTypes: ['image/avif'],
+    test: (b) => ftypBrands(b).some((brand) => brand === 'avif' || brand === 'avis'),
+  },
+  {
+    id: 'pdf',
+    kind: 'document',
+    mimeTypes: ['application/pdf'],
+    test: (b) => ascii(b, 0, 5) === '%PDF-',
+  },
+  {
+    id: 'office',
+    kind: 'document',
+    // Word 97-2003 and Excel 97-2003 share the OLE container
+    mimeTypes: ['application/msword', 'application/vnd.ms-excel'],
+    test: (b) => startsWith(b, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+  },
+  {
+    id: 'docx',
+    kind: 'document',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    test: (b) => zipEntryNamed(b, 'word/'),
+  },
+  {
+    id: 'xlsx',
+    kind: 'document',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    test: (b) => zipEntryNamed(b, 'xl/'),
+  },
+  {
+    id: 'text',
+    kind: 'document',
+    // Windows declares .csv files as Excel when Excel is installed
+    mimeTypes: ['text/plain', 'text/csv', 'application/csv', 'application/vnd.ms-excel'],
+    extensions: ['.csv', '.txt'],
+    test: (b) => looksLikeText(b) && !looksLikeMarkup(b),
+  },
+];
+
+const PHOTO_TYPES = ['jpeg', 'png', 'gif', 'webp', 'bmp', 'tiff', 'heic', 'avif'];
+const REPORT_FILE_TYPES = [...PHOTO_TYPES, 'pdf', 'office', 'docx', 'xlsx', 'text'];
+
+function httpError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Type of a buffer from its content: { id, kind: 'image' | 'document', mimeTypes }, or null
+ */
+export function detectFileType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) return null;
+  return FILE_TYPES.find((type) => type.test(buffer)) || null;
+}
+
+export function allowedFileTypes(subfolder) {
+  return subfolder === REPORT_FILES_SUBFOLDER ? REPORT_FILE_TYPES : PHOTO_TYPES;
+}
+
+/**
+ * Check an uploaded file (multer { originalname, mimetype }) against its content and the subfolder;
+ * content is the file or a sample of it (its first and last bytes, see tempUploads.js).
+ * Returns { id, kind, mimeType }: mimeType is the declared type when it matches, else the detected one.
+ * Throws a 400 with one of FILE_TYPE_ERROR_CODES.
+ */
+export function validateFileContent(file, subfolder, content) {
+  const name = file.originalname;
+  const declared = String(file.mimetype || '').toLowerCase();
+  const type = detectFileType(content);
+
+  if (!type) {
+    throw httpError(400, 'UNRECOGNIZED_FILE_TYPE', `"${name}" is not a supported image or document`);
+  }
+  if (type.extensions && !type.extensions.includes(path.extname(String(name || '')).toLowerCase())) {
+    const message = `"${name}" is not a supported image or document (text files: ${type.extensions.join(', ')})`;
+    throw httpError(400, 'UNRECOGNIZED_FILE_TYPE', message);
+  }
+
+  const declaresType = declared && declared !== 'application/octet-stream';
+  if (declaresType && !type.mimeTypes.includes(declared)) {
+    const detected = type.mimeTypes[0];
+    throw httpError(400, 'FILE_TYPE_MISMATCH', `"${name}" is declared as ${declared} but its content is ${detected}`);
+  }
+
+  const mimeType = declaresType ? declared : type.mimeTypes[0];
+  if (!allowedFileTypes(subfolder).includes(type.id)) {
+    throw httpError(
+      400,
+      'INVALID_FILE_TYPE_FOR_SUBFOLDER',
+      `"${name}" (${mimeType}) is not allowed in "${subfolder}": ` +
+        (subfolder === REPORT_FILES_SUBFOLDER ? 'images and documents only' : 'images only')
+    );
+  }
+
+  return { id: type.id, kind: type.kind, mimeType };
+}
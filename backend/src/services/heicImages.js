@@ -0,0 +1,223 @@
+import sharp from 'sharp';
+
+/**
+ * HEIC / HEIF photos (iPhone default)
+ * They pass as image/* but the PDF, browsers other than Safari and Windows viewers cannot show them,
+ * so uploads are detected by content (the ISO-BMFF "ftyp" brands, not the name or MIME type) and
+ * converted to JPEG. heic-decode (libheif compiled to WebAssembly) decodes the pixels, sharp encodes
+ * the JPEG and the EXIF item of the HEIF file is copied into it.
+ */
+
+// Brands of HEVC-coded HEIF; "mif1" / "msf1" alone are generic HEIF (but AVIF files use them too)
+const HEIC_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs'];
+const GENERIC_BRANDS = ['mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+// An APP1 segment holds at most 64 KB
+const MAX_EXIF_SEGMENT = 0xffff - 2 - 6;
+
+function ftypBrands(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 16 || buffer.toString('latin1', 4, 8) !== 'ftyp') return [];
+
+  const size = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString('latin1', 8, 12)];
+  for (let at = 16; at + 4 <= size; at += 4) brands.push(buffer.toString('latin1', at, at + 4));
+  return brands;
+}
+
+export function isHeic(buffer) {
+  const brands = ftypBrands(buffer);
+  if (brands.some((brand) => HEIC_BRANDS.includes(brand))) return true;
+  return GENERIC_BRANDS.includes(brands[0]) && !brands.some((brand) => AVIF_BRANDS.includes(brand));
+}
+
+/**
+ * Child boxes of buffer[start, end) as [{ type, start (of the payload), end }]
+ */
+function readBoxes(buffer, start, end) {
+  const boxes = [];
+  let at = start;
+
+  while (at + 8 <= end) {
+    let size = buffer.readUInt32BE(at);
+    const type = buffer.toString('latin1', at + 4, at + 8);
+    let header = 8;
+
+    if (size === 1 && at + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(at + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - at;
+    }
+    if (size < header || at + size > end) break;
+
+    boxes.push({ type, start: at + header, end: at + size });
+    at += size;
+  }
+
+  return boxes;
+}
+
+function readSized(buffer, at, bytes) {
+  if (bytes === 0) return 0;
+  if (bytes === 8) return Number(buffer.readBigUInt64BE(at));
+  return buffer.readUIntBE(at, bytes);
+}
+
+/**
+ * ID of the "Exif" item, from the item info box (iinf)
+ */
+function exifItemId(buffer, iinf) {
+  const version = buffer[iinf.start];
+  const entriesStart = iinf.start + 4 + (version === 0 ? 2 : 4);
+
+  for (const infe of readBoxes(buffer, entriesStart, iinf.end)) {
+    const infeVersion = buffer[infe.start];
+    if (infe.type !== 'infe' || infeVersion < 2) continue;
+
+    const idBytes = infeVersion === 2 ? 2 : 4;
+    const id = readSized(buffer, infe.start + 4, idBytes);
+    const itemType = buffer.toString('latin1', infe.start + 4 + idBytes + 2, infe.start + 4 + idBytes + 6);
+    if (itemType === 'Exif') return id;
+  }
+
+  return null;
+}
+
+/**
+ * File extents of an item, from the item location box (iloc); only file offsets (construction method 0)
+ */
+function itemExtents(buffer, iloc, itemId) {
+  const version = buffer[iloc.start];
+  let at = iloc.start + 4;
+
+  const offsetSize = buffer[at] >> 4;
+  const lengthSize = buffer[at] & 0x0f;
+  const baseOffsetSize = buffer[at + 1] >> 4;
+  const indexSize = version === 1 || version === 2 ? buffer[at + 1] & 0x0f : 0;
+  at += 2;
+
+  const itemCount = version < 2 ? buffer.readUInt16BE(at) : buffer.readUInt32BE(at);
+  at += version < 2 ? 2 : 4;
+
+  for (let i = 0; i < itemCount && at < iloc.end; i++) {
+    const id = version < 2 ? buffer.readUInt16BE(at) : buffer.readUInt32BE(at);
+    at += version < 2 ? 2 : 4;
+
+    let constructionMethod = 0;
+    if (version === 1 || version === 2) {
+      constructionMethod = buffer.readUInt16BE(at) & 0x0f;
+      at += 2;
+    }
+    at += 2; // data_reference_index
+
+    const baseOffset = readSized(buffer, at, baseOffsetSize);
+    at += baseOffsetSize;
+    const extentCount = buffer.readUInt16BE(at);
+    at += 2;
+
+    const extents = [];
+    for (let e = 0; e < extentCount; e++) {
+      at += indexSize;
+      const offset = readSized(buffer, at, offsetSize);
+      at += offsetSize;
+      const length = readSized(buffer, at, lengthSize);
+      at += lengthSize;
+      extents.push({ offset: baseOffset + offset, length });
+    }
+
+    if (id === itemId) return constructionMethod === 0 ? extents : null;
+  }
+
+  return null;
+}
+
+/**
+ * TIFF block (the EXIF data after "Exif\0\0") of a HEIC file, or null
+ */
+export function heicExif(buffer) {
+  try {
+    if (!isHeic(buffer)) return null;
+
+    const meta = readBoxes(buffer, 0, buffer.length).find((box) => box.type === 'meta');
+    if (!meta) return null;
+
+    // meta is a full box: version + flags come before its children
+    const children = readBoxes(buffer, meta.start + 4, meta.end);
+    const iinf = children.find((box) => box.type === 'iinf');
+    const iloc = children.find((box) => box.type === 'iloc');
+    if (!iinf || !iloc) return null;
+
+    const itemId = exifItemId(buffer, iinf);
+    const extents = itemId === null ? null : itemExtents(buffer, iloc, itemId);
+    if (!extents?.length) return null;
+
+    const item = Buffer.concat(
+      extents.map(({ offset, length }) => buffer.subarray(offset, length ? offset + length : buffer.length))
+    );
+
+    // The item starts with the offset of the TIFF header (usually past an "Exif\0\0" prefix)
+    const tiffStart = 4 + item.readUInt32BE(0);
+    const tiff = item.subarray(tiffStart);
+    const order = tiff.toString('latin1', 0, 2);
+    return order === 'II' || order === 'MM' ? tiff : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Copy of a TIFF block with the IFD0 Orientation tag (0x0112) set to 1
+ */
+function withUprightOrientation(tiff) {
+  const copy = Buffer.from(tiff);
+  const littleEndian = copy.toString('latin1', 0, 2) === 'II';
+  const u16 = (at) => (littleEndian ? copy.readUInt16LE(at) : copy.readUInt16BE(at));
+  const ifd0 = littleEndian ? copy.readUInt32LE(4) : copy.readUInt32BE(4);
+  if (ifd0 + 2 > copy.length) return copy;
+
+  for (let i = 0; i < u16(ifd0); i++) {
+    const entry = ifd0 + 2 + i * 12;
+    if (entry + 12 > copy.length) break;
+    if (u16(entry) === 0x0112) {
+      if (littleEndian) copy.writeUInt16LE(1, entry + 8);
+      else copy.writeUInt16BE(1, entry + 8);
+    }
+  }
+
+  return copy;
+}
+
+/**
+ * A JPEG with an APP1 EXIF segment inserted right after its start marker
+ */
+function insertExif(jpeg, tiff) {
+  if (!tiff || tiff.length > MAX_EXIF_SEGMENT) return jpeg;
+
+  const segment = Buffer.alloc(4 + 6 + tiff.length);
+  segment.writeUInt16BE(0xffe1, 0);
+  segment.writeUInt16BE(segment.length - 2, 2);
+  segment.write('Exif\0\0', 4, 'latin1');
+  tiff.copy(segment, 10);
+
+  return Buffer.concat([jpeg.subarray(0, 2), segment, jpeg.subarray(2)]);
+}
+
+/**
+ * HEIC buffer → JPEG buffer with the original EXIF data
+ * libheif applies the HEIF rotation while decoding, so the EXIF orientation is reset to "upright".
+ */
+export async function convertHeicToJpeg(buffer, { quality = 90 } = {}) {
+  const { default: decodeHeic } = await import('heic-decode');
+  const { width, height, data } = await decodeHeic({ buffer });
+
+  const jpeg = await sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+    raw: { width, height, channels: 4 },
+  })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality, mozjpeg: true })
+    .toBuffer();
+
+  const exif = heicExif(buffer);
+  return insertExif(jpeg, exif ? withUprightOrientation(exif) : null);
+}
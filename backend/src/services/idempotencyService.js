@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import { getStore } from '../storage/index.js';
+
+/**
+ * Idempotency Service
+ * - Clients send an "Idempotency-Key" header with POST /api/reports and POST /api/upload
+ * - The first response for a key is remembered (storage adapter), replays get it back
+ *   instead of saving the report / uploading the file again
+ * - A replay that arrives while the first request is still running waits for it
+ *
+ * Entries expire after IDEMPOTENCY_TTL_HOURS (default 24).
+ */
+
+const MAX_KEY_LENGTH = 200;
+const inFlight = new Map();
+
+function getTtlMs() {
+  const hours = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000;
+}
+
+function httpError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Read and validate the Idempotency-Key header (null when absent)
+ */
+export function getIdempotencyKey(req) {
+  const key = (req.get('Idempotency-Key') || '').trim();
+  if (!key) return null;
+
+  if (key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+    throw httpError(
+      400,
+      'INVALID_IDEMPOTENCY_KEY',
+      `Idempotency-Key must be 1-${MAX_KEY_LENGTH} printable ASCII characters`
+    );
+  }
+
+  return key;
+}
+
+/**
+ * Hash of what makes two requests "the same" (a reused key with another payload is rejected)
+ */
+export function fingerprint(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) {
+    hash.update(Buffer.isBuffer(part) ? part : JSON.stringify(part ?? null));
+    hash.update('\0');
+  }
+  return hash.digest('hex');
+}
+
+async function findEntry(scope, key) {
+  const entry = await getStore().getIdempotencyEntry(scope, key);
+  if (!entry) return null;
+  if (entry.expiresAt && entry.expiresAt <= new Date().toISOString()) return null;
+  return entry;
+}
+
+/**
+ * Run `fn` once per (scope, key)
+ * Returns { result, replayed } — result is whatever fn resolved with (must be JSON-serializable).
+ */
+export async function runOnce(scope, key, requestFingerprint, fn) {
+  if (!key) return { result: await fn(), replayed: false };
+
+  const id = `${scope}:${key}`;
+
+  if (inFlight.has(id)) {
+    const pending = inFlight.get(id);
+    if (pending.fingerprint !== requestFingerprint) {
+      throw httpError(422, 'IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key was already used for a different request');
+    }
+    return { result: await pending.promise, replayed: true };
+  }
+
+  const run = (async () => {
+    const existing = await findEntry(scope, key);
+    if (existing) {
+      if (existing.fingerprint !== requestFingerprint) {
+        throw httpError(422, 'IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key was already used for a different request');
+      }
+      return { result: existing.result, replayed: true };
+    }
+
+    const result = await fn();
+
+    const now = Date.now();
+    try {
+      await getStore().saveIdempotencyEntry({
+        scope,
+        key,
+        fingerprint: requestFingerprint,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + getTtlMs()).toISOString(),
+        result,
+      });
+    } catch (error) {
+      // The work is done; failing here would make the client retry and duplicate it
+      console.warn(`⚠️  Could not remember Idempotency-Key for ${scope}:`, error.message);
+    }
+
+    return { result, replayed: false };
+  })();
+
+  const shared = run.then((r) => r.result);
+  shared.catch(() => {}); // only waiting replays care about a failure
+
+  inFlight.set(id, { fingerprint: requestFingerprint, promise: shared });
+
+  try {
+    return await run;
+  } finally {
+    inFlight.delete(id);
+  }
+}
@@ -0,0 +1,140 @@
+import sharp from 'sharp';
+import { convertHeicToJpeg, isHeic } from './heicImages.js';
+
+/**
+ * Image processing for uploads (sharp)
+ * Phone photos are 5–12 MB; before they are stored each one is
+ * - turned upright (EXIF orientation) and scaled down to IMAGE_MAX_DIMENSION (long side, px)
+ * - re-encoded as IMAGE_FORMAT (jpeg or webp) at IMAGE_QUALITY, keeping its EXIF data
+ * - given a THUMBNAIL_SIZE thumbnail, stored next to it, for the PDF and the UI
+ *
+ * The original bytes are kept when re-encoding would not make the file smaller, and for anything
+ * sharp cannot read (GIF, SVG...). IMAGE_COMPRESSION=false stores photos as uploaded.
+ *
+ * HEIC / HEIF photos are always converted to JPEG first (see heicImages.js), whatever their name or
+ * MIME type; HEIC_KEEP_ORIGINAL=true also stores the .heic file next to the JPEG.
+ */
+
+const PROCESSED_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/tiff', 'image/avif'];
+
+const OUTPUT_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  webp: { mimeType: 'image/webp', extension: 'webp' },
+};
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+export function getImageSettings() {
+  const format = String(process.env.IMAGE_FORMAT || 'jpeg').trim().toLowerCase();
+  return {
+    enabled: String(process.env.IMAGE_COMPRESSION ?? 'true').trim().toLowerCase() !== 'false',
+    maxDimension: envInt('IMAGE_MAX_DIMENSION', 2560),
+    quality: Math.min(100, Math.max(1, envInt('IMAGE_QUALITY', 80))),
+    format: OUTPUT_FORMATS[format] ? format : 'jpeg',
+    thumbnailSize: envInt('THUMBNAIL_SIZE', 400),
+    keepHeicOriginal: String(process.env.HEIC_KEEP_ORIGINAL || '').trim().toLowerCase() === 'true',
+  };
+}
+
+function replaceExtension(fileName, extension) {
+  const base = String(fileName).replace(/\.[^./\\]+$/, '') || 'photo';
+  return `${base}.${extension}`;
+}
+
+function encode(pipeline, format, quality, { keepExif = false } = {}) {
+  const output = keepExif ? pipeline.keepExif() : pipeline;
+  if (format === 'webp') return output.webp({ quality }).toBuffer();
+  // JPEG has no alpha: transparent PNG areas become white instead of black
+  return output.flatten({ background: '#ffffff' }).jpeg({ quality, mozjpeg: true }).toBuffer();
+}
+
+/**
+ * A HEIC upload as { buffer, fileName, mimeType } of a JPEG, or null when it is not HEIC
+ * (or cannot be decoded: it is then stored as uploaded)
+ */
+async function heicAsJpeg(buffer, fileName, quality) {
+  if (!isHeic(buffer)) return null;
+
+  try {
+    const jpeg = await convertHeicToJpeg(buffer, { quality: Math.max(quality, 90) });
+    console.log(`   🔄 ${fileName}: HEIC → JPEG`);
+    return { buffer: jpeg, fileName: replaceExtension(fileName, 'jpg'), mimeType: 'image/jpeg' };
+  } catch (error) {
+    console.warn(`⚠️  Could not convert HEIC image ${fileName}, storing it as uploaded:`, error.message);
+    return null;
+  }
+}
+
+export function isProcessableImage(mimeType) {
+  return PROCESSED_TYPES.includes(String(mimeType).toLowerCase());
+}
+
+/**
+ * Resized / re-encoded image + thumbnail ({ image, thumbnail, processed })
+ */
+async function compressImage(original, settings) {
+  const { buffer, fileName, mimeType } = original;
+
+  if (!settings.enabled || !isProcessableImage(mimeType)) {
+    return { image: original, thumbnail: null, processed: false };
+  }
+
+  try {
+    const { extension, mimeType: outputType } = OUTPUT_FORMATS[settings.format];
+    const source = sharp(buffer, { failOn: 'none' }).rotate();
+    const { width = 0, height = 0 } = await sharp(buffer, { failOn: 'none' }).metadata();
+
+    let image = original;
+    const resized = settings.maxDimension > 0 && Math.max(width, height) > settings.maxDimension;
+    const pipeline = resized
+      ? source.clone().resize(settings.maxDimension, settings.maxDimension, { fit: 'inside' })
+      : source.clone();
+    const encoded = await encode(pipeline, settings.format, settings.quality, { keepExif: true });
+
+    if (resized || encoded.length < buffer.length) {
+      image = { buffer: encoded, fileName: replaceExtension(fileName, extension), mimeType: outputType };
+    }
+
+    let thumbnail = null;
+    if (settings.thumbnailSize > 0) {
+      const small = source
+        .clone()
+        .resize(settings.thumbnailSize, settings.thumbnailSize, { fit: 'inside', withoutEnlargement: true });
+      thumbnail = {
+        buffer: await encode(small, settings.format, Math.min(settings.quality, 70)),
+        fileName: replaceExtension(fileName, `thumb.${extension}`),
+        mimeType: outputType,
+      };
+    }
+
+    const kb = (bytes) => `${(bytes / 1024).toFixed(0)} KB`;
+    console.log(
+      `   🗜️  ${fileName}: ${kb(buffer.length)} → ${kb(image.buffer.length)}` +
+        (thumbnail ? ` (+ ${kb(thumbnail.buffer.length)} thumbnail)` : '')
+    );
+
+    return { image, thumbnail, processed: image !== original };
+  } catch (error) {
+    console.warn(`⚠️  Could not process image ${fileName}, storing it as uploaded:`, error.message);
+    return { image: original, thumbnail: null, processed: false };
+  }
+}
+
+/**
+ * Compressed image + thumbnail of an uploaded photo
+ * Returns { image: { buffer, fileName, mimeType }, thumbnail, original, processed }: `image` is the upload
+ * itself when it is not processed, `thumbnail` may be null and `original` is the HEIC file when it is kept.
+ */
+export async function processImage(buffer, fileName, mimeType) {
+  const settings = getImageSettings();
+  const upload = { buffer, fileName, mimeType };
+
+  const converted = await heicAsJpeg(buffer, fileName, settings.quality);
+  const heicOriginal = converted && settings.keepHeicOriginal ? upload : null;
+  const result = await compressImage(converted || upload, settings);
+
+  return { ...result, original: heicOriginal, processed: result.processed || Boolean(converted) };
+}
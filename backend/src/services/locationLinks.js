@@ -0,0 +1,215 @@
+/**
+ * Coordinates from Google Maps links
+ * Location links are typed or pasted by hand, so several shapes are accepted:
+ * - ?q=26.2285,50.5860 / ?query= / ?ll= / ?destination=
+ * - place links: /maps/place/Name/@26.22,50.58,17z/data=!3d26.2285!4d50.5860 (the !3d!4d pin wins)
+ * - /maps/place/26.2285,50.5860 and /maps/search/26.2285,+50.5860
+ * - /@26.2285,50.5860,17z
+ * - plus codes: full (7HQQ6GHC+XX) or short (6GHC+XX Manama, recovered near Bahrain)
+ * - a bare "26.2285, 50.5860"
+ *
+ * Stored coordinates must fall inside Bahrain (BAHRAIN_BOUNDS); a link that cannot be read is
+ * still accepted (it is free text), it just has no coordinates.
+ */
+
+export const BAHRAIN_BOUNDS = { minLat: 25.5, maxLat: 26.4, minLng: 50.3, maxLng: 50.9 };
+
+const BAHRAIN_CENTER = { lat: 26.07, lng: 50.55 };
+
+const NUMBER = '(-?\\d{1,3}(?:\\.\\d+)?)';
+const PAIR = new RegExp(`^\\s*${NUMBER}\\s*,[\\s+]*${NUMBER}\\s*$`);
+const QUERY_PARAMS = ['q', 'query', 'll', 'destination'];
+
+function toCoordinates(lat, lng) {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { lat: latitude, lng: longitude };
+}
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+// ============================================================================
+// Plus codes (Open Location Code)
+// ============================================================================
+
+const OLC_ALPHABET = '23456789CFGHJMPQRVWX';
+const OLC_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+const PLUS_CODE = /(?:^|[^0-9A-Z])([23456789CFGHJMPQRVWX]{2,8}0{0,6})\+([23456789CFGHJMPQRVWX]{0,7})(?![0-9A-Z])/i;
+
+/**
+ * Centre of the area of a full plus code (8 digits before "+")
+ */
+function decodePlusCode(code) {
+  const digits = code.replace('+', '').replace(/0+$/, '').toUpperCase();
+  let lat = -90;
+  let lng = -180;
+  let latSize = 20;
+  let lngSize = 20;
+
+  for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+    latSize = OLC_PAIR_RESOLUTIONS[i / 2];
+    lngSize = latSize;
+    lat += OLC_ALPHABET.indexOf(digits[i]) * latSize;
+    lng += OLC_ALPHABET.indexOf(digits[i + 1] ?? '2') * lngSize;
+  }
+
+  // Digits after the 10th refine a 4 × 5 grid
+  for (const digit of digits.slice(10)) {
+    const value = OLC_ALPHABET.indexOf(digit);
+    latSize /= 5;
+    lngSize /= 4;
+    lat += Math.floor(value / 4) * latSize;
+    lng += (value % 4) * lngSize;
+  }
+
+  return toCoordinates(lat + latSize / 2, lng + lngSize / 2);
+}
+
+/**
+ * The first `length` digits of the plus code of a point
+ */
+function plusCodePrefix(point, length) {
+  let lat = point.lat + 90;
+  let lng = point.lng + 180;
+  let prefix = '';
+
+  for (let i = 0; i < length / 2; i++) {
+    const size = OLC_PAIR_RESOLUTIONS[i];
+    const latDigit = Math.floor(lat / size);
+    const lngDigit = Math.floor(lng / size);
+    prefix += OLC_ALPHABET[latDigit] + OLC_ALPHABET[lngDigit];
+    lat -= latDigit * size;
+    lng -= lngDigit * size;
+  }
+
+  return prefix;
+}
+
+/**
+ * Full or short plus code → coordinates; short codes are completed with the nearest match to Bahrain
+ */
+function parsePlusCode(text) {
+  const match = text.match(PLUS_CODE);
+  if (!match) return null;
+
+  const [, before, after] = match;
+  const padded = /0/.test(before);
+  if (after.length === 1 || (padded && (after.length || before.length !== 8)) || (!padded && !after.length)) {
+    return null;
+  }
+
+  if (before.length === 8) return decodePlusCode(`${before}+${after}`);
+  if (before.length % 2) return null;
+
+  const missing = 8 - before.length;
+  const resolution = OLC_PAIR_RESOLUTIONS[missing / 2 - 1];
+  const point = decodePlusCode(`${plusCodePrefix(BAHRAIN_CENTER, missing)}${before}+${after}`);
+  if (!point) return null;
+
+  // The reference prefix may put the code in the neighbouring cell; take whichever is closer
+  for (const axis of ['lat', 'lng']) {
+    if (point[axis] - BAHRAIN_CENTER[axis] > resolution / 2) point[axis] -= resolution;
+    else if (BAHRAIN_CENTER[axis] - point[axis] > resolution / 2) point[axis] += resolution;
+  }
+
+  return point;
+}
+
+// ============================================================================
+// Links
+// ============================================================================
+
+/**
+ * { lat, lng } from a Maps link, or null when no coordinates can be read
+ */
+export function parseCoordinates(link) {
+  const text = String(link ?? '').trim();
+  if (!text) return null;
+
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    const pair = text.match(PAIR);
+    return pair ? toCoordinates(pair[1], pair[2]) : parsePlusCode(text);
+  }
+
+  const decoded = safeDecode(text);
+
+  const pin = decoded.match(new RegExp(`!3d${NUMBER}!4d${NUMBER}`));
+  if (pin) return toCoordinates(pin[1], pin[2]);
+
+  for (const param of QUERY_PARAMS) {
+    const pair = (url.searchParams.get(param) || '').match(PAIR);
+    if (pair) return toCoordinates(pair[1], pair[2]);
+  }
+
+  const path = safeDecode(url.pathname);
+
+  const at = path.match(new RegExp(`@${NUMBER},${NUMBER}`));
+  if (at) return toCoordinates(at[1], at[2]);
+
+  for (const segment of path.split('/')) {
+    const pair = segment.match(PAIR);
+    if (pair) return toCoordinates(pair[1], pair[2]);
+  }
+
+  return parsePlusCode(decoded);
+}
+
+export function isInBahrain(coordinates) {
+  const { minLat, maxLat, minLng, maxLng } = BAHRAIN_BOUNDS;
+  return (
+    Boolean(coordinates) &&
+    coordinates.lat >= minLat &&
+    coordinates.lat <= maxLat &&
+    coordinates.lng >= minLng &&
+    coordinates.lng <= maxLng
+  );
+}
+
+/**
+ * Error message for a link whose coordinates are outside Bahrain, or null
+ */
+export function locationLinkError(link) {
+  const coordinates = parseCoordinates(link);
+  if (!coordinates || isInBahrain(coordinates)) return null;
+  return `Location ${coordinates.lat},${coordinates.lng} is outside Bahrain`;
+}
+
+/**
+ * Structured fields stored next to a link: { latitude, longitude } (null when unknown or outside Bahrain)
+ */
+export function linkCoordinates(link) {
+  const coordinates = parseCoordinates(link);
+  if (!isInBahrain(coordinates)) return { latitude: null, longitude: null };
+  return { latitude: round(coordinates.lat), longitude: round(coordinates.lng) };
+}
+
+/**
+ * 7 decimals ≈ 1 cm, enough for any Maps link
+ */
+function round(value) {
+  return Math.round(value * 1e7) / 1e7;
+}
+
+/**
+ * A record with latitude / longitude taken from its link; when the link has no readable coordinates
+ * (e.g. a maps.app.goo.gl short link) the stored values are kept if they are inside Bahrain
+ */
+export function withCoordinates(record, linkField) {
+  const fromLink = linkCoordinates(record?.[linkField]);
+  if (fromLink.latitude !== null) return { ...record, ...fromLink };
+
+  const stored = { lat: Number(record?.latitude), lng: Number(record?.longitude) };
+  const keep = record?.latitude != null && record?.longitude != null && isInBahrain(stored);
+  return { ...record, latitude: keep ? stored.lat : null, longitude: keep ? stored.lng : null };
+}
@@ -13,6 +13,17 @@ function escapeHtml(s) {
     .replace(/'/g, '&#039;');
 }
 
+/**
+ * "26.2285, 50.586 (±12 m) · 2024-01-15 12:00 · 40 m from property" for a captured GPS position
+ */
+function gpsFixText(fix) {
+  if (!fix || fix.latitude == null || fix.longitude == null) return '';
+  const parts = [`${fix.latitude}, ${fix.longitude}${fix.accuracy != null ? ` (±${fix.accuracy} m)` : ''}`];
+  if (fix.capturedAt) parts.push(String(fix.capturedAt).replace('T', ' ').slice(0, 16));
+  if (fix.distance != null) parts.push(`${fix.distance} m from property`);
+  return parts.join(' · ');
+}
+
 function renderReportHtml(report) {
   const findings = Array.isArray(report?.findings) ? report.findings : [];
   const actions = Array.isArray(report?.actions) ? report.actions : [];
@@ -41,6 +52,7 @@ function renderReportHtml(report) {
     .label { color: #555; font-size: 12px; }
     .value { font-size: 14px; }
     .muted { color: #777; }
+    .flagged { color: #b91c1c; font-weight: bold; }
     a { color: #1d4ed8; word-break: break-all; }
     @page { size: A4; margin: 18mm; }
   </style>
@@ -88,6 +100,15 @@ function renderReportHtml(report) {
         ? `<a href="${escapeHtml(report.locationLink)}">${escapeHtml(report.locationLink)}</a>`
         : `<span class="muted">N/A</span>`
     }</div>
+    <div style="height:10px"></div>
+    <div class="label">Device Location (visit start / submit)</div>
+    <div class="value">${escapeHtml(gpsFixText(report?.visitStartLocation)) || '<span class="muted">N/A</span>'}</div>
+    <div class="value">${escapeHtml(gpsFixText(report?.submitLocation)) || '<span class="muted">N/A</span>'}</div>
+    ${
+      report?.locationFlagged
+        ? `<div class="value flagged">⚠️ Submitted ${escapeHtml(report.distanceFromProperty)} m from the property</div>`
+        : ''
+    }
   </div>
 
   <div class="box">
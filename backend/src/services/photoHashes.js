@@ -0,0 +1,93 @@
+import sharp from 'sharp';
+
+/**
+ * Photo fingerprints for duplicate detection
+ * - sha256: the bytes as uploaded (computed while the upload is written, see tempUploads.js): the same
+ *   file attached twice
+ * - perceptualHash: 64-bit difference hash (dHash) of the picture, as 16 hex characters; a re-encoded,
+ *   resized or lightly edited copy differs by a few bits, up to PHOTO_SIMILARITY_DISTANCE (default 6)
+ *   bits counts as the same photo
+ */
+
+const SHA256 = /^[a-f0-9]{64}$/;
+const PERCEPTUAL_HASH = /^[a-f0-9]{16}$/;
+
+// Shrunk to 9×8, a blank picture (white wall, dark frame) varies less than this: its hash would match any other
+const MIN_CONTRAST = 8;
+
+export function getSimilarityDistance() {
+  const bits = parseInt(process.env.PHOTO_SIMILARITY_DISTANCE, 10);
+  return Number.isFinite(bits) && bits >= 0 && bits <= 64 ? bits : 6;
+}
+
+/**
+ * dHash of an image: shrunk to 9×8 grey pixels, one bit per pair of neighbours (is the right one brighter)
+ * null when sharp cannot read the image or it is blank (only the exact SHA-256 match applies then)
+ */
+export async function perceptualHash(buffer) {
+  try {
+    const pixels = await sharp(buffer, { failOn: 'none' })
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .grayscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+    if (Math.max(...pixels) - Math.min(...pixels) < MIN_CONTRAST) return null;
+
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        hash = (hash << 1n) | (pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? 1n : 0n);
+      }
+    }
+    return hash.toString(16).padStart(16, '0');
+  } catch (error) {
+    console.warn('⚠️  Could not compute perceptual hash:', error.message);
+    return null;
+  }
+}
+
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  for (; diff; diff >>= 1n) bits += Number(diff & 1n);
+  return bits;
+}
+
+/**
+ * Hashes sent back by the form → { sha256, perceptualHash } (null when missing or malformed)
+ */
+export function sanitizePhotoHashes(photo) {
+  const sha256 = String(photo?.sha256 ?? '').toLowerCase();
+  const hash = String(photo?.perceptualHash ?? '').toLowerCase();
+  return {
+    sha256: SHA256.test(sha256) ? sha256 : null,
+    perceptualHash: PERCEPTUAL_HASH.test(hash) ? hash : null,
+  };
+}
+
+/**
+ * The candidate ({ reportId, url, sha256, perceptualHash }) a photo duplicates, or null
+ * Same bytes first, else the closest picture within the similarity distance.
+ * Returns { reportId, url, match: 'exact' | 'similar', distance }.
+ */
+export function findDuplicatePhoto(photo, candidates) {
+  const { sha256, perceptualHash: hash } = sanitizePhotoHashes(photo);
+  const maxDistance = getSimilarityDistance();
+  let best = null;
+
+  for (const candidate of candidates) {
+    if (sha256 && candidate.sha256 === sha256) {
+      return { reportId: candidate.reportId || null, url: candidate.url, match: 'exact', distance: 0 };
+    }
+    if (!hash || !PERCEPTUAL_HASH.test(String(candidate.perceptualHash ?? ''))) continue;
+
+    const distance = hammingDistance(hash, candidate.perceptualHash);
+    if (distance <= maxDistance && (!best || distance < best.distance)) {
+      best = { reportId: candidate.reportId || null, url: candidate.url, match: 'similar', distance };
+    }
+  }
+
+  return best;
+}
@@ -1,108 +1,227 @@
-import { getSheetsClient } from '../config/google-hybrid.js';
-
-/**
- * Properties Sheet Structure:
- * Column A: id
- * Column B: code
- * Column C: name
- * Column D: waqfType
- * Column E: propertyType
- * Column F: endowedTo
- * Column G: building
- * Column H: unitNumber
- * Column I: road
- * Column J: area
- * Column K: governorate
- * Column L: block
- * Column M: defaultLocationLink
- * Column N: postcode
+import crypto from 'crypto';
+import { getStore } from '../storage/index.js';
+import { nearbyProperties, rankProperties } from './propertySearch.js';
+import { codeTemplate, formatCode, getCodeFormat, highestCodeNumber } from './propertyCodes.js';
+import { PROPERTY_ID_COUNTER, highestNumericId, sameCode } from '../storage/propertyIds.js';
+import { linkCoordinates, locationLinkError, withCoordinates } from './locationLinks.js';
+
+/**
+ * Properties Service
+ * - Search / lookup over the property catalogue
+ * - Reads and writes go through the storage adapter (see storage/index.js)
+ *
+ * Record fields mirror the Properties sheet columns A:R (see storage/sheetsStore.js).
+ * latitude / longitude are parsed from defaultLocationLink (see locationLinks.js) whenever the
+ * link is written, and filled in on read for rows that predate them.
+ * Properties are never deleted: archiving sets `archivedAt`, which hides the property
+ * from search while getPropertyById / getPropertyByCode still resolve it for old reports.
+ *
+ * Catalogue cache:
+ * - The whole catalogue is kept in memory for PROPERTY_CACHE_TTL_SECONDS (default 300, 0 = no cache)
+ * - Once stale it is still served while a background refresh re-reads storage
+ * - addProperty() drops the cache; POST /api/admin/properties/reload forces a re-read
+ * - updateProperty() / archiveProperty() re-read storage before changing a row, so edits made in the
+ *   sheet since the last load are kept
+ * - `version` is a hash of the catalogue, used as the ETag of property responses
  */
 
 function s(v) {
   return (v ?? '').toString().trim();
 }
 
+function httpError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
 /**
- * Get all properties from Google Sheet
+ * Fields that can be changed with updateProperty() (id and code identify the property in report rows)
  */
-export async function getAllProperties() {
-  const spreadsheetId = s(process.env.GOOGLE_SHEETS_PROPERTIES_ID);
-  const sheetName = s(process.env.PROPERTIES_SHEET_NAME) || 'Properties';
+export const EDITABLE_PROPERTY_FIELDS = [
+  'name',
+  'waqfType',
+  'propertyType',
+  'endowedTo',
+  'building',
+  'unitNumber',
+  'road',
+  'area',
+  'governorate',
+  'block',
+  'defaultLocationLink',
+  'postcode',
+];
+
+/**
+ * Catalogue field → report field it is copied into (see PropertyReportForm)
+ */
+const REPORT_PROPERTY_FIELDS = {
+  name: 'propertyName',
+  waqfType: 'waqfType',
+  propertyType: 'propertyType',
+  endowedTo: 'endowedTo',
+  building: 'building',
+  unitNumber: 'unitNumber',
+  road: 'road',
+  area: 'area',
+  governorate: 'governorate',
+  block: 'block',
+  defaultLocationLink: 'locationLink',
+};
+
+/**
+ * 400 INVALID_LOCATION when the link points outside Bahrain
+ */
+export function assertLocationLink(link) {
+  const message = locationLinkError(link);
+  if (message) throw httpError(400, 'INVALID_LOCATION', message);
+}
+
+export function isArchived(property) {
+  return Boolean(s(property?.archivedAt));
+}
+
+let cache = null; // { properties, version, loadedAt }
+let loading = null;
+let generation = 0; // bumped on invalidate so an older in-flight read is not cached
 
-  if (!spreadsheetId) {
-    throw new Error('Missing GOOGLE_SHEETS_PROPERTIES_ID');
+function getCacheTtlMs() {
+  const seconds = parseFloat(process.env.PROPERTY_CACHE_TTL_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 300) * 1000;
+}
+
+async function loadCatalogue() {
+  const startedAt = generation;
+  const properties = (await getStore().getAllProperties()).map((p) => withCoordinates(p, 'defaultLocationLink'));
+
+  const catalogue = {
+    properties,
+    version: crypto.createHash('sha1').update(JSON.stringify(properties)).digest('hex').slice(0, 16),
+    loadedAt: Date.now(),
+  };
+
+  if (startedAt === generation && getCacheTtlMs() > 0) {
+    if (cache && cache.version !== catalogue.version) {
+      console.log(`🔄 Property catalogue changed: ${properties.length} properties (version ${catalogue.version})`);
+    }
+    cache = catalogue;
   }
 
-  try {
-    const sheets = await getSheetsClient();
+  return catalogue;
+}
 
-    const range = `${sheetName}!A2:N`;
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range,
+function startLoad() {
+  if (!loading) {
+    const promise = loadCatalogue().finally(() => {
+      if (loading === promise) loading = null;
     });
+    loading = promise;
+  }
+  return loading;
+}
 
-    const rows = response?.data?.values || [];
-
-    console.log(
-      `[Sheets] Properties read: spreadsheetId=${spreadsheetId} sheet=${sheetName} range=${range} rows=${rows.length}`
-    );
+/**
+ * The property catalogue { properties, version, loadedAt }, from cache when possible
+ */
+export async function getCatalogue() {
+  try {
+    if (!cache) return await startLoad();
 
-    // If your app worked locally but production shows empty, this helps you detect it immediately.
-    // Remove this block later if you prefer silent empty behavior.
-    if (rows.length === 0) {
-      throw new Error(
-        `No rows returned from Google Sheets. Check: (1) sheet shared with service account, (2) correct spreadsheetId, (3) correct tab name "${sheetName}", (4) data exists in A2:N`
-      );
+    if (Date.now() - cache.loadedAt >= getCacheTtlMs()) {
+      startLoad().catch((error) => {
+        console.warn('⚠️  Background property refresh failed, serving cached catalogue:', error?.message || error);
+      });
     }
 
-    return rows.map((row) => ({
-      id: s(row[0]),
-      code: s(row[1]),
-      name: s(row[2]),
-      waqfType: s(row[3]),
-      propertyType: s(row[4]),
-      endowedTo: s(row[5]),
-      building: s(row[6]),
-      unitNumber: s(row[7]),
-      road: s(row[8]),
-      area: s(row[9]),
-      governorate: s(row[10]),
-      block: s(row[11]),
-      defaultLocationLink: s(row[12]),
-      postcode: s(row[13]),
-    }));
+    return cache;
   } catch (error) {
-    console.error(
-      'Error fetching properties from Google Sheet:',
-      error?.message || error
-    );
+    console.error('Error fetching properties:', error?.message || error);
     throw new Error(`Failed to fetch properties from database: ${error?.message || error}`);
   }
 }
 
 /**
- * Search properties by code (column B)
+ * Get all properties from the configured storage driver (cached)
  */
-export async function searchProperties(query) {
+export async function getAllProperties() {
+  return (await getCatalogue()).properties;
+}
+
+/**
+ * Forget the cached catalogue; the next read goes to storage
+ */
+export function invalidatePropertiesCache() {
+  generation += 1;
+  cache = null;
+  loading = null;
+}
+
+/**
+ * The catalogue as it is in storage now (the cache is dropped first)
+ * Read-modify-write goes through this, so sheet edits made since the last load are not overwritten.
+ */
+export async function getFreshProperties() {
+  invalidatePropertiesCache();
+  return getAllProperties();
+}
+
+/**
+ * Re-read the catalogue from storage now
+ */
+export async function reloadProperties() {
+  invalidatePropertiesCache();
+  const catalogue = await getCatalogue();
+  return {
+    count: catalogue.properties.length,
+    version: catalogue.version,
+    loadedAt: new Date(catalogue.loadedAt).toISOString(),
+  };
+}
+
+/**
+ * Default / maximum number of search results (PROPERTY_SEARCH_LIMIT, default 20)
+ */
+export const MAX_SEARCH_LIMIT = 100;
+
+export function getDefaultSearchLimit() {
+  const limit = parseInt(process.env.PROPERTY_SEARCH_LIMIT, 10);
+  return Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_SEARCH_LIMIT) : 20;
+}
+
+/**
+ * Ranked search over code, name, road, area, governorate, block, building and postcode
+ * (see propertySearch.js). Returns { properties, total }.
+ */
+export async function searchProperties(query, { limit = getDefaultSearchLimit() } = {}) {
   const q = s(query);
-  if (!q) return [];
+  if (!q) return { properties: [], total: 0 };
 
   const allProperties = await getAllProperties();
-  const searchTerm = q.toLowerCase();
+  return rankProperties(allProperties.filter((p) => !isArchived(p)), q, { limit });
+}
 
-  const results = allProperties.filter((property) => {
-    const code = (property.code || '').toLowerCase();
-    return code.includes(searchTerm);
-  });
+/**
+ * Nearby search radius in metres: default 1000, at most 50 km
+ */
+export const DEFAULT_NEARBY_RADIUS = 1000;
+export const MAX_NEARBY_RADIUS = 50000;
 
-  return results.slice(0, 20);
+/**
+ * Active properties within `radius` metres of { lat, lng }, nearest first, with `distance` in metres
+ * Only properties whose location link gave coordinates can be found. Returns { properties, total }.
+ */
+export async function findNearbyProperties(point, options = {}) {
+  const { radius = DEFAULT_NEARBY_RADIUS, limit = getDefaultSearchLimit() } = options;
+  const allProperties = await getAllProperties();
+  return nearbyProperties(allProperties.filter((p) => !isArchived(p)), point, { radius, limit });
 }
 
 export async function getPropertyById(id) {
   const allProperties = await getAllProperties();
   const target = s(id);
-  return allProperties.find((p) => p.id === target);
+  return allProperties.find((p) => s(p.id) === target);
 }
 
 export async function getPropertyByCode(code) {
@@ -111,61 +230,70 @@ export async function getPropertyByCode(code) {
   return allProperties.find((p) => p.code === target);
 }
 
+const MAX_CODE_ATTEMPTS = 20;
+
 /**
- * Add a new property to the Google Sheet
- * All fields are optional except a generated id and code
+ * Next code from PROPERTY_CODE_FORMAT, skipping codes someone typed in by hand
  */
-export async function addProperty(data) {
-  const spreadsheetId = s(process.env.GOOGLE_SHEETS_PROPERTIES_ID);
-  const sheetName = s(process.env.PROPERTIES_SHEET_NAME) || 'Properties';
+async function generatePropertyCode(governorate, existingProperties) {
+  const template = codeTemplate(governorate);
+  const seed = (properties) => highestCodeNumber(properties.map((p) => p.code), template);
 
-  if (!spreadsheetId) {
-    throw new Error('Missing GOOGLE_SHEETS_PROPERTIES_ID');
+  for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+    const code = formatCode(template, await getStore().allocatePropertyNumber(template.counterKey, seed));
+    if (!existingProperties.some((p) => sameCode(p.code, code))) return code;
   }
 
-  try {
-    const sheets = await getSheetsClient();
+  throw httpError(409, 'PROPERTY_CODE_CONFLICT', `Could not generate a free property code for "${template.counterKey}"`);
+}
+
+/**
+ * The code addProperty would most likely generate (nothing is reserved): { code, format }
+ */
+export async function previewPropertyCode(governorate) {
+  const template = codeTemplate(governorate);
+  const allProperties = await getAllProperties();
+
+  let number =
+    (await getStore().getCounterValue(template.counterKey)) ??
+    highestCodeNumber(allProperties.map((p) => p.code), template);
+
+  let code;
+  do {
+    number += 1;
+    code = formatCode(template, number);
+  } while (allProperties.some((p) => sameCode(p.code, code)));
 
-    // Generate id based on row count, code from user or auto
+  return { code, format: getCodeFormat() };
+}
+
+/**
+ * Add a new property to the catalogue
+ * All fields are optional; the id comes from a counter and the code is generated
+ * (PROPERTY_CODE_FORMAT) unless one is given. A code already in use → 409 PROPERTY_CODE_CONFLICT.
+ */
+export async function addProperty(data) {
+  try {
     const allProperties = await getAllProperties();
-    const newId = String(allProperties.length + 1);
-    const newCode = s(data.building) || String(allProperties.length + 1);
-
-    // Build the row: A=id, B=code, C=name, D=waqfType, E=propertyType, F=endowedTo,
-    // G=building, H=unitNumber, I=road, J=area, K=governorate, L=block, M=defaultLocationLink, N=postcode
-    const newRow = [
-      newId,
-      newCode,
-      s(data.name) || `عقار ${newCode}`,
-      s(data.waqfType),
-      s(data.propertyType),
-      s(data.endowedTo),
-      s(data.building),
-      s(data.unitNumber),
-      s(data.road),
-      s(data.area),
-      s(data.governorate),
-      s(data.block),
-      s(data.defaultLocationLink),
-      s(data.postcode),
-    ];
-
-    await sheets.spreadsheets.values.append({
-      spreadsheetId,
-      range: `${sheetName}!A:N`,
-      valueInputOption: 'USER_ENTERED',
-      insertDataOption: 'INSERT_ROWS',
-      requestBody: {
-        values: [newRow],
-      },
-    });
 
-    console.log(`[Sheets] New property added: id=${newId} code=${newCode}`);
+    assertLocationLink(data.defaultLocationLink);
 
-    return {
+    const requestedCode = s(data.code);
+    if (requestedCode && allProperties.some((p) => sameCode(p.code, requestedCode))) {
+      throw httpError(409, 'PROPERTY_CODE_CONFLICT', `Property code ${requestedCode} already exists`);
+    }
+
+    const newId = String(
+      await getStore().allocatePropertyNumber(PROPERTY_ID_COUNTER, (properties) =>
+        highestNumericId(properties.map((p) => p.id))
+      )
+    );
+    const newCode = requestedCode || (await generatePropertyCode(data.governorate, allProperties));
+
+    const property = {
       id: newId,
       code: newCode,
-      name: newRow[2],
+      name: s(data.name) || `عقار ${newCode}`,
       waqfType: s(data.waqfType),
       propertyType: s(data.propertyType),
       endowedTo: s(data.endowedTo),
@@ -177,9 +305,109 @@ export async function addProperty(data) {
       block: s(data.block),
       defaultLocationLink: s(data.defaultLocationLink),
       postcode: s(data.postcode),
+      ...linkCoordinates(data.defaultLocationLink),
     };
+
+    await getStore().appendProperty(property);
+    invalidatePropertiesCache();
+
+    return property;
   } catch (error) {
-    console.error('Error adding property to Google Sheet:', error?.message || error);
+    console.error('Error adding property:', error?.message || error);
+    if (error?.status === 409) invalidatePropertiesCache(); // someone else added it; re-read next time
+    if (error?.status) throw error;
     throw new Error(`Failed to add property to database: ${error?.message || error}`);
   }
 }
+
+/**
+ * The property as stored now, not as cached: the base of a read-modify-write
+ */
+async function getStoredProperty(id) {
+  const target = s(id);
+  return (await getFreshProperties()).find((p) => s(p.id) === target);
+}
+
+async function writeProperty(property) {
+  const stored = await getStore().updateProperty(property.id, property);
+  invalidatePropertiesCache();
+
+  if (!stored) {
+    throw new Error(`Property ${property.id} no longer exists in storage`);
+  }
+  return stored;
+}
+
+/**
+ * Change catalogue fields of a property; fields not present in `changes` are kept
+ * Returns { property, changedFields } or null when the id is unknown.
+ */
+export async function updateProperty(id, changes = {}) {
+  const existing = await getStoredProperty(id);
+  if (!existing) return null;
+
+  if (changes.code !== undefined && s(changes.code) !== s(existing.code)) {
+    throw httpError(400, 'PROPERTY_CODE_IMMUTABLE', 'Property code cannot be changed');
+  }
+
+  const property = { ...existing };
+  for (const field of EDITABLE_PROPERTY_FIELDS) {
+    if (changes[field] !== undefined) property[field] = s(changes[field]);
+  }
+
+  const changedFields = EDITABLE_PROPERTY_FIELDS.filter((field) => s(existing[field]) !== s(property[field]));
+  if (!changedFields.length) return { property: existing, changedFields };
+
+  if (changedFields.includes('defaultLocationLink')) {
+    assertLocationLink(property.defaultLocationLink);
+    Object.assign(property, linkCoordinates(property.defaultLocationLink));
+  }
+
+  property.updatedAt = new Date().toISOString();
+  await writeProperty(property);
+
+  console.log(`✏️  Property updated: id=${property.id} code=${property.code} fields=${changedFields.join(',')}`);
+
+  return { property, changedFields };
+}
+
+/**
+ * Soft-delete: hide a property from search, keep it for old reports
+ * Returns { property, alreadyArchived } or null when the id is unknown.
+ */
+export async function archiveProperty(id) {
+  const existing = await getStoredProperty(id);
+  if (!existing) return null;
+  if (isArchived(existing)) return { property: existing, alreadyArchived: true };
+
+  const now = new Date().toISOString();
+  const property = { ...existing, archivedAt: now, updatedAt: now };
+  await writeProperty(property);
+
+  console.log(`🗄️  Property archived: id=${property.id} code=${property.code}`);
+
+  return { property, alreadyArchived: false };
+}
+
+/**
+ * Copy the property details typed into a report back to the catalogue
+ * Only non-empty report values are applied, so a report without a location link
+ * does not erase the one in the catalogue.
+ */
+export async function applyReportPropertyEdits(report) {
+  const property =
+    (s(report.propertyId) && (await getPropertyById(report.propertyId))) ||
+    (s(report.propertyCode) && (await getPropertyByCode(report.propertyCode)));
+
+  if (!property) {
+    throw httpError(404, 'PROPERTY_NOT_FOUND', `Property ${report.propertyId || report.propertyCode} not found`);
+  }
+
+  const changes = {};
+  for (const [field, reportField] of Object.entries(REPORT_PROPERTY_FIELDS)) {
+    const value = s(report[reportField]);
+    if (value) changes[field] = value;
+  }
+
+  return updateProperty(property.id, changes);
+}
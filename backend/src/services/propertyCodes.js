@@ -0,0 +1,78 @@
+import { normalizeArabic } from './arabicText.js';
+
+/**
+ * Property code generation (used by addProperty when no code is given)
+ *
+ * PROPERTY_CODE_FORMAT is a template with {seq} and optionally {gov}:
+ * - "{seq}" (default)  → 1001, 1002... one sequence for the whole catalogue
+ * - "{gov}-{seq}"      → CAP-0001, MUH-0001... one sequence per governorate
+ * PROPERTY_CODE_DIGITS zero-pads {seq} (default 1 = no padding).
+ *
+ * Each distinct prefix/suffix gets its own counter (storage allocatePropertyNumber),
+ * seeded from the highest code of that shape already in the catalogue.
+ */
+
+const DEFAULT_FORMAT = '{seq}';
+
+const GOVERNORATES = [
+  { code: 'CAP', names: ['العاصمة', 'capital', 'manama'] },
+  { code: 'MUH', names: ['المحرق', 'muharraq'] },
+  { code: 'NOR', names: ['الشمالية', 'northern'] },
+  { code: 'SOU', names: ['الجنوبية', 'southern'] },
+  { code: 'CEN', names: ['الوسطى', 'central'] },
+];
+
+const UNKNOWN_GOVERNORATE = 'GEN';
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Short code of a governorate name (Arabic or English), GEN when unknown
+ */
+export function governorateCode(governorate) {
+  const name = normalizeArabic(governorate);
+  if (!name.trim()) return UNKNOWN_GOVERNORATE;
+
+  const match = GOVERNORATES.find((g) => g.names.some((n) => name.includes(normalizeArabic(n))));
+  return match ? match.code : UNKNOWN_GOVERNORATE;
+}
+
+export function getCodeFormat() {
+  const format = (process.env.PROPERTY_CODE_FORMAT || '').trim() || DEFAULT_FORMAT;
+  if (format.split('{seq}').length !== 2) {
+    console.warn(`⚠️  PROPERTY_CODE_FORMAT "${format}" must contain {seq} exactly once, using "${DEFAULT_FORMAT}"`);
+    return DEFAULT_FORMAT;
+  }
+  return format;
+}
+
+function getDigits() {
+  const digits = parseInt(process.env.PROPERTY_CODE_DIGITS, 10);
+  return Number.isInteger(digits) && digits > 0 && digits <= 10 ? digits : 1;
+}
+
+/**
+ * The code shape for a new property: { prefix, suffix, digits, counterKey }
+ */
+export function codeTemplate(governorate) {
+  const [prefix, suffix] = getCodeFormat().replaceAll('{gov}', governorateCode(governorate)).split('{seq}');
+  return { prefix, suffix, digits: getDigits(), counterKey: `property-code:${prefix}{seq}${suffix}` };
+}
+
+export function formatCode(template, number) {
+  return `${template.prefix}${String(number).padStart(template.digits, '0')}${template.suffix}`;
+}
+
+/**
+ * Highest {seq} among codes of this shape (0 when none)
+ */
+export function highestCodeNumber(codes, template) {
+  const pattern = new RegExp(`^${escapeRegExp(template.prefix)}(\\d+)${escapeRegExp(template.suffix)}$`, 'i');
+
+  return codes.reduce((max, code) => {
+    const match = String(code ?? '').trim().match(pattern);
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+}
@@ -0,0 +1,86 @@
+import { toCsv, writeXlsx } from './tabularFiles.js';
+import { getAllProperties, isArchived } from './propertiesService.js';
+
+/**
+ * Property Export Service
+ * The catalogue as CSV / XLSX (columns of the Properties sheet, re-importable through
+ * POST /api/properties/import) or GeoJSON for GIS tools (points from the stored latitude / longitude).
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' },
+};
+
+/**
+ * Properties sheet columns A:R (see storage/sheetsStore.js)
+ */
+const EXPORT_COLUMNS = [
+  'id',
+  'code',
+  'name',
+  'waqfType',
+  'propertyType',
+  'endowedTo',
+  'building',
+  'unitNumber',
+  'road',
+  'area',
+  'governorate',
+  'block',
+  'defaultLocationLink',
+  'postcode',
+  'archivedAt',
+  'updatedAt',
+  'latitude',
+  'longitude',
+];
+
+function toRows(properties) {
+  return [EXPORT_COLUMNS, ...properties.map((p) => EXPORT_COLUMNS.map((column) => p[column] ?? ''))];
+}
+
+/**
+ * RFC 7946 FeatureCollection; properties without coordinates get `geometry: null`
+ */
+function toGeoJson(properties) {
+  const features = properties.map((property) => {
+    const located = property.latitude != null && property.longitude != null;
+    return {
+      type: 'Feature',
+      id: property.id,
+      geometry: located ? { type: 'Point', coordinates: [property.longitude, property.latitude] } : null,
+      properties: Object.fromEntries(EXPORT_COLUMNS.map((column) => [column, property[column] ?? ''])),
+    };
+  });
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Export the catalogue (archived properties only with includeArchived)
+ * Returns { body, contentType, fileName, count, located } — located counts GeoJSON points.
+ */
+export async function exportProperties(format, { includeArchived = false } = {}) {
+  const target = EXPORT_FORMATS[format];
+  if (!target) throw new Error(`Unknown export format: ${format}`);
+
+  const allProperties = await getAllProperties();
+  const properties = includeArchived ? allProperties : allProperties.filter((p) => !isArchived(p));
+  const fileName = `properties-${new Date().toISOString().slice(0, 10)}.${target.extension}`;
+
+  let body;
+  let located;
+  if (format === 'csv') {
+    body = Buffer.from(toCsv(toRows(properties)), 'utf8');
+  } else if (format === 'xlsx') {
+    body = await writeXlsx(toRows(properties), { sheetName: 'Properties' });
+  } else {
+    const collection = toGeoJson(properties);
+    located = collection.features.filter((f) => f.geometry).length;
+    body = Buffer.from(JSON.stringify(collection), 'utf8');
+  }
+
+  return { body, contentType: target.contentType, fileName, count: properties.length, located };
+}
@@ -0,0 +1,344 @@
+import { getStore } from '../storage/index.js';
+import { PROPERTY_ID_COUNTER, highestNumericId, sameCode } from '../storage/propertyIds.js';
+import { normalizeArabic } from './arabicText.js';
+import { linkCoordinates, locationLinkError } from './locationLinks.js';
+import { parseTable } from './tabularFiles.js';
+import { EDITABLE_PROPERTY_FIELDS, getFreshProperties, invalidatePropertiesCache } from './propertiesService.js';
+
+/**
+ * Property Import Service
+ * Bulk create / update of the catalogue from a CSV or XLSX file (first row = headers).
+ *
+ * - Columns are matched to fields by header: field names (code, name...), the Arabic form labels
+ *   (رمز العقار, اسم العقار...) or both ("رمز العقار | Property Code");
+ *   `mapping` overrides this
+ * - Rows are matched to the catalogue by code: an existing code is updated, a new one is created
+ *   with the next IDs from the property-id counter
+ * - Empty cells never erase catalogue values (same rule as report → catalogue edits)
+ * - Nothing is written when a row is invalid, unless skipInvalid is set; dryRun only validates
+ * - The file is compared with the catalogue as stored (not the cache), and storage is checked again
+ *   just before writing: a code added or a row changed meanwhile → 409 IMPORT_CONFLICT, nothing written
+ */
+
+export const MAX_IMPORT_ROWS = 5000;
+
+const IMPORT_FIELDS = ['code', ...EDITABLE_PROPERTY_FIELDS];
+
+/**
+ * Header spellings recognised for each field (compared after normalizeHeader)
+ */
+const FIELD_ALIASES = {
+  code: ['code', 'property code', 'رمز العقار', 'الرمز', 'رقم العقار'],
+  name: ['name', 'property name', 'اسم العقار', 'الاسم'],
+  waqfType: ['waqf type', 'نوع الوقف'],
+  propertyType: ['property type', 'type', 'نوع العقار'],
+  endowedTo: ['endowed to', 'موقوف على'],
+  building: ['building', 'bldg', 'مبنى', 'المبنى'],
+  unitNumber: ['unit number', 'unit', 'رقم الوحدة'],
+  road: ['road', 'street', 'road / street', 'طريق', 'شارع', 'طريق / شارع', 'طريق \\ شارع'],
+  area: ['area', 'المنطقة'],
+  governorate: ['governorate', 'المحافظة'],
+  block: ['block', 'complex', 'مجمع', 'المجمع'],
+  defaultLocationLink: ['default location link', 'location link', 'location', 'رابط الموقع', 'الموقع'],
+  postcode: ['postcode', 'postal code', 'zip', 'الرمز البريدي'],
+};
+
+// Fields compared to tell whether a row changed between the comparison and the write
+const STORED_FIELDS = ['code', ...EDITABLE_PROPERTY_FIELDS, 'archivedAt'];
+
+function s(v) {
+  return (v ?? '').toString().trim();
+}
+
+function httpError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * "Property Code", "property_code" and "propertyCode" all become "propertycode"
+ */
+function normalizeHeader(header) {
+  return normalizeArabic(header).replace(/[\s_\-/\\|.:]+/g, '');
+}
+
+const ALIAS_LOOKUP = new Map(
+  Object.entries(FIELD_ALIASES).flatMap(([field, aliases]) =>
+    [field, ...aliases].map((alias) => [normalizeHeader(alias), field])
+  )
+);
+
+/**
+ * Field of a header cell; bilingual headers ("رمز العقار | Property Code") match on either part
+ */
+function fieldForHeader(header) {
+  for (const part of [header, ...String(header).split('|')]) {
+    const field = ALIAS_LOOKUP.get(normalizeHeader(part));
+    if (field) return field;
+  }
+  return null;
+}
+
+/**
+ * Column index of every imported field: { field: columnIndex }, plus the headers left unused
+ * `mapping` is { field: header } — a header name or a 1-based column number; an empty value skips the field.
+ */
+export function resolveColumns(headers, mapping = {}) {
+  const columns = {};
+  const used = new Set();
+
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS.includes(field)) {
+      throw httpError(400, 'INVALID_IMPORT_MAPPING', `Unknown property field in mapping: ${field}`);
+    }
+    if (!s(header)) {
+      columns[field] = null;
+      continue;
+    }
+
+    const position = /^\d+$/.test(s(header)) ? parseInt(header, 10) - 1 : -1;
+    const index =
+      position >= 0 && position < headers.length
+        ? position
+        : headers.findIndex((h) => normalizeHeader(h) === normalizeHeader(header));
+
+    if (index < 0) {
+      throw httpError(400, 'INVALID_IMPORT_MAPPING', `Column "${header}" (mapped to ${field}) is not in the file`);
+    }
+    columns[field] = index;
+    used.add(index);
+  }
+
+  headers.forEach((header, index) => {
+    if (used.has(index)) return;
+    const field = fieldForHeader(header);
+    if (field && columns[field] === undefined) {
+      columns[field] = index;
+      used.add(index);
+    }
+  });
+
+  for (const field of Object.keys(columns)) {
+    if (columns[field] === null) delete columns[field];
+  }
+
+  if (columns.code === undefined) {
+    throw httpError(400, 'IMPORT_CODE_COLUMN_MISSING', 'No property code column found; add a "code" header or map one');
+  }
+
+  return {
+    columns,
+    ignoredColumns: headers.filter((header, index) => s(header) && !used.has(index)),
+  };
+}
+
+function isValidLink(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Row values → { values, errors } (values holds only the non-empty cells)
+ */
+function readRow(row, columns) {
+  const values = {};
+  const errors = [];
+
+  for (const [field, index] of Object.entries(columns)) {
+    const value = s(row[index]);
+    if (value) values[field] = value;
+  }
+
+  if (!values.code) {
+    errors.push({ field: 'code', message: 'Property code is required' });
+  }
+  if (values.defaultLocationLink && !isValidLink(values.defaultLocationLink)) {
+    errors.push({ field: 'defaultLocationLink', message: 'Location link must be an http(s) URL' });
+  } else if (values.defaultLocationLink && locationLinkError(values.defaultLocationLink)) {
+    errors.push({ field: 'defaultLocationLink', message: locationLinkError(values.defaultLocationLink) });
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Validate and apply the rows of an import file
+ * Options: mapping ({ field: header }), dryRun (validate only), skipInvalid (import the valid rows).
+ * Row numbers in the result are spreadsheet rows (the header is row 1).
+ * Invalid rows without dryRun / skipInvalid → 422 IMPORT_VALIDATION_FAILED carrying the result; nothing is written.
+ */
+/**
+ * Rows of the file that no longer apply to storage as it is now: [{ row, code, message }]
+ * (a code created by someone else, a property changed or removed since the comparison)
+ */
+async function findImportConflicts(toCreate, toUpdate) {
+  const stored = await getStore().getAllProperties();
+  const conflicts = [];
+
+  for (const { row, values } of toCreate) {
+    if (stored.some((p) => sameCode(p.code, values.code))) {
+      conflicts.push({ row, code: values.code, message: 'Code added to the catalogue meanwhile' });
+    }
+  }
+
+  for (const { row, before } of toUpdate) {
+    const now = stored.find((p) => s(p.id) === s(before.id));
+    if (!now) {
+      conflicts.push({ row, code: before.code, message: 'Property removed from the catalogue meanwhile' });
+    } else if (STORED_FIELDS.some((f) => s(now[f]) !== s(before[f]))) {
+      conflicts.push({ row, code: before.code, message: 'Property changed in the catalogue meanwhile' });
+    }
+  }
+
+  return conflicts;
+}
+
+export async function importProperties(buffer, { mapping = {}, dryRun = false, skipInvalid = false } = {}) {
+  let table;
+  try {
+    table = await parseTable(buffer);
+  } catch (error) {
+    throw httpError(400, 'INVALID_IMPORT_FILE', `Could not read the file as CSV or XLSX: ${error?.message || error}`);
+  }
+
+  const [headers = [], ...rows] = table;
+  if (!rows.length) {
+    throw httpError(400, 'INVALID_IMPORT_FILE', 'The file has no data rows');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw httpError(400, 'IMPORT_TOO_LARGE', `The file has ${rows.length} rows; at most ${MAX_IMPORT_ROWS} per import`);
+  }
+
+  const { columns, ignoredColumns } = resolveColumns(headers, mapping);
+  const existing = await getFreshProperties();
+
+  const errors = [];
+  const results = [];
+  const toCreate = [];
+  const toUpdate = [];
+  const seenCodes = new Map(); // normalized code → row number
+
+  rows.forEach((row, i) => {
+    const rowNumber = i + 2;
+    if (row.every((cell) => !s(cell))) return;
+
+    const { values, errors: rowErrors } = readRow(row, columns);
+    const codeKey = s(values.code).toLowerCase();
+
+    if (codeKey && seenCodes.has(codeKey)) {
+      rowErrors.push({ field: 'code', message: `Duplicate code in file (first on row ${seenCodes.get(codeKey)})` });
+    } else if (codeKey) {
+      seenCodes.set(codeKey, rowNumber);
+    }
+
+    if (rowErrors.length) {
+      rowErrors.forEach((e) => errors.push({ row: rowNumber, code: values.code || '', ...e }));
+      results.push({ row: rowNumber, code: values.code || '', action: 'skipped', changedFields: [] });
+      return;
+    }
+
+    const current = existing.find((p) => sameCode(p.code, values.code));
+
+    if (!current) {
+      toCreate.push({ row: rowNumber, values });
+      results.push({
+        row: rowNumber,
+        code: values.code,
+        action: 'created',
+        changedFields: EDITABLE_PROPERTY_FIELDS.filter((f) => values[f]),
+      });
+      return;
+    }
+
+    const changedFields = EDITABLE_PROPERTY_FIELDS.filter((f) => values[f] && values[f] !== s(current[f]));
+    if (changedFields.length) {
+      const property = { ...current };
+      changedFields.forEach((f) => (property[f] = values[f]));
+      if (changedFields.includes('defaultLocationLink')) {
+        Object.assign(property, linkCoordinates(property.defaultLocationLink));
+      }
+      toUpdate.push({ row: rowNumber, before: current, property });
+    }
+    results.push({
+      row: rowNumber,
+      id: current.id,
+      code: current.code,
+      action: changedFields.length ? 'updated' : 'unchanged',
+      changedFields,
+    });
+  });
+
+  const summary = {
+    dryRun,
+    total: results.length,
+    created: toCreate.length,
+    updated: toUpdate.length,
+    unchanged: results.filter((r) => r.action === 'unchanged').length,
+    skipped: results.filter((r) => r.action === 'skipped').length,
+    errors,
+    ignoredColumns,
+    results,
+  };
+
+  if (errors.length && !dryRun && !skipInvalid) {
+    const message = `${errors.length} error(s) in the file; nothing was imported`;
+    const error = httpError(422, 'IMPORT_VALIDATION_FAILED', message);
+    error.result = { ...summary, created: 0, updated: 0 };
+    throw error;
+  }
+
+  if (dryRun || (!toCreate.length && !toUpdate.length)) return summary;
+
+  const conflicts = await findImportConflicts(toCreate, toUpdate);
+  if (conflicts.length) {
+    invalidatePropertiesCache();
+    const error = httpError(
+      409,
+      'IMPORT_CONFLICT',
+      `${conflicts.length} row(s) changed in the catalogue during the import; nothing was imported, try again`
+    );
+    error.result = { ...summary, created: 0, updated: 0, conflicts };
+    throw error;
+  }
+
+  try {
+    if (toCreate.length) {
+      const firstId = await getStore().allocatePropertyNumber(
+        PROPERTY_ID_COUNTER,
+        (properties) => highestNumericId(properties.map((p) => p.id)),
+        toCreate.length
+      );
+
+      const created = toCreate.map(({ row, values }, i) => {
+        const property = { id: String(firstId + i), code: values.code };
+        for (const field of EDITABLE_PROPERTY_FIELDS) property[field] = values[field] || '';
+        property.name = property.name || `عقار ${values.code}`;
+        Object.assign(property, linkCoordinates(property.defaultLocationLink));
+
+        results.find((r) => r.row === row).id = property.id;
+        return property;
+      });
+
+      await getStore().appendProperties(created);
+    }
+
+    if (toUpdate.length) {
+      const now = new Date().toISOString();
+      await getStore().updateProperties(toUpdate.map(({ property }) => ({ ...property, updatedAt: now })));
+    }
+  } finally {
+    invalidatePropertiesCache();
+  }
+
+  console.log(
+    `📥 Property import: ${summary.created} created, ${summary.updated} updated, ` +
+      `${summary.unchanged} unchanged, ${summary.skipped} skipped`
+  );
+
+  return summary;
+}
@@ -0,0 +1,129 @@
+import { normalizeArabic, tokenize } from './arabicText.js';
+
+/**
+ * Property search ranking
+ * Pure functions over a list of properties — used by propertiesService and by the mock server (server/),
+ * so both environments return the same results for the same query.
+ *
+ * - Every query word must match a word (or the start of one) in some searchable field
+ * - Fields are weighted: code > name > building / postcode > road / block / area > governorate
+ * - A code equal to, or starting with, the whole query is boosted to the top
+ */
+
+const FIELD_WEIGHTS = {
+  code: 10,
+  name: 6,
+  building: 4,
+  postcode: 4,
+  road: 3,
+  block: 3,
+  area: 3,
+  governorate: 1,
+};
+
+export const SEARCH_FIELDS = Object.keys(FIELD_WEIGHTS);
+
+const EXACT_CODE_BOOST = 1000;
+const CODE_PREFIX_BOOST = 500;
+
+/**
+ * How well one query word matches one field: 3 = whole word, 2 = word prefix, 1 = inside the text
+ */
+function wordScore(term, fieldWords, fieldText) {
+  if (fieldWords.includes(term)) return 3;
+  if (fieldWords.some((w) => w.startsWith(term))) return 2;
+  if (fieldText.includes(term)) return 1;
+  return 0;
+}
+
+function scoreProperty(property, query, terms) {
+  const code = normalizeArabic(property.code).trim();
+  let score = 0;
+
+  if (code && code === query) score += EXACT_CODE_BOOST;
+  else if (code && code.startsWith(query)) score += CODE_PREFIX_BOOST;
+
+  const fields = SEARCH_FIELDS.map((field) => {
+    const text = normalizeArabic(property[field]);
+    return { weight: FIELD_WEIGHTS[field], text, words: tokenize(text) };
+  });
+
+  for (const term of terms) {
+    let best = 0;
+    for (const field of fields) {
+      best = Math.max(best, wordScore(term, field.words, field.text) * field.weight);
+    }
+
+    // A word that matches nothing rules the property out, unless the whole query is its code
+    if (!best && score < CODE_PREFIX_BOOST) return 0;
+    score += best;
+  }
+
+  return score;
+}
+
+/**
+ * Rank properties for a search query
+ * Returns { properties, total } — total counts every match, properties holds the best `limit`.
+ */
+export function rankProperties(properties, query, { limit = 20 } = {}) {
+  const normalizedQuery = normalizeArabic(query).trim();
+  const terms = [...new Set(tokenize(query))];
+  if (!normalizedQuery || !terms.length) return { properties: [], total: 0 };
+
+  const matches = [];
+  for (const property of properties) {
+    const score = scoreProperty(property, normalizedQuery, terms);
+    if (score > 0) matches.push({ property, score });
+  }
+
+  matches.sort(
+    (a, b) =>
+      b.score - a.score || String(a.property.code).localeCompare(String(b.property.code), 'en', { numeric: true })
+  );
+
+  return {
+    properties: matches.slice(0, limit).map((m) => m.property),
+    total: matches.length,
+  };
+}
+
+// ============================================================================
+// Nearby (GPS)
+// ============================================================================
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Great-circle (haversine) distance in metres between two { lat, lng } points
+ */
+export function distanceMeters(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Properties with coordinates within `radius` metres of `point`, nearest first
+ * Returns { properties, total }; each property gets `distance` (whole metres).
+ */
+export function nearbyProperties(properties, point, { radius = 1000, limit = 20 } = {}) {
+  const matches = [];
+  for (const property of properties) {
+    const lat = property.latitude;
+    const lng = property.longitude;
+    if (typeof lat !== 'number' || typeof lng !== 'number') continue;
+
+    const distance = distanceMeters(point, { lat, lng });
+    if (distance <= radius) matches.push({ ...property, distance: Math.round(distance) });
+  }
+
+  matches.sort((a, b) => a.distance - b.distance);
+
+  return {
+    properties: matches.slice(0, limit),
+    total: matches.length,
+  };
+}
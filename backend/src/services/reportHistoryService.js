@@ -0,0 +1,199 @@
+import { getStore } from '../storage/index.js';
+
+/**
+ * Report History Service
+ * - Keeps one full snapshot per revision of a report (ReportHistory tab / reportHistory.json)
+ * - Diffs are computed on read, between consecutive snapshots
+ * - Revision numbers come from a per-report counter (allocateRevisionNumber), so two edits saved
+ *   at the same time never get the same number
+ *
+ * Revision sources:
+ * - "submit"   → POST /api/reports (revision 1)
+ * - "api"      → PUT / PATCH /api/reports/:id
+ * - "direct"   → row changed outside the API (e.g. typed into the Reports sheet);
+ *                detected on the next history read or edit, so changedAt is the detection time
+ * - "baseline" → report submitted before history existed; first snapshot taken on detection
+ */
+
+// Plain text fields compared one by one (counts are derived from the lists, so skipped)
+const SCALAR_FIELDS = [
+  'propertyId',
+  'propertyCode',
+  'propertyName',
+  'waqfType',
+  'propertyType',
+  'endowedTo',
+  'building',
+  'unitNumber',
+  'road',
+  'area',
+  'governorate',
+  'block',
+  'locationDescription',
+  'locationLink',
+  'visitType',
+  'complaint',
+  'corrector',
+  'inspectorName',
+  'floorsCount',
+  'flatsCount',
+  'additionalNotes',
+];
+
+function s(v) {
+  return (v ?? '').toString().trim();
+}
+
+/**
+ * Added/removed items between two lists (duplicates are counted)
+ */
+function listDiff(before = [], after = []) {
+  const added = [...after];
+  const removed = [];
+
+  for (const item of before) {
+    const i = added.indexOf(item);
+    if (i === -1) removed.push(item);
+    else added.splice(i, 1);
+  }
+
+  return { added, removed };
+}
+
+function diffFindings(before = [], after = []) {
+  const changes = [];
+
+  for (let i = 0; i < Math.max(before.length, after.length); i++) {
+    const prev = before[i];
+    const next = after[i];
+
+    if (!prev) {
+      changes.push({ index: i + 1, change: 'added', text: s(next.text), photos: next.photos || [] });
+      continue;
+    }
+
+    if (!next) {
+      changes.push({ index: i + 1, change: 'removed', text: s(prev.text), photos: prev.photos || [] });
+      continue;
+    }
+
+    const photos = listDiff(prev.photos, next.photos);
+    const textChanged = s(prev.text) !== s(next.text);
+
+    if (textChanged || photos.added.length || photos.removed.length) {
+      changes.push({
+        index: i + 1,
+        change: 'modified',
+        text: textChanged ? { before: s(prev.text), after: s(next.text) } : undefined,
+        photosAdded: photos.added,
+        photosRemoved: photos.removed,
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Field-level diff between two report records
+ */
+export function diffReports(before, after) {
+  const fields = SCALAR_FIELDS.filter((field) => s(before?.[field]) !== s(after?.[field])).map((field) => ({
+    field,
+    before: s(before?.[field]),
+    after: s(after?.[field]),
+  }));
+
+  const fileKey = (f) => f?.url || f?.name || '';
+
+  return {
+    fields,
+    findings: diffFindings(before?.findings, after?.findings),
+    actions: listDiff(before?.actions, after?.actions),
+    mainPhotos: listDiff(before?.mainPhotosUrls, after?.mainPhotosUrls),
+    complaintFiles: listDiff(
+      (before?.complaintFiles || []).map(fileKey),
+      (after?.complaintFiles || []).map(fileKey)
+    ),
+  };
+}
+
+export function hasChanges(diff) {
+  return Boolean(
+    diff.fields.length ||
+      diff.findings.length ||
+      diff.actions.added.length ||
+      diff.actions.removed.length ||
+      diff.mainPhotos.added.length ||
+      diff.mainPhotos.removed.length ||
+      diff.complaintFiles.added.length ||
+      diff.complaintFiles.removed.length
+  );
+}
+
+/**
+ * Store a new snapshot of a report as its next revision
+ */
+export async function recordRevision(record, { source, changedBy = '' }, history = null) {
+  const store = getStore();
+  const entries = history || (await store.getReportHistory(record.reportId));
+
+  const entry = {
+    reportId: record.reportId,
+    revision: await store.allocateRevisionNumber(record.reportId),
+    changedAt: new Date().toISOString(),
+    changedBy: s(changedBy),
+    source,
+    snapshot: record,
+  };
+
+  await store.appendReportHistory(entry);
+  return [...entries, entry];
+}
+
+/**
+ * Make sure the latest revision matches the stored report,
+ * recording direct edits (or a first baseline) when it does not.
+ */
+export async function syncReportHistory(report) {
+  const history = await getStore().getReportHistory(report.reportId);
+  const latest = history[history.length - 1];
+
+  if (latest && !hasChanges(diffReports(latest.snapshot, report))) {
+    return history;
+  }
+
+  const source = latest ? 'direct' : 'baseline';
+  const entries = await recordRevision(report, { source }, history);
+  console.log(`📝 Report ${report.reportId}: recorded ${source} revision ${entries[entries.length - 1].revision}`);
+
+  return entries;
+}
+
+/**
+ * Revisions of a report, oldest first, each with its diff against the previous one
+ */
+export async function getReportHistory(report) {
+  try {
+    const history = await syncReportHistory(report);
+
+    return history.map((entry, i) => ({
+      revision: entry.revision,
+      changedAt: entry.changedAt,
+      changedBy: entry.changedBy,
+      source: entry.source,
+      changes: i === 0 ? null : diffReports(history[i - 1].snapshot, entry.snapshot),
+    }));
+  } catch (error) {
+    console.error('Error fetching report history:', error.message);
+    throw new Error('Failed to fetch report history from database');
+  }
+}
+
+/**
+ * Current revision number of a report (syncs first, so always >= 1)
+ */
+export async function getCurrentRevision(report) {
+  const history = await syncReportHistory(report);
+  return history[history.length - 1]?.revision || 0;
+}
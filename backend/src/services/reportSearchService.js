@@ -0,0 +1,249 @@
+import { getStore } from '../storage/index.js';
+import { normalizeWord, WORD_PATTERN } from './arabicText.js';
+
+/**
+ * Report Search Service
+ * - In-memory inverted index over complaint, findings, actions and additional notes
+ * - Built from the storage adapter on first search, updated on submit / edit,
+ *   and rebuilt after SEARCH_INDEX_TTL_MINUTES (default 10) to pick up direct sheet edits
+ *
+ * Words are compared after Arabic normalization (see arabicText.js),
+ * and query words match word prefixes (تسرب → تسربات): the words of the index are kept sorted,
+ * so the words starting with a query word are found by binary search
+ */
+
+const SNIPPET_RADIUS = 60;
+export const MAX_QUERY_WORDS = 10;
+
+// { builtAt, reports: Map<reportId, doc>, tokens: Map<token, Set<reportId>>,
+//   sorted: the keys of tokens in order, null until the next search after a word was added or removed }
+let index = null;
+let building = null;
+
+function getTtlMs() {
+  const minutes = parseFloat(process.env.SEARCH_INDEX_TTL_MINUTES);
+  return (Number.isFinite(minutes) && minutes >= 0 ? minutes : 10) * 60 * 1000;
+}
+
+/**
+ * Words of a text with their positions in the original string
+ */
+function words(text) {
+  const result = [];
+  for (const match of String(text ?? '').matchAll(WORD_PATTERN)) {
+    const token = normalizeWord(match[0]);
+    if (token) result.push({ token, start: match.index, end: match.index + match[0].length });
+  }
+  return result;
+}
+
+function buildDoc(report) {
+  const fields = [];
+  const add = (field, text, position) => {
+    if (!String(text ?? '').trim()) return;
+    fields.push({ field, position, text: String(text), words: words(text) });
+  };
+
+  add('complaint', report.complaint);
+  (report.findings || []).forEach((f, i) => add('finding', f?.text, i + 1));
+  (report.actions || []).forEach((a, i) => add('action', typeof a === 'string' ? a : a?.text, i + 1));
+  add('additionalNotes', report.additionalNotes);
+
+  return {
+    reportId: report.reportId,
+    submitDate: report.submitDate || '',
+    propertyCode: report.propertyCode || '',
+    propertyName: report.propertyName || '',
+    visitType: report.visitType || '',
+    fields,
+  };
+}
+
+function addDoc(target, doc) {
+  target.reports.set(doc.reportId, doc);
+
+  for (const field of doc.fields) {
+    for (const { token } of field.words) {
+      if (!target.tokens.has(token)) {
+        target.tokens.set(token, new Set());
+        target.sorted = null;
+      }
+      target.tokens.get(token).add(doc.reportId);
+    }
+  }
+}
+
+function removeDoc(target, reportId) {
+  const doc = target.reports.get(reportId);
+  if (!doc) return;
+
+  for (const field of doc.fields) {
+    for (const { token } of field.words) {
+      const ids = target.tokens.get(token);
+      ids?.delete(reportId);
+      if (ids && ids.size === 0) {
+        target.tokens.delete(token);
+        target.sorted = null;
+      }
+    }
+  }
+
+  target.reports.delete(reportId);
+}
+
+async function buildIndex() {
+  const reports = await getStore().getAllReports();
+  const next = { builtAt: Date.now(), reports: new Map(), tokens: new Map(), sorted: null };
+
+  for (const report of reports) {
+    if (report?.reportId) addDoc(next, buildDoc(report));
+  }
+
+  console.log(`🔎 Search index built: ${next.reports.size} reports, ${next.tokens.size} words`);
+  return next;
+}
+
+async function getIndex() {
+  if (index && Date.now() - index.builtAt < getTtlMs()) return index;
+
+  if (!building) {
+    building = buildIndex()
+      .then((built) => {
+        index = built;
+        return built;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+
+  return building;
+}
+
+/**
+ * Add or replace one report in the index (no-op until the index has been built)
+ */
+export function indexReport(report) {
+  if (!index || !report?.reportId) return;
+  removeDoc(index, report.reportId);
+  addDoc(index, buildDoc(report));
+}
+
+/**
+ * Report IDs containing a word starting with `term`
+ */
+function reportsWithPrefix(target, term) {
+  if (!target.sorted) target.sorted = [...target.tokens.keys()].sort();
+  const { sorted } = target;
+
+  // First word >= term; the words starting with term follow it
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (sorted[mid] < term) low = mid + 1;
+    else high = mid;
+  }
+
+  const ids = new Set();
+  for (let i = low; i < sorted.length && sorted[i].startsWith(term); i++) {
+    target.tokens.get(sorted[i]).forEach((id) => ids.add(id));
+  }
+  return ids;
+}
+
+function escapeHtml(s) {
+  return s
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+/**
+ * Snippet around the first hit, with <mark> around every matched word
+ */
+function buildSnippet(field, hits) {
+  const first = hits[0];
+  const from = Math.max(0, first.start - SNIPPET_RADIUS);
+  const to = Math.min(field.text.length, first.end + SNIPPET_RADIUS);
+
+  let highlighted = '';
+  let cursor = from;
+
+  for (const hit of hits) {
+    if (hit.start < from || hit.end > to) continue;
+    highlighted += escapeHtml(field.text.slice(cursor, hit.start));
+    highlighted += `<mark>${escapeHtml(field.text.slice(hit.start, hit.end))}</mark>`;
+    cursor = hit.end;
+  }
+  highlighted += escapeHtml(field.text.slice(cursor, to));
+
+  const prefix = from > 0 ? '…' : '';
+  const suffix = to < field.text.length ? '…' : '';
+
+  return {
+    snippet: `${prefix}${field.text.slice(from, to)}${suffix}`,
+    highlighted: `${prefix}${highlighted}${suffix}`,
+  };
+}
+
+/**
+ * Search reports; every query word must appear somewhere in the report
+ * Results are ranked by number of matched words (complaint/findings count double), newest first on ties.
+ */
+export async function searchReports(query, { limit = 20 } = {}) {
+  const terms = [...new Set(words(query).map((w) => w.token))];
+  if (!terms.length) return { total: 0, results: [] };
+  if (terms.length > MAX_QUERY_WORDS) {
+    const error = new Error(`Search at most ${MAX_QUERY_WORDS} words at a time`);
+    error.status = 400;
+    error.code = 'TOO_MANY_SEARCH_WORDS';
+    throw error;
+  }
+
+  const target = await getIndex();
+
+  let candidates = null;
+  for (const term of terms) {
+    const ids = reportsWithPrefix(target, term);
+    candidates = candidates ? new Set([...candidates].filter((id) => ids.has(id))) : ids;
+    if (!candidates.size) break;
+  }
+
+  const results = [...candidates].map((reportId) => {
+    const doc = target.reports.get(reportId);
+    let score = 0;
+
+    const matches = doc.fields
+      .map((field) => {
+        const hits = field.words.filter((w) => terms.some((t) => w.token.startsWith(t)));
+        if (!hits.length) return null;
+
+        score += hits.length * (field.field === 'complaint' || field.field === 'finding' ? 2 : 1);
+
+        return {
+          field: field.field,
+          ...(field.field === 'finding' ? { findingIndex: field.position } : {}),
+          ...(field.field === 'action' ? { actionIndex: field.position } : {}),
+          ...buildSnippet(field, hits),
+        };
+      })
+      .filter(Boolean);
+
+    return {
+      reportId,
+      submitDate: doc.submitDate,
+      propertyCode: doc.propertyCode,
+      propertyName: doc.propertyName,
+      visitType: doc.visitType,
+      score,
+      matches,
+    };
+  });
+
+  results.sort((a, b) => b.score - a.score || b.submitDate.localeCompare(a.submitDate));
+
+  return { total: results.length, results: results.slice(0, limit) };
+}
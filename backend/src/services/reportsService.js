@@ -1,47 +1,242 @@
-import { getSheetsClient } from '../config/google-hybrid.js';
+import { getStore, getStorageDriverName } from '../storage/index.js';
+import { getFileStore } from '../storage/files.js';
 import { formatInTimeZone } from 'date-fns-tz';
+import { recordRevision, syncReportHistory } from './reportHistoryService.js';
+import { indexReport } from './reportSearchService.js';
+import { withCoordinates } from './locationLinks.js';
+import { distanceMeters } from './propertySearch.js';
+import { getPropertyById } from './propertiesService.js';
+import { findDuplicatePhoto, sanitizePhotoHashes } from './photoHashes.js';
 
 /**
- * Reports Sheet Structure:
- * Column A: reportId (REPORT-001, REPORT-002, etc.)
- * Column B: submitDate (YYYY-MM-DD format)
- * Column C: submitTime (HH:mm:ss format, Bahrain time)
- * Column D: propertyId
- * Column E: propertyCode
- * Column F: propertyName
- * Column G: waqfType (نوع الوقف)
- * Column H: propertyType (نوع العقار)
- * Column I: endowedTo (موقوف على)
- * Column J: building (مبنى)
- * Column K: unitNumber (رقم الوحدة)
- * Column L: road (طريق / شارع)
- * Column M: area (المنطقة)
- * Column N: governorate (المحافظة)
- * Column O: block (مجمع)
- * Column P: locationDescription
- * Column Q: locationLink
- * Column R: visitType
- * Column S: complaint
- * Column T: complaintFilesCount
- * Column U: complaintFiles (JSON string)
- * Column V: mainPhotosCount
- * Column W: mainPhotosUrls (JSON string)
- * Column X: findingsCount
- * Column Y: findings (JSON string)
- * Column Z: actionsCount
- * Column AA: actions (JSON string)
- * Column AB: corrector
- * Column AC: inspectorName
- * Column AD: floorsCount (عدد الطوابق)
- * Column AE: flatsCount (عدد الشقق)
- * Column AF: additionalNotes (ملاحظات إضافية)
+ * Reports Service
+ * - Builds report records from the frontend payload (IDs, Bahrain timestamps, URL lists)
+ * - Persists/reads them through the storage adapter (see storage/index.js)
  *
- * OPTIONAL (recommended for exports caching later):
- * Column AG: exports (JSON string: { pdfUrl, zipUrl, folderUrl, pdfName, zipName, generatedAt })
+ * Record fields mirror the Reports sheet columns A:AM (see storage/sheetsStore.js).
+ * latitude / longitude come from locationLink (see locationLinks.js), or from the payload
+ * when the link has no readable coordinates.
+ *
+ * GPS evidence: the form sends the device position at visit start and at submit
+ * (visitStartLocation / submitLocation). saveReport() adds each one's distance to the property's
+ * coordinates, and flags the report (locationFlagged) when the submit position, even allowing for
+ * its accuracy, is more than GPS_FLAG_DISTANCE_METERS (default 300) away. Edits never change it.
+ *
+ * Photo metadata: photos carry the EXIF data and thumbnail /api/upload returned (`exif`, `thumbnailUrl`);
+ * they are stored per URL in photoMetadata, with takenBeforeVisit set when the capture date is before
+ * the visit date.
+ *
+ * Duplicate photos: photos also carry their upload hashes (`sha256`, `perceptualHash`, see photoHashes.js).
+ * On submit and on edit each photo gets duplicateOf ({ reportId, url, match, distance }, else null) when it
+ * repeats an earlier photo of the same report or a photo of an earlier report for the same property.
  */
 
 const BAHRAIN_TIMEZONE = 'Asia/Bahrain';
 
+/**
+ * Report ID format
+ * - REPORT_ID_PREFIX: "{year}" is replaced by the Bahrain year, and each resolved
+ *   prefix has its own sequence (e.g. "REPORT-{year}" → REPORT-2026-0001, restarting every year)
+ * - REPORT_ID_DIGITS: zero padding of the number
+ */
+function getReportIdPrefix(now) {
+  const template = (process.env.REPORT_ID_PREFIX || 'REPORT').trim();
+  return template.replaceAll('{year}', formatInTimeZone(now, BAHRAIN_TIMEZONE, 'yyyy'));
+}
+
+function getReportIdDigits() {
+  const digits = parseInt(process.env.REPORT_ID_DIGITS, 10);
+  return Number.isFinite(digits) && digits > 0 ? digits : 3;
+}
+
+async function allocateReportId(store, now) {
+  const prefix = getReportIdPrefix(now);
+  const number = await store.allocateReportNumber(prefix);
+  return `${prefix}-${String(number).padStart(getReportIdDigits(), '0')}`;
+}
+
+function getGpsFlagDistance() {
+  const metres = parseFloat(process.env.GPS_FLAG_DISTANCE_METERS);
+  return Number.isFinite(metres) && metres > 0 ? metres : 300;
+}
+
+/**
+ * A device position from the payload → { latitude, longitude, accuracy, capturedAt } or null
+ */
+function sanitizeGpsFix(fix) {
+  if (!fix || typeof fix !== 'object') return null;
+
+  const latitude = Number(fix.latitude);
+  const longitude = Number(fix.longitude);
+  const accuracy = Number(fix.accuracy);
+  if (!Number.isFinite(latitude) || Math.abs(latitude) > 90) return null;
+  if (!Number.isFinite(longitude) || Math.abs(longitude) > 180) return null;
+
+  const capturedAt = new Date(fix.capturedAt);
+
+  return {
+    latitude,
+    longitude,
+    accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? Math.round(accuracy) : null,
+    capturedAt: Number.isNaN(capturedAt.getTime()) ? '' : capturedAt.toISOString(),
+  };
+}
+
+/**
+ * Distance of each captured position to the property, and the "far from the property" flag
+ */
+async function checkVisitLocation(record) {
+  const property = record.propertyId ? await getPropertyById(record.propertyId) : null;
+  const target =
+    property && property.latitude != null && property.longitude != null
+      ? { lat: property.latitude, lng: property.longitude }
+      : null;
+
+  for (const field of ['visitStartLocation', 'submitLocation']) {
+    const fix = record[field];
+    if (!fix) continue;
+    fix.distance = target ? Math.round(distanceMeters(target, { lat: fix.latitude, lng: fix.longitude })) : null;
+  }
+
+  const fix = record.submitLocation || record.visitStartLocation;
+  record.distanceFromProperty = fix?.distance ?? null;
+  record.locationFlagged = fix?.distance != null && fix.distance - (fix.accuracy || 0) > getGpsFlagDistance();
+}
+
+/**
+ * EXIF data sent back by the form → { capturedAt, latitude, longitude, cameraMake, cameraModel } or null
+ */
+function sanitizeExif(exif) {
+  if (!exif || typeof exif !== 'object') return null;
+
+  const number = (value) => (value === null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+  const text = (value) => String(value ?? '').trim().slice(0, 100) || null;
+  const capturedAt = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}([+-]\d{2}:\d{2}|Z)?$/.test(exif.capturedAt)
+    ? exif.capturedAt
+    : null;
+
+  const metadata = {
+    capturedAt,
+    latitude: number(exif.latitude),
+    longitude: number(exif.longitude),
+    cameraMake: text(exif.cameraMake),
+    cameraModel: text(exif.cameraModel),
+  };
+  return Object.values(metadata).some((value) => value !== null) ? metadata : null;
+}
+
+function sanitizeThumbnailUrl(url) {
+  return /^https?:\/\//i.test(String(url ?? '')) ? String(url) : null;
+}
+
+const EXIF_FIELDS = ['capturedAt', 'latitude', 'longitude', 'cameraMake', 'cameraModel'];
+
+/**
+ * [{ url, thumbnailUrl, capturedAt, latitude, longitude, cameraMake, cameraModel, sha256, perceptualHash }]
+ * for every main / finding photo that has a thumbnail, EXIF data or hashes
+ */
+function buildPhotoMetadata(report) {
+  const photos = [...(report.mainPhotos || []), ...(report.findings || []).flatMap((f) => f.photos || [])];
+  const metadata = [];
+
+  for (const photo of photos) {
+    const url = photo?.uploadedUrl || photo?.url;
+    const thumbnailUrl = sanitizeThumbnailUrl(photo?.thumbnailUrl);
+    const exif = sanitizeExif(photo?.exif);
+    const hashes = sanitizePhotoHashes(photo);
+    const hasHashes = Boolean(hashes.sha256 || hashes.perceptualHash);
+    if (!url || (!thumbnailUrl && !exif && !hasHashes) || metadata.some((m) => m.url === url)) continue;
+    metadata.push({
+      url,
+      thumbnailUrl,
+      ...Object.fromEntries(EXIF_FIELDS.map((f) => [f, exif?.[f] ?? null])),
+      ...hashes,
+    });
+  }
+
+  return metadata;
+}
+
+/**
+ * Bahrain date of a capture time; EXIF times without an offset are camera local time
+ */
+function captureDate(capturedAt) {
+  if (!capturedAt) return '';
+  if (!/([+-]\d{2}:\d{2}|Z)$/.test(capturedAt)) return capturedAt.slice(0, 10);
+  return formatInTimeZone(new Date(capturedAt), BAHRAIN_TIMEZONE, 'yyyy-MM-dd');
+}
+
+/**
+ * Set takenBeforeVisit on each photo: the visit date is the day the visit started, else the submit date
+ */
+function markPhotosBeforeVisit(record) {
+  const visitDate = captureDate(record.visitStartLocation?.capturedAt) || record.submitDate || '';
+
+  for (const photo of record.photoMetadata) {
+    const taken = captureDate(photo.capturedAt);
+    photo.takenBeforeVisit = Boolean(taken && visitDate && taken < visitDate);
+  }
+}
+
+/**
+ * Photos of the property's reports submitted before `before` (a report record; all reports when null),
+ * as duplicate candidates [{ reportId, url, sha256, perceptualHash }]
+ */
+async function previousPropertyPhotos(propertyCode, before = null) {
+  if (!propertyCode) return [];
+  const submitted = REPORT_SORT_FIELDS.submitDate;
+
+  return (await getReportsByPropertyCode(propertyCode))
+    .filter((r) => !before || (r.reportId !== before.reportId && submitted(r) < submitted(before)))
+    .flatMap((r) => (r.photoMetadata || []).map((m) => ({ ...m, reportId: r.reportId })));
+}
+
+/**
+ * Set duplicateOf on each photo (see the header); returns how many photos are duplicates
+ */
+async function markDuplicatePhotos(record) {
+  const previous = await previousPropertyPhotos(record.propertyCode, record);
+  const earlier = [];
+
+  for (const photo of record.photoMetadata) {
+    photo.duplicateOf = findDuplicatePhoto(photo, earlier) || findDuplicatePhoto(photo, previous);
+    earlier.push({ ...photo, reportId: record.reportId });
+  }
+  return record.photoMetadata.filter((p) => p.duplicateOf).length;
+}
+
+/**
+ * Photo of an earlier report for this property that an upload duplicates (see findDuplicatePhoto), or null
+ */
+export async function findPreviousDuplicatePhoto(propertyCode, hashes) {
+  return findDuplicatePhoto(hashes, await previousPropertyPhotos(propertyCode));
+}
+
+/**
+ * The payload with the stored thumbnail / EXIF data put back on photos that arrive without it
+ * (a loaded report may send back bare URLs)
+ */
+function withStoredPhotoMetadata(report, photoMetadata) {
+  const byUrl = new Map((photoMetadata || []).map((m) => [m.url, m]));
+  const attach = (photo) => {
+    const stored = byUrl.get(photo?.uploadedUrl || photo?.url);
+    if (!stored) return photo;
+    return {
+      ...photo,
+      thumbnailUrl: photo.thumbnailUrl || stored.thumbnailUrl,
+      exif: photo.exif || Object.fromEntries(EXIF_FIELDS.map((f) => [f, stored[f] ?? null])),
+      sha256: photo.sha256 || stored.sha256,
+      perceptualHash: photo.perceptualHash || stored.perceptualHash,
+    };
+  };
+
+  return {
+    ...report,
+    mainPhotos: report.mainPhotos?.map(attach),
+    findings: report.findings?.map((f) => ({ ...f, photos: f.photos?.map(attach) })),
+  };
+}
+
 function parseOptionalInt(value) {
   if (value === undefined || value === null) return undefined;
   const s = String(value).trim();
@@ -50,191 +245,242 @@ function parseOptionalInt(value) {
   return Number.isFinite(n) ? n : undefined;
 }
 
-function safeJsonParse(value, fallback) {
-  if (!value) return fallback;
-  try {
-    return JSON.parse(value);
-  } catch {
-    return fallback;
-  }
-}
-
 /**
- * Get the next sequential report ID
+ * Build the stored report record from the frontend payload
  */
-async function getNextReportId(sheets, spreadsheetId, sheetName) {
-  try {
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: `${sheetName}!A2:A`,
-    });
+function buildReportRecord(report, { reportId, submitDate, submitTime }) {
+  const mainPhotosUrls =
+    report.mainPhotos?.map((p) => p.uploadedUrl || p.url).filter(Boolean) || [];
 
-    const rows = response.data.values || [];
+  const complaintFiles =
+    report.complaintFiles?.map((f) => ({
+      name: f.name,
+      type: f.type,
+      size: f.size,
+      url: f.uploadedUrl || '',
+    })) || [];
 
-    if (rows.length === 0) {
-      return 'REPORT-001';
-    }
+  const findings =
+    report.findings?.map((f) => ({
+      text: f.text,
+      photos: f.photos?.map((p) => p.uploadedUrl || p.url).filter(Boolean) || [],
+    })) || [];
 
-    const lastReportId = rows[rows.length - 1][0] || 'REPORT-000';
-    const lastNumber = parseInt(String(lastReportId).split('-')[1], 10) || 0;
-    const nextNumber = lastNumber + 1;
+  const actions = report.actions?.map((a) => a.text) || [];
 
-    return `REPORT-${String(nextNumber).padStart(3, '0')}`;
-  } catch (error) {
-    console.error('Error getting next report ID:', error);
-    return `REPORT-${Date.now()}`;
-  }
+  const { latitude, longitude } = withCoordinates(report, 'locationLink');
+
+  const record = {
+    reportId,
+    submitDate,
+    submitTime,
+    propertyId: report.propertyId || '',
+    propertyCode: report.propertyCode || '',
+    propertyName: report.propertyName || '',
+    waqfType: report.waqfType || '',
+    propertyType: report.propertyType || '',
+    endowedTo: report.endowedTo || '',
+    building: report.building || '',
+    unitNumber: report.unitNumber || '',
+    road: report.road || '',
+    area: report.area || '',
+    governorate: report.governorate || '',
+    block: report.block || '',
+    locationDescription: report.locationDescription || '',
+    locationLink: report.locationLink || '',
+    visitType: report.visitType || '',
+    complaint: report.complaint || '',
+    complaintFilesCount: report.complaintFiles?.length || 0,
+    complaintFiles,
+    mainPhotosCount: report.mainPhotos?.length || 0,
+    mainPhotosUrls,
+    findingsCount: report.findings?.length || 0,
+    findings,
+    actionsCount: report.actions?.length || 0,
+    actions,
+    corrector: report.corrector || '',
+    inspectorName: report.inspectorName || '',
+    floorsCount: String(report.floorsCount ?? '').trim() || undefined,
+    flatsCount: String(report.flatsCount ?? '').trim() || undefined,
+    additionalNotes: report.additionalNotes || '',
+    latitude,
+    longitude,
+    visitStartLocation: sanitizeGpsFix(report.visitStartLocation),
+    submitLocation: sanitizeGpsFix(report.submitLocation),
+    distanceFromProperty: null,
+    locationFlagged: false,
+    photoMetadata: buildPhotoMetadata(report),
+  };
+
+  markPhotosBeforeVisit(record);
+  return record;
 }
 
 /**
- * Append a report to Google Sheet
+ * Save a new report through the configured storage driver
  */
 export async function saveReport(report) {
   try {
-    const sheets = await getSheetsClient();
-    const spreadsheetId = process.env.GOOGLE_SHEETS_REPORTS_ID;
-    const sheetName = process.env.REPORTS_SHEET_NAME || 'Reports';
-
-    const reportId = await getNextReportId(sheets, spreadsheetId, sheetName);
+    const store = getStore();
 
     const now = new Date();
+    const reportId = await allocateReportId(store, now);
     const submitDate = formatInTimeZone(now, BAHRAIN_TIMEZONE, 'yyyy-MM-dd');
     const submitTime = formatInTimeZone(now, BAHRAIN_TIMEZONE, 'HH:mm:ss');
 
-    const mainPhotosUrls = JSON.stringify(
-      report.mainPhotos?.map((p) => p.uploadedUrl || p.url).filter(Boolean) || []
-    );
-
-    const complaintFiles = JSON.stringify(
-      report.complaintFiles?.map((f) => ({
-        name: f.name,
-        type: f.type,
-        size: f.size,
-        url: f.uploadedUrl || '',
-      })) || []
-    );
-
-    const findings = JSON.stringify(
-      report.findings?.map((f) => ({
-        text: f.text,
-        photos: f.photos?.map((p) => p.uploadedUrl || p.url).filter(Boolean) || [],
-      })) || []
-    );
-
-    const actions = JSON.stringify(report.actions?.map((a) => a.text) || []);
-
-    const rowData = [
-      reportId, // A
-      submitDate, // B
-      submitTime, // C
-      report.propertyId || '', // D
-      report.propertyCode || '', // E
-      report.propertyName || '', // F
-      report.waqfType || '', // G
-      report.propertyType || '', // H
-      report.endowedTo || '', // I
-      report.building || '', // J
-      report.unitNumber || '', // K
-      report.road || '', // L
-      report.area || '', // M
-      report.governorate || '', // N
-      report.block || '', // O
-      report.locationDescription || '', // P
-      report.locationLink || '', // Q
-      report.visitType || '', // R
-      report.complaint || '', // S
-      report.complaintFiles?.length || 0, // T
-      complaintFiles, // U
-      report.mainPhotos?.length || 0, // V
-      mainPhotosUrls, // W
-      report.findings?.length || 0, // X
-      findings, // Y
-      report.actions?.length || 0, // Z
-      actions, // AA
-      report.corrector || '', // AB
-      report.inspectorName || '', // AC
-      report.floorsCount ?? '', // AD
-      report.flatsCount ?? '', // AE
-      report.additionalNotes || '', // AF
-      // AG reserved for exports JSON (optional)
-    ];
-
-    const response = await sheets.spreadsheets.values.append({
-      spreadsheetId,
-      range: `${sheetName}!A:AF`,
-      valueInputOption: 'RAW',
-      requestBody: { values: [rowData] },
-    });
+    const record = buildReportRecord(report, { reportId, submitDate, submitTime });
 
-    console.log(`✅ Report saved to Google Sheet: ${reportId}`);
+    try {
+      await checkVisitLocation(record);
+    } catch (error) {
+      console.warn(`⚠️  Could not check visit location for ${reportId}:`, error.message);
+    }
+
+    let duplicatePhotos = 0;
+    try {
+      duplicatePhotos = await markDuplicatePhotos(record);
+    } catch (error) {
+      console.warn(`⚠️  Could not check duplicate photos for ${reportId}:`, error.message);
+    }
+
+    const stored = await store.appendReport(record);
+
+    console.log(`✅ Report saved (${getStorageDriverName()}): ${reportId}`);
     console.log(`   Property: ${report.propertyName} (${report.propertyCode})`);
-    console.log(`   Row: ${response.data.updates.updatedRange}`);
+    console.log(`   Row: ${stored.range}`);
+    if (record.locationFlagged) {
+      console.log(`   ⚠️  Submitted ${record.distanceFromProperty} m from the property`);
+    }
+    const photosBeforeVisit = record.photoMetadata.filter((p) => p.takenBeforeVisit).length;
+    if (photosBeforeVisit) {
+      console.log(`   ⚠️  ${photosBeforeVisit} photo(s) taken before the visit date`);
+    }
+    if (duplicatePhotos) {
+      console.log(`   ⚠️  ${duplicatePhotos} duplicate photo(s)`);
+    }
+
+    indexReport(record);
+
+    // History is best-effort: a missing revision 1 is recorded as "baseline" on the next read
+    try {
+      await recordRevision(record, { source: 'submit', changedBy: record.inspectorName });
+    } catch (error) {
+      console.warn(`⚠️  Could not record revision for ${reportId}:`, error.message);
+    }
 
     return {
       success: true,
       reportId,
-      spreadsheetId,
-      range: response.data.updates.updatedRange,
+      locationCheck: {
+        distanceFromProperty: record.distanceFromProperty,
+        locationFlagged: record.locationFlagged,
+      },
+      photosBeforeVisit,
+      duplicatePhotos,
+      ...stored,
     };
   } catch (error) {
-    console.error('Error saving report to Google Sheet:', error.message);
+    console.error('Error saving report:', error.message);
+    if (error.code === 'REPORT_ID_CONFLICT') throw error;
     throw new Error('Failed to save report to database');
   }
 }
 
 /**
- * Get all reports
+ * Turn a stored record back into the frontend payload shape
+ * (so a PATCH can be merged over it and rebuilt with buildReportRecord)
  */
-export async function getAllReports() {
+function recordToPayload(record) {
+  const payload = {
+    ...record,
+    mainPhotos: (record.mainPhotosUrls || []).map((url) => ({ uploadedUrl: url })),
+    complaintFiles: (record.complaintFiles || []).map((f) => ({ ...f, uploadedUrl: f.url })),
+    findings: (record.findings || []).map((f) => ({
+      text: f.text,
+      photos: (f.photos || []).map((url) => ({ uploadedUrl: url })),
+    })),
+    actions: (record.actions || []).map((text) => ({ text })),
+  };
+  return withStoredPhotoMetadata(payload, record.photoMetadata);
+}
+
+/**
+ * Merge a partial payload (PATCH) over an existing report record
+ */
+export function mergeReportPatch(existing, patch) {
+  const merged = { ...recordToPayload(existing), ...patch };
+
+  // Stored coordinates belong to the old link
+  if (patch.locationLink !== undefined && patch.latitude === undefined) {
+    merged.latitude = null;
+    merged.longitude = null;
+  }
+
+  return merged;
+}
+
+/**
+ * Rewrite an existing report in place (keeps reportId + original submit date/time)
+ */
+export async function updateReport(existing, report, { editedBy = '' } = {}) {
   try {
-    const sheets = await getSheetsClient();
-    const spreadsheetId = process.env.GOOGLE_SHEETS_REPORTS_ID;
-    const sheetName = process.env.REPORTS_SHEET_NAME || 'Reports';
+    // Capture the row as it is now (first snapshot, or edits made directly in storage)
+    const history = await syncReportHistory(existing);
 
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: `${sheetName}!A2:AF`,
+    const record = buildReportRecord(withStoredPhotoMetadata(report, existing.photoMetadata), {
+      reportId: existing.reportId,
+      submitDate: existing.submitDate,
+      submitTime: existing.submitTime,
     });
 
-    const rows = response.data.values || [];
-
-    return rows.map((row) => ({
-      reportId: row[0] || '',
-      submitDate: row[1] || '',
-      submitTime: row[2] || '',
-      propertyId: row[3] || '',
-      propertyCode: row[4] || '',
-      propertyName: row[5] || '',
-      waqfType: row[6] || '',
-      propertyType: row[7] || '',
-      endowedTo: row[8] || '',
-      building: row[9] || '',
-      unitNumber: row[10] || '',
-      road: row[11] || '',
-      area: row[12] || '',
-      governorate: row[13] || '',
-      block: row[14] || '',
-      locationDescription: row[15] || '',
-      locationLink: row[16] || '',
-      visitType: row[17] || '',
-      complaint: row[18] || '',
-      complaintFilesCount: parseInt(row[19], 10) || 0,
-      complaintFiles: safeJsonParse(row[20], []),
-      mainPhotosCount: parseInt(row[21], 10) || 0,
-      mainPhotosUrls: safeJsonParse(row[22], []),
-      findingsCount: parseInt(row[23], 10) || 0,
-      findings: safeJsonParse(row[24], []),
-      actionsCount: parseInt(row[25], 10) || 0,
-      actions: safeJsonParse(row[26], []),
-      corrector: row[27] || '',
-      inspectorName: row[28] || '',
-      floorsCount: (row[29] || '').trim() || undefined,
-      flatsCount: (row[30] || '').trim() || undefined,
-      additionalNotes: row[31] || '',
-      // exports: safeJsonParse(row[32], null), // if you add AG later
-    }));
+    // GPS evidence belongs to the visit, not to later edits
+    for (const field of ['visitStartLocation', 'submitLocation', 'distanceFromProperty', 'locationFlagged']) {
+      record[field] = existing[field] ?? record[field];
+    }
+    markPhotosBeforeVisit(record);
+
+    let duplicatePhotos = 0;
+    try {
+      duplicatePhotos = await markDuplicatePhotos(record);
+    } catch (error) {
+      console.warn(`⚠️  Could not check duplicate photos for ${existing.reportId}:`, error.message);
+    }
+
+    const stored = await getStore().updateReport(existing.reportId, record);
+    if (!stored) {
+      throw new Error(`Report ${existing.reportId} no longer exists in storage`);
+    }
+
+    indexReport(record);
+
+    const revisions = await recordRevision(record, { source: 'api', changedBy: editedBy }, history);
+    const revision = revisions[revisions.length - 1].revision;
+
+    console.log(`✏️  Report updated (${getStorageDriverName()}): ${existing.reportId} → revision ${revision}`);
+    console.log(`   Row: ${stored.range}`);
+
+    return {
+      success: true,
+      reportId: existing.reportId,
+      revision,
+      record,
+      duplicatePhotos,
+      ...stored,
+    };
   } catch (error) {
-    console.error('Error fetching reports from Google Sheet:', error.message);
+    console.error('Error updating report:', error.message);
+    throw new Error('Failed to update report in database');
+  }
+}
+
+/**
+ * Get all reports
+ */
+export async function getAllReports() {
+  try {
+    return (await getStore().getAllReports()).map((r) => withCoordinates(r, 'locationLink'));
+  } catch (error) {
+    console.error('Error fetching reports:', error.message);
     throw new Error('Failed to fetch reports from database');
   }
 }
@@ -244,7 +490,159 @@ export async function getReportsByPropertyCode(propertyCode) {
   return allReports.filter((report) => report.propertyCode === propertyCode);
 }
 
+/**
+ * ID of a report of the property whose photos / files (or thumbnails) link to a stored file, or null
+ * propertyFolder is the file's property folder ("code, type, endowedTo"): only that property's reports are checked.
+ */
+export async function findReportUsingFile(fileId, propertyFolder) {
+  const store = getFileStore();
+  const usesFile = (url) => store.fileIdFromUrl(url) === fileId;
+  // Same sanitizing as the folder names in driveService.js
+  const folderCode = (code) => String(code).replace(/[/<>:"|?*\\]/g, '-').trim();
+  const ofProperty = (r) =>
+    Boolean(r.propertyCode) && String(propertyFolder).startsWith(`${folderCode(r.propertyCode)}, `);
+
+  const report = (await getAllReports()).filter(ofProperty).find(
+    (r) =>
+      (r.mainPhotosUrls || []).some(usesFile) ||
+      (r.findings || []).some((f) => (f.photos || []).some(usesFile)) ||
+      (r.complaintFiles || []).some((f) => usesFile(f.url)) ||
+      (r.photoMetadata || []).some((m) => usesFile(m.thumbnailUrl))
+  );
+  return report?.reportId || null;
+}
+
 export async function getReportById(reportId) {
+  try {
+    const report = await getStore().getReport(reportId);
+    return report ? withCoordinates(report, 'locationLink') : undefined;
+  } catch (error) {
+    console.error('Error fetching report:', error.message);
+    throw new Error('Failed to fetch report from database');
+  }
+}
+
+// ============================================================================
+// QUERY (filters, sorting, cursor pagination) for GET /api/reports
+// ============================================================================
+
+// Filters matched exactly (case-insensitive); a comma-separated value matches any of them
+const EXACT_FILTERS = ['propertyCode', 'visitType', 'inspectorName', 'governorate', 'area', 'propertyType'];
+
+// Fields searched by `q` (plain substring match)
+const TEXT_FIELDS = [
+  'reportId',
+  'propertyCode',
+  'propertyName',
+  'locationDescription',
+  'complaint',
+  'additionalNotes',
+  'corrector',
+  'inspectorName',
+];
+
+export const REPORT_SORT_FIELDS = {
+  submitDate: (r) => `${r.submitDate || ''}T${r.submitTime || ''}`,
+  reportId: (r) => r.reportId || '',
+  propertyCode: (r) => r.propertyCode || '',
+  propertyName: (r) => r.propertyName || '',
+  inspectorName: (r) => r.inspectorName || '',
+  visitType: (r) => r.visitType || '',
+  governorate: (r) => r.governorate || '',
+  area: (r) => r.area || '',
+  findingsCount: (r) => Number(r.findingsCount) || 0,
+  mainPhotosCount: (r) => Number(r.mainPhotosCount) || 0,
+};
+
+function lower(v) {
+  return (v ?? '').toString().trim().toLowerCase();
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), 'ar');
+}
+
+function matchesFilters(report, filters) {
+  for (const field of EXACT_FILTERS) {
+    const wanted = filters[field];
+    if (wanted?.length && !wanted.includes(lower(report[field]))) return false;
+  }
+
+  if (filters.from && (report.submitDate || '') < filters.from) return false;
+  if (filters.to && (report.submitDate || '') > filters.to) return false;
+
+  if (filters.hasComplaint !== undefined && Boolean(lower(report.complaint)) !== filters.hasComplaint) {
+    return false;
+  }
+
+  if (filters.locationFlagged !== undefined && Boolean(report.locationFlagged) !== filters.locationFlagged) {
+    return false;
+  }
+
+  if (filters.q) {
+    const haystack = [
+      ...TEXT_FIELDS.map((f) => report[f]),
+      ...(report.findings || []).map((f) => f?.text),
+      ...(report.actions || []),
+    ]
+      .map(lower)
+      .join('\n');
+
+    if (!haystack.includes(filters.q)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Cursor = the sort key + reportId of the last item of the previous page (base64url JSON),
+ * so pages stay stable while new reports are being submitted.
+ */
+export function encodeReportsCursor(sortValue, reportId) {
+  return Buffer.from(JSON.stringify([sortValue, reportId]), 'utf8').toString('base64url');
+}
+
+export function decodeReportsCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Array.isArray(value) && value.length === 2) return value;
+  } catch {
+    // fall through
+  }
+  return null;
+}
+
+/**
+ * Filter, sort and paginate reports
+ * filters: { propertyCode, visitType, inspectorName, governorate, area, propertyType (arrays, lower-case),
+ *            from, to (YYYY-MM-DD), hasComplaint (boolean), q (lower-case text) }
+ * options: { sort, order ('asc' | 'desc'), limit, cursor ([sortValue, reportId]) }
+ */
+export async function queryReports(filters = {}, { sort = 'submitDate', order = 'desc', limit = 50, cursor } = {}) {
   const allReports = await getAllReports();
-  return allReports.find((report) => report.reportId === reportId);
+  const sortKey = REPORT_SORT_FIELDS[sort] || REPORT_SORT_FIELDS.submitDate;
+  const direction = order === 'asc' ? 1 : -1;
+
+  const compare = (aKey, aId, bKey, bId) =>
+    direction * (compareValues(aKey, bKey) || compareValues(aId, bId));
+
+  const matching = allReports
+    .filter((report) => matchesFilters(report, filters))
+    .map((report) => ({ report, key: sortKey(report) }))
+    .sort((a, b) => compare(a.key, a.report.reportId, b.key, b.report.reportId));
+
+  const start = cursor
+    ? matching.filter((item) => compare(item.key, item.report.reportId, cursor[0], cursor[1]) <= 0).length
+    : 0;
+
+  const page = matching.slice(start, start + limit);
+  const last = page[page.length - 1];
+  const hasMore = start + limit < matching.length;
+
+  return {
+    reports: page.map((item) => item.report),
+    total: matching.length,
+    nextCursor: hasMore && last ? encodeReportsCursor(last.key, last.report.reportId) : null,
+  };
 }
@@ -0,0 +1,306 @@
+import JSZip from 'jszip';
+
+/**
+ * CSV / XLSX reading and writing for spreadsheet imports and exports
+ * - Rows come back as arrays of strings (first row = headers), empty trailing rows dropped
+ * - XLSX is read with jszip (already used for bundles): first worksheet only,
+ *   shared strings, inline strings, numbers and booleans; formulas give their cached value
+ * - Written files keep every cell as text, so codes like "007" survive a round trip
+ * - CSV cells that a spreadsheet would run as a formula (=, +, -, @, tab, CR first) are written with a
+ *   leading apostrophe, which parseCsv drops again
+ */
+
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04];
+
+export function isXlsx(buffer) {
+  return Buffer.isBuffer(buffer) && ZIP_MAGIC.every((byte, i) => buffer[i] === byte);
+}
+
+function dropEmptyRows(rows) {
+  const result = rows.map((row) => row.map((cell) => String(cell ?? '')));
+  while (result.length && result[result.length - 1].every((cell) => !cell.trim())) result.pop();
+  return result;
+}
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * Delimiter of the header line: comma, semicolon (Excel in many locales) or tab
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t'].map((d) => [d, firstLine.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 1 ? counts[0][0] : ',';
+}
+
+// Excel, LibreOffice and Google Sheets evaluate a cell starting with one of these; plain numbers are safe
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+function escapeFormula(text) {
+  return FORMULA_START.test(text) && !NUMBER.test(text) ? `'${text}` : text;
+}
+
+function unescapeFormula(text) {
+  return text[0] === "'" && FORMULA_START.test(text.slice(1)) && !NUMBER.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * RFC 4180 CSV (quoted fields, "" escapes, newlines inside quotes)
+ */
+export function parseCsv(text) {
+  const input = String(text ?? '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return dropEmptyRows(rows).map((cells) => cells.map(unescapeFormula));
+}
+
+// ============================================================================
+// XLSX
+// ============================================================================
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function decodeXml(value) {
+  return String(value)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+function attr(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * Text of every <t> inside an element (rich text runs are concatenated)
+ */
+function textOf(xml) {
+  let text = '';
+  for (const match of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) text += decodeXml(match[1]);
+  return text;
+}
+
+function columnLetters(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function columnIndex(ref) {
+  const letters = (ref.match(/^[A-Z]+/i) || [''])[0].toUpperCase();
+  let index = 0;
+  for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+async function readZipText(zip, path) {
+  const file = zip.file(path);
+  return file ? file.async('string') : null;
+}
+
+/**
+ * Path of the first worksheet (workbook order), e.g. "xl/worksheets/sheet1.xml"
+ */
+async function firstSheetPath(zip) {
+  const workbook = (await readZipText(zip, 'xl/workbook.xml')) || '';
+  const rels = (await readZipText(zip, 'xl/_rels/workbook.xml.rels')) || '';
+
+  const sheetTag = workbook.match(/<sheet\s[^>]*>/);
+  const relId = sheetTag ? attr(sheetTag[0], 'r:id') : null;
+
+  if (relId) {
+    for (const match of rels.matchAll(/<Relationship\s[^>]*>/g)) {
+      if (attr(match[0], 'Id') !== relId) continue;
+      const target = attr(match[0], 'Target') || '';
+      return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+    }
+  }
+
+  return 'xl/worksheets/sheet1.xml';
+}
+
+export async function parseXlsx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+
+  const sharedXml = (await readZipText(zip, 'xl/sharedStrings.xml')) || '';
+  const shared = [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) => textOf(m[1]));
+
+  const sheetXml = await readZipText(zip, await firstSheetPath(zip));
+  if (sheetXml === null) throw new Error('XLSX file has no worksheet');
+
+  const rows = [];
+  for (const rowMatch of sheetXml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = parseInt(attr(rowMatch[0], 'r'), 10) || rows.length + 1;
+    const row = [];
+
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const tag = `<c${cellMatch[1]}>`;
+      const body = cellMatch[2] || '';
+      const ref = attr(tag, 'r');
+      const type = attr(tag, 't');
+      const rawValue = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let value = '';
+      if (type === 's') value = shared[parseInt(rawValue, 10)] ?? '';
+      else if (type === 'inlineStr') value = textOf(body);
+      else if (type === 'b') value = rawValue === '1' ? 'TRUE' : 'FALSE';
+      else if (rawValue !== undefined) value = decodeXml(rawValue);
+
+      row[ref ? columnIndex(ref) : row.length] = value;
+    }
+
+    rows[rowNumber - 1] = Array.from(row, (cell) => cell ?? '');
+  }
+
+  return dropEmptyRows(Array.from(rows, (row) => row ?? []));
+}
+
+/**
+ * Minimal single-sheet workbook (inline strings, no styles) that Excel, LibreOffice and Google Sheets open
+ */
+export async function writeXlsx(rows, { sheetName = 'Sheet1' } = {}) {
+  const sheetRows = rows
+    .map((row, r) => {
+      const cells = row
+        .map((value, c) => {
+          const text = String(value ?? '');
+          if (!text) return '';
+          const space = /^\s|\s$/.test(text) ? ' xml:space="preserve"' : '';
+          return `<c r="${columnLetters(c)}${r + 1}" t="inlineStr"><is><t${space}>${escapeXml(text)}</t></is></c>`;
+        })
+        .join('');
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join('');
+
+  // File entries only, like the packages Excel itself writes
+  const zip = new JSZip();
+  const add = (path, xml) => zip.file(path, xml, { createFolders: false });
+
+  add(
+    '[Content_Types].xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ' +
+      'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ' +
+      'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '</Types>'
+  );
+  add(
+    '_rels/.rels',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" ' +
+      'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" ' +
+      'Target="xl/workbook.xml"/>' +
+      '</Relationships>'
+  );
+  add(
+    'xl/workbook.xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>'
+  );
+  add(
+    'xl/_rels/workbook.xml.rels',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" ' +
+      'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" ' +
+      'Target="worksheets/sheet1.xml"/>' +
+      '</Relationships>'
+  );
+  add(
+    'xl/worksheets/sheet1.xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      `<sheetData>${sheetRows}</sheetData>` +
+      '</worksheet>'
+  );
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * CSV text (comma, CRLF, quoted where needed) with a BOM so Excel reads Arabic as UTF-8
+ * Formula-like cells get a leading apostrophe (CSV injection).
+ */
+export function toCsv(rows) {
+  const quote = (value) => {
+    const text = escapeFormula(String(value ?? ''));
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return '\uFEFF' + rows.map((row) => row.map(quote).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Rows of an uploaded CSV or XLSX file (detected from the content, not the file name)
+ */
+export async function parseTable(buffer) {
+  if (isXlsx(buffer)) return parseXlsx(buffer);
+  return parseCsv(buffer.toString('utf8'));
+}
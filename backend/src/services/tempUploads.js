@@ -0,0 +1,193 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Transform, pipeline } from 'stream';
+
+/**
+ * Uploaded files are streamed to temporary files instead of being held in memory
+ * - multer storage engine: each file goes to UPLOAD_TMP_DIR while its SHA-256 is computed (`file.path`,
+ *   `file.size`, `file.sha256`; no `file.buffer`)
+ * - UPLOAD_MAX_FILE_MB per file, UPLOAD_MAX_REQUEST_MB for all the files of one request and
+ *   UPLOAD_MAX_FILES files per request (413 LIMIT_REQUEST_SIZE / multer's LIMIT_FILE_SIZE, LIMIT_FILE_COUNT)
+ * - trackTempUploads deletes a request's temp files once its response is sent, whatever happened;
+ *   files left behind by a crash are removed at startup after an hour
+ */
+
+const STALE_AFTER_MS = 60 * 60 * 1000;
+// Text fields (report JSON, pdfHtml for bundles) stay in memory; see routes/index.js
+export const MAX_FIELD_BYTES = 100 * 1024 * 1024;
+
+function envMegabytes(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Math.round((Number.isFinite(value) && value > 0 ? value : fallback) * 1024 * 1024);
+}
+
+export function getUploadLimits() {
+  const maxFiles = parseInt(process.env.UPLOAD_MAX_FILES, 10);
+  const maxSessions = parseInt(process.env.UPLOAD_MAX_SESSIONS, 10);
+  return {
+    maxFileBytes: envMegabytes('UPLOAD_MAX_FILE_MB', 50),
+    maxRequestBytes: envMegabytes('UPLOAD_MAX_REQUEST_MB', 200),
+    maxFiles: Number.isFinite(maxFiles) && maxFiles > 0 ? maxFiles : 60,
+    // Resumable upload sessions (uploadSessions.js): how many may be open and how many bytes they may declare
+    maxSessions: Number.isFinite(maxSessions) && maxSessions > 0 ? maxSessions : 100,
+    maxSessionBytes: envMegabytes('UPLOAD_SESSIONS_MAX_MB', 2048),
+  };
+}
+
+export function formatMegabytes(bytes) {
+  return `${Math.round((bytes / 1024 / 1024) * 10) / 10}MB`;
+}
+
+export function getUploadTempDir() {
+  return path.resolve(process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'visitprop-uploads'));
+}
+
+function httpError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function requestTooLarge(limits) {
+  return httpError(
+    413,
+    'LIMIT_REQUEST_SIZE',
+    `The files of one request may not exceed ${formatMegabytes(limits.maxRequestBytes)} in total`
+  );
+}
+
+function removeFile(filePath, cb = () => {}) {
+  fs.unlink(filePath, (error) => cb(error && error.code !== 'ENOENT' ? error : null));
+}
+
+/**
+ * multer storage engine writing to UPLOAD_TMP_DIR
+ * Past the request cap the rest of the stream is read and dropped, so multer can answer with the error.
+ */
+export function tempUploadStorage(limits = getUploadLimits()) {
+  return {
+    _handleFile(req, file, cb) {
+      const dir = getUploadTempDir();
+      const filePath = path.join(dir, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`);
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+      let overLimit = false;
+
+      const counter = new Transform({
+        transform(chunk, encoding, done) {
+          req.uploadedBytes = (req.uploadedBytes || 0) + chunk.length;
+          if (overLimit || req.uploadedBytes > limits.maxRequestBytes) {
+            overLimit = true;
+            return done();
+          }
+          size += chunk.length;
+          hash.update(chunk);
+          done(null, chunk);
+        },
+      });
+
+      fs.mkdir(dir, { recursive: true }, (mkdirError) => {
+        if (mkdirError) return cb(mkdirError);
+
+        pipeline(file.stream, counter, fs.createWriteStream(filePath), (error) => {
+          if (error || overLimit) return removeFile(filePath, () => cb(error || requestTooLarge(limits)));
+          cb(null, {
+            destination: dir,
+            filename: path.basename(filePath),
+            path: filePath,
+            size,
+            sha256: hash.digest('hex'),
+          });
+        });
+      });
+    },
+
+    _removeFile(req, file, cb) {
+      if (!file.path) return cb(null);
+      removeFile(file.path, cb);
+    },
+  };
+}
+
+function uploadedFiles(req) {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+}
+
+/**
+ * Middleware placed before multer: rejects requests announcing more than UPLOAD_MAX_REQUEST_MB
+ * and deletes the request's temp files when the response is done (success or error)
+ */
+export function trackTempUploads(req, res, next) {
+  const limits = getUploadLimits();
+  // Text fields come on top of the files themselves
+  const announced = parseInt(req.headers['content-length'], 10);
+  if (announced > limits.maxRequestBytes + MAX_FIELD_BYTES) return next(requestTooLarge(limits));
+
+  res.on('close', () => {
+    for (const file of uploadedFiles(req)) {
+      if (!file.path) continue;
+      removeFile(file.path, (error) => error && console.warn(`⚠️  Could not delete ${file.path}:`, error.message));
+    }
+  });
+  next();
+}
+
+export function readUploadedFile(file) {
+  return fs.promises.readFile(file.path);
+}
+
+export function uploadedFileStream(file) {
+  return fs.createReadStream(file.path);
+}
+
+/**
+ * First and last 64 KB of an uploaded file (the whole file when smaller), enough for type sniffing:
+ * magic bytes are at the start, the entry list of ZIP-based files (docx, xlsx) at the end
+ */
+export async function readUploadedFileSample(file, bytes = 64 * 1024) {
+  if (file.size <= bytes * 2) return fs.promises.readFile(file.path);
+
+  const handle = await fs.promises.open(file.path, 'r');
+  try {
+    const head = Buffer.alloc(bytes);
+    const tail = Buffer.alloc(bytes);
+    await handle.read(head, 0, bytes, 0);
+    await handle.read(tail, 0, bytes, file.size - bytes);
+    return Buffer.concat([head, tail]);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Delete temp uploads older than an hour (left behind by a crash or a restart)
+ */
+export async function clearStaleTempUploads() {
+  const dir = getUploadTempDir();
+  let names = [];
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch {
+    return 0;
+  }
+
+  let removed = 0;
+  for (const name of names) {
+    const filePath = path.join(dir, name);
+    try {
+      const stat = await fs.promises.stat(filePath);
+      if (stat.isFile() && Date.now() - stat.mtimeMs > STALE_AFTER_MS) {
+        await fs.promises.unlink(filePath);
+        removed++;
+      }
+    } catch {
+      // deleted meanwhile by its request
+    }
+  }
+  return removed;
+}
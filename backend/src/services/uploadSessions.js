@@ -0,0 +1,303 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { formatMegabytes, getUploadLimits, getUploadTempDir } from './tempUploads.js';
+
+/**
+ * Resumable uploads: init → PUT chunks at an offset → complete
+ * - a session is <id>.json (file name, type, size, property fields) + <id>.part (bytes received so far)
+ *   under UPLOAD_TMP_DIR/sessions, so an upload survives dropped connections and server restarts
+ * - the offset is the size of the .part file: bytes of a chunk cut off midway are kept, and the client asks
+ *   for the offset (GET) before sending the rest
+ * - a chunk must start at the current offset (409 UPLOAD_OFFSET_MISMATCH otherwise, with the offset)
+ * - sessions expire UPLOAD_SESSION_TTL_HOURS (default 24) after their last chunk; a session completed with an
+ *   Idempotency-Key is kept that long after completing, so a retried complete is answered with the first upload
+ * - at most UPLOAD_MAX_SESSIONS (default 100) open sessions, declaring at most UPLOAD_SESSIONS_MAX_MB
+ *   (default 2048) between them: a new session past either is refused (429 TOO_MANY_UPLOAD_SESSIONS,
+ *   507 UPLOAD_STORAGE_FULL) until others complete, are abandoned or expire
+ */
+
+// Suggested to clients: small enough to resend cheaply over mobile data
+const CHUNK_SIZE = 2 * 1024 * 1024;
+const SESSION_ID = /^[a-f0-9]{32}$/;
+
+// Sessions receiving a chunk right now (a second PUT for the same session is refused)
+const busySessions = new Set();
+// Session creations run one at a time, so two of them cannot both fit under the limits
+let createQueue = Promise.resolve();
+
+function httpError(status, code, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+function getTtlMs() {
+  const hours = parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000;
+}
+
+function sessionsDir() {
+  return path.join(getUploadTempDir(), 'sessions');
+}
+
+function sessionPaths(uploadId) {
+  if (!SESSION_ID.test(String(uploadId || ''))) {
+    throw httpError(404, 'UPLOAD_SESSION_NOT_FOUND', 'Upload session not found or expired');
+  }
+  const base = path.join(sessionsDir(), uploadId);
+  return { meta: `${base}.json`, part: `${base}.part` };
+}
+
+async function partSize(partPath) {
+  try {
+    return (await fs.promises.stat(partPath)).size;
+  } catch {
+    return 0;
+  }
+}
+
+function toSession(meta, offset) {
+  return {
+    uploadId: meta.uploadId,
+    fileName: meta.fileName,
+    mimeType: meta.mimeType,
+    size: meta.size,
+    offset,
+    chunkSize: CHUNK_SIZE,
+    expiresAt: new Date(Date.parse(meta.updatedAt) + getTtlMs()).toISOString(),
+  };
+}
+
+async function readMeta(uploadId) {
+  const paths = sessionPaths(uploadId);
+  let meta;
+  try {
+    meta = JSON.parse(await fs.promises.readFile(paths.meta, 'utf8'));
+  } catch {
+    throw httpError(404, 'UPLOAD_SESSION_NOT_FOUND', 'Upload session not found or expired');
+  }
+
+  if (Date.now() - Date.parse(meta.updatedAt) > getTtlMs()) {
+    await removeUploadSession(uploadId);
+    throw httpError(404, 'UPLOAD_SESSION_NOT_FOUND', 'Upload session not found or expired');
+  }
+
+  return { meta, paths };
+}
+
+/**
+ * Start a session: { fileName, mimeType, size, propertyCode, propertyType, endowedTo, subfolder, draftPhotos }
+ * (draftPhotos: as the form field of POST /api/upload, passed on when completing)
+ */
+export async function createUploadSession(input = {}) {
+  const fileName = String(input.fileName || '').trim();
+  const size = Number(input.size);
+  const { maxFileBytes } = getUploadLimits();
+
+  if (!fileName) throw httpError(400, 'INVALID_UPLOAD_SESSION', 'fileName is required');
+  if (!String(input.propertyCode || '').trim()) {
+    throw httpError(400, 'INVALID_UPLOAD_SESSION', 'propertyCode is required');
+  }
+  if (!Number.isSafeInteger(size) || size <= 0) {
+    throw httpError(400, 'INVALID_UPLOAD_SESSION', 'size must be the file size in bytes');
+  }
+  if (size > maxFileBytes) {
+    throw httpError(400, 'LIMIT_FILE_SIZE', `Maximum file size is ${formatMegabytes(maxFileBytes)}`);
+  }
+
+  const create = createQueue.then(() => startSession(input, fileName, size));
+  createQueue = create.catch(() => {});
+  return create;
+}
+
+// Check the limits against the sessions on disk, then write the new one
+async function startSession(input, fileName, size) {
+  const { maxSessions, maxSessionBytes } = getUploadLimits();
+  const { live } = await scanSessions();
+  // Open sessions hold their declared size; completed ones whatever is left of their file
+  let open = 0;
+  let bytes = size;
+  for (const { meta, paths } of live) {
+    if (meta.completedAt) {
+      bytes += await partSize(paths.part);
+    } else {
+      open++;
+      bytes += meta.size;
+    }
+  }
+
+  if (open >= maxSessions) {
+    throw httpError(429, 'TOO_MANY_UPLOAD_SESSIONS', `Too many uploads in progress (at most ${maxSessions})`);
+  }
+  if (bytes > maxSessionBytes) {
+    const message = `Not enough upload space: uploads in progress may total ${formatMegabytes(maxSessionBytes)}`;
+    throw httpError(507, 'UPLOAD_STORAGE_FULL', message);
+  }
+
+  const uploadId = crypto.randomBytes(16).toString('hex');
+  const now = new Date().toISOString();
+  const meta = {
+    uploadId,
+    fileName,
+    mimeType: String(input.mimeType || '').trim() || 'application/octet-stream',
+    size,
+    propertyCode: String(input.propertyCode).trim(),
+    propertyType: String(input.propertyType || ''),
+    endowedTo: String(input.endowedTo || ''),
+    subfolder: String(input.subfolder || ''),
+    draftPhotos: Array.isArray(input.draftPhotos) ? input.draftPhotos : [],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const paths = sessionPaths(uploadId);
+  await fs.promises.mkdir(sessionsDir(), { recursive: true });
+  await fs.promises.writeFile(paths.part, Buffer.alloc(0));
+  await fs.promises.writeFile(paths.meta, JSON.stringify(meta));
+
+  return toSession(meta, 0);
+}
+
+export async function getUploadSession(uploadId) {
+  const { meta, paths } = await readMeta(uploadId);
+  return toSession(meta, await partSize(paths.part));
+}
+
+/**
+ * Append the request body (a readable stream) at `offset`; returns the session with its new offset.
+ * When the connection drops midway the bytes received so far are kept.
+ */
+export async function appendUploadChunk(uploadId, offset, stream) {
+  const { meta, paths } = await readMeta(uploadId);
+  const current = await partSize(paths.part);
+
+  if (busySessions.has(uploadId)) {
+    throw httpError(409, 'UPLOAD_SESSION_BUSY', 'Another chunk is being received for this upload', { offset: current });
+  }
+  if (!Number.isSafeInteger(offset) || offset !== current) {
+    throw httpError(409, 'UPLOAD_OFFSET_MISMATCH', `Expected a chunk at offset ${current}`, { offset: current });
+  }
+
+  busySessions.add(uploadId);
+  try {
+    let received = current;
+    const limiter = new Transform({
+      transform(chunk, encoding, done) {
+        received += chunk.length;
+        if (received > meta.size) {
+          const message = `The chunk goes past the file size (${meta.size} bytes)`;
+          return done(httpError(400, 'UPLOAD_CHUNK_TOO_LARGE', message));
+        }
+        done(null, chunk);
+      },
+    });
+
+    try {
+      await pipeline(stream, limiter, fs.createWriteStream(paths.part, { flags: 'a' }));
+    } catch (error) {
+      // Drop a chunk that overflows; keep what arrived before a dropped connection
+      if (error.code === 'UPLOAD_CHUNK_TOO_LARGE') await fs.promises.truncate(paths.part, current);
+      throw error;
+    }
+
+    meta.updatedAt = new Date().toISOString();
+    await fs.promises.writeFile(paths.meta, JSON.stringify(meta));
+    return toSession(meta, await partSize(paths.part));
+  } finally {
+    busySessions.delete(uploadId);
+  }
+}
+
+/**
+ * The assembled file of a complete session, shaped like a multer upload ({ path, size, originalname,
+ * mimetype, sha256 }), with the form fields sent at init
+ */
+export async function getCompletedUpload(uploadId) {
+  const { meta, paths } = await readMeta(uploadId);
+  const offset = await partSize(paths.part);
+
+  if (busySessions.has(uploadId)) {
+    throw httpError(409, 'UPLOAD_SESSION_BUSY', 'A chunk is still being received for this upload', { offset });
+  }
+  if (offset !== meta.size) {
+    throw httpError(409, 'UPLOAD_INCOMPLETE', `Received ${offset} of ${meta.size} bytes`, { offset });
+  }
+
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(paths.part)) hash.update(chunk);
+
+  return {
+    file: {
+      path: paths.part,
+      size: offset,
+      originalname: meta.fileName,
+      mimetype: meta.mimeType,
+      sha256: hash.digest('hex'),
+    },
+    fields: {
+      propertyCode: meta.propertyCode,
+      propertyType: meta.propertyType,
+      endowedTo: meta.endowedTo,
+      subfolder: meta.subfolder,
+      draftPhotos: meta.draftPhotos || [],
+    },
+  };
+}
+
+/**
+ * Keep a completed session for UPLOAD_SESSION_TTL_HOURS from now (a retried complete replays the first answer)
+ */
+export async function markUploadCompleted(uploadId) {
+  const { meta, paths } = await readMeta(uploadId);
+  const now = new Date().toISOString();
+  meta.completedAt = meta.completedAt || now;
+  meta.updatedAt = now;
+  await fs.promises.writeFile(paths.meta, JSON.stringify(meta));
+}
+
+export async function removeUploadSession(uploadId) {
+  const paths = sessionPaths(uploadId);
+  await fs.promises.rm(paths.part, { force: true });
+  await fs.promises.rm(paths.meta, { force: true });
+}
+
+/**
+ * Read every session, deleting those past UPLOAD_SESSION_TTL_HOURS or unreadable:
+ * { live: [{ meta, paths }], removed }
+ */
+async function scanSessions() {
+  let names = [];
+  try {
+    names = await fs.promises.readdir(sessionsDir());
+  } catch {
+    return { live: [], removed: 0 };
+  }
+
+  const live = [];
+  let removed = 0;
+  for (const name of names.filter((n) => n.endsWith('.json'))) {
+    const uploadId = name.slice(0, -'.json'.length);
+    try {
+      live.push(await readMeta(uploadId));
+    } catch (error) {
+      // readMeta removes expired sessions; an unreadable one is removed here
+      if (error.code === 'UPLOAD_SESSION_NOT_FOUND' && SESSION_ID.test(uploadId)) {
+        await removeUploadSession(uploadId);
+        removed++;
+      }
+    }
+  }
+  return { live, removed };
+}
+
+/**
+ * Delete sessions past UPLOAD_SESSION_TTL_HOURS
+ */
+export async function clearExpiredUploadSessions() {
+  return (await scanSessions()).removed;
+}
@@ -0,0 +1,186 @@
+import { Readable } from 'stream';
+import { getDriveClient } from '../config/google-hybrid.js';
+
+/**
+ * Google Drive file storage driver (FILE_STORAGE_DRIVER=drive, default)
+ *
+ * Thin wrapper over the Drive v3 calls used by driveService / exportsService.
+ * Folder and file IDs are native Drive IDs.
+ */
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+function escapeQuery(value) {
+  return String(value).replace(/'/g, "\\'");
+}
+
+function toFile(data) {
+  return {
+    id: data.id,
+    name: data.name,
+    mimeType: data.mimeType,
+    createdTime: data.createdTime || null,
+    webViewLink: data.webViewLink || `https://drive.google.com/file/d/${data.id}/view`,
+    webContentLink: data.webContentLink || null,
+  };
+}
+
+export function rootFolderId() {
+  const mainFolderId = process.env.GOOGLE_DRIVE_FOLDER_ID;
+  if (!mainFolderId) throw new Error('Missing GOOGLE_DRIVE_FOLDER_ID');
+  return mainFolderId;
+}
+
+/**
+ * Find a folder by exact name under a parent (first match)
+ */
+export async function findFolder(parentFolderId, folderName) {
+  const drive = await getDriveClient();
+
+  const query = `name='${escapeQuery(folderName)}' and '${parentFolderId}' in parents and mimeType='${FOLDER_MIME_TYPE}' and trashed=false`;
+
+  const response = await drive.files.list({
+    q: query,
+    fields: 'files(id, name, webViewLink)',
+    spaces: 'drive',
+  });
+
+  const existing = response.data.files?.[0];
+  if (!existing?.id) return null;
+
+  return { id: existing.id, name: existing.name, webViewLink: existing.webViewLink || null };
+}
+
+export async function createFolder(parentFolderId, folderName) {
+  const drive = await getDriveClient();
+
+  const response = await drive.files.create({
+    requestBody: {
+      name: folderName,
+      mimeType: FOLDER_MIME_TYPE,
+      parents: [parentFolderId],
+    },
+    fields: 'id, name, webViewLink',
+  });
+
+  return { id: response.data.id, name: response.data.name, webViewLink: response.data.webViewLink || null };
+}
+
+/**
+ * List sub-folders of a folder, optionally filtered by "name contains"
+ */
+export async function listFolders(parentFolderId, nameContains) {
+  const drive = await getDriveClient();
+
+  const nameFilter = nameContains ? `name contains '${escapeQuery(nameContains)}' and ` : '';
+  const query = `${nameFilter}'${parentFolderId}' in parents and mimeType='${FOLDER_MIME_TYPE}' and trashed=false`;
+
+  const response = await drive.files.list({
+    q: query,
+    fields: 'files(id, name, webViewLink)',
+    spaces: 'drive',
+  });
+
+  return (response.data.files || []).map((f) => ({
+    id: f.id,
+    name: f.name,
+    webViewLink: f.webViewLink || null,
+  }));
+}
+
+/**
+ * List (non-trashed) children of a folder
+ */
+export async function listFiles(parentFolderId) {
+  const drive = await getDriveClient();
+
+  const response = await drive.files.list({
+    q: `'${parentFolderId}' in parents and trashed=false`,
+    fields: 'files(id,name,webViewLink,webContentLink,mimeType,createdTime)',
+    spaces: 'drive',
+  });
+
+  return (response.data.files || []).map(toFile);
+}
+
+export async function createFile({ parentFolderId, name, mimeType, buffer, stream }) {
+  const drive = await getDriveClient();
+
+  const response = await drive.files.create({
+    requestBody: {
+      name,
+      parents: [parentFolderId],
+    },
+    media: {
+      mimeType,
+      body: stream || Readable.from(Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer)),
+    },
+    fields: 'id, name, mimeType, webViewLink, webContentLink',
+  });
+
+  return toFile(response.data);
+}
+
+export async function getFileMeta(fileId) {
+  const drive = await getDriveClient();
+  const response = await drive.files.get({ fileId, fields: 'name,mimeType' });
+
+  return {
+    name: response.data?.name || `file-${fileId}`,
+    mimeType: response.data?.mimeType || 'application/octet-stream',
+  };
+}
+
+/**
+ * Walks up the parents until GOOGLE_DRIVE_FOLDER_ID; null for trashed files and anything outside it
+ */
+export async function getFileLocation(fileId) {
+  const drive = await getDriveClient();
+  const root = rootFolderId();
+  const get = async (id) =>
+    (await drive.files.get({ fileId: id, fields: 'id,name,mimeType,parents,trashed' })).data;
+
+  const file = await get(fileId);
+  if (file.trashed) return null;
+
+  const folders = [];
+  let parentId = file.parents?.[0];
+  // Uploads are 4 levels down (property / date / subfolder / file): stop well before a long walk
+  for (let depth = 0; parentId && depth < 8; depth++) {
+    if (parentId === root) {
+      return { name: file.name, mimeType: file.mimeType, isFolder: file.mimeType === FOLDER_MIME_TYPE, folders };
+    }
+    const parent = await get(parentId);
+    if (parent.trashed) return null;
+    folders.unshift(parent.name);
+    parentId = parent.parents?.[0];
+  }
+  return null;
+}
+
+/**
+ * Link that serves the file itself, for <img> tags (webViewLink is Drive's HTML viewer page)
+ */
+export function imageUrl(fileId) {
+  return `https://drive.google.com/uc?export=view&id=${fileId}`;
+}
+
+/**
+ * webViewLink (".../file/d/<id>/view") or download link ("...?id=<id>")
+ */
+export function fileIdFromUrl(url) {
+  const value = String(url || '');
+  const match = value.match(/\/file\/d\/([A-Za-z0-9_-]+)/) || value.match(/[?&]id=([A-Za-z0-9_-]+)/);
+  return match ? match[1] : null;
+}
+
+export async function trashFile(fileId) {
+  const drive = await getDriveClient();
+  await drive.files.update({ fileId, requestBody: { trashed: true } });
+}
+
+export async function downloadFile(fileId) {
+  const drive = await getDriveClient();
+  const response = await drive.files.get({ fileId, alt: 'media' }, { responseType: 'arraybuffer' });
+  return Buffer.from(response.data);
+}
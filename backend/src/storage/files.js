@@ -0,0 +1,46 @@
+import * as driveFiles from './driveFiles.js';
+import * as localFiles from './localFiles.js';
+
+/**
+ * File storage adapter for uploads & exports
+ *
+ * Selected with FILE_STORAGE_DRIVER:
+ * - "drive" (default) → Google Drive via OAuth
+ * - "local"           → folders under LOCAL_FILES_DIR, served by GET /files/:id
+ *
+ * Every driver exposes the same functions (IDs are opaque strings):
+ * - rootFolderId()                                   → main folder ID
+ * - findFolder(parentId, name)                       → { id, name, webViewLink } | null
+ * - createFolder(parentId, name)                     → { id, name, webViewLink }
+ * - listFolders(parentId, nameContains?)             → [{ id, name, webViewLink }]
+ * - listFiles(parentId)                              → [{ id, name, mimeType, createdTime, webViewLink, webContentLink }]
+ * - createFile({ parentFolderId, name, mimeType, buffer | stream }) → same shape as listFiles items
+ * - getFileMeta(fileId)                              → { name, mimeType }
+ * - downloadFile(fileId)                             → Buffer
+ * - trashFile(fileId)                                → moves the file to the trash (recoverable)
+ * - getFileLocation(fileId)                          → { name, mimeType, isFolder, folders } | null:
+ *                                                      folder names from the main folder down, null outside it
+ * - imageUrl(fileId)                                 → link serving the file's bytes (usable in <img>)
+ * - fileIdFromUrl(url)                               → ID of a file from one of its links, or null
+ */
+
+const DRIVERS = {
+  drive: driveFiles,
+  local: localFiles,
+};
+
+export function getFileStorageDriverName() {
+  const name = (process.env.FILE_STORAGE_DRIVER || 'drive').trim().toLowerCase();
+
+  if (!DRIVERS[name]) {
+    throw new Error(
+      `Unknown FILE_STORAGE_DRIVER "${name}". Allowed: ${Object.keys(DRIVERS).join(', ')}`
+    );
+  }
+
+  return name;
+}
+
+export function getFileStore() {
+  return DRIVERS[getFileStorageDriverName()];
+}
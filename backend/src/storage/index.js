@@ -0,0 +1,68 @@
+import * as sheetsStore from './sheetsStore.js';
+import * as localStore from './localStore.js';
+import { getFileStorageDriverName } from './files.js';
+import { validateConfig } from '../config/google-hybrid.js';
+
+/**
+ * Storage adapter for Properties & Reports
+ *
+ * Selected with STORAGE_DRIVER:
+ * - "sheets" (default) → Google Sheets via service account
+ * - "local"            → JSON files under LOCAL_DATA_DIR (no Google needed)
+ *
+ * Every driver exposes the same functions and returns the same record shapes:
+ * - allocateReportNumber(prefix) → next number for that ID prefix (never handed out twice)
+ * - allocatePropertyNumber(key, seed, count?) → next number(s) of a property counter (IDs, generated codes)
+ * - getCounterValue(key)         → last number of a counter | null (read only)
+ * - getAllReports()              → report records
+ * - getReport(id)                → one report record | null (without reading every row)
+ * - appendReport(record)         → { ...where it was stored } (409 error if the reportId exists)
+ * - updateReport(id, record)     → { ...where it was stored } | null when not found
+ * - getReportHistory(id)         → revision entries of one report, oldest first
+ * - allocateRevisionNumber(id)   → next revision number of a report (never handed out twice)
+ * - appendReportHistory(entry)   → { ...where it was stored }
+ * - getIdempotencyEntry(scope, key) → remembered response for an Idempotency-Key | null
+ * - saveIdempotencyEntry(entry)  → { ...where it was stored }
+ * - getAllProperties()           → property records
+ * - appendProperty(record)       → { ...where it was stored } (409 error if the id or code exists)
+ * - updateProperty(id, record)   → { ...where it was stored } | null when not found
+ * - appendProperties(records)    → bulk append, all or nothing (409 error on an existing id or code)
+ * - updateProperties(records)    → bulk replace by id → { updated, missing }
+ */
+
+const DRIVERS = {
+  sheets: sheetsStore,
+  local: localStore,
+};
+
+export function getStorageDriverName() {
+  const name = (process.env.STORAGE_DRIVER || 'sheets').trim().toLowerCase();
+
+  if (!DRIVERS[name]) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${name}". Allowed: ${Object.keys(DRIVERS).join(', ')}`
+    );
+  }
+
+  return name;
+}
+
+export function getStore() {
+  return DRIVERS[getStorageDriverName()];
+}
+
+/**
+ * Validate configuration for the selected storage + file storage drivers
+ */
+export function validateStorageConfig() {
+  const storage = getStorageDriverName();
+  const files = getFileStorageDriverName();
+
+  validateConfig({ sheets: storage === 'sheets', drive: files === 'drive' });
+
+  if (files === 'local' && !process.env.LOCAL_FILES_SECRET) {
+    throw new Error('Missing required environment variable for FILE_STORAGE_DRIVER=local:\n  - LOCAL_FILES_SECRET');
+  }
+
+  return { storage, files };
+}
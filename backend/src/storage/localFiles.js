@@ -0,0 +1,300 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Local filesystem file storage driver (FILE_STORAGE_DRIVER=local)
+ *
+ * Writes the same tree as Google Drive, under LOCAL_FILES_DIR:
+ *   Main/
+ *   └── "315, محل تجاري, " / YYYY-MM-DD / <subfolder> / file.jpg
+ *
+ * Notes:
+ * - IDs encode the path relative to LOCAL_FILES_DIR ("fld_..." folders, "fil_..." files)
+ * - Files are served back by GET /files/:id?sig=... (HMAC signed with LOCAL_FILES_SECRET)
+ * - Same-name uploads get a " (2)", " (3)"... suffix instead of overwriting
+ * - Trashed files are moved to LOCAL_FILES_DIR/.trash/<same relative path>
+ */
+
+const ROOT_FOLDER_NAME = 'Main';
+const TRASH_FOLDER_NAME = '.trash';
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+};
+
+export function getFilesDir() {
+  return path.resolve(process.env.LOCAL_FILES_DIR || path.join(__dirname, '../../files'));
+}
+
+function getSecret() {
+  const secret = process.env.LOCAL_FILES_SECRET;
+  if (!secret) throw new Error('Missing LOCAL_FILES_SECRET (required for FILE_STORAGE_DRIVER=local)');
+  return secret;
+}
+
+function getPublicBaseUrl() {
+  const base = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 8080}`;
+  return base.replace(/\/+$/, '');
+}
+
+function notFound(id) {
+  const error = new Error(`File not found: ${id}`);
+  error.status = 404;
+  return error;
+}
+
+function encodeId(prefix, relPath) {
+  return `${prefix}_${Buffer.from(relPath, 'utf8').toString('base64url')}`;
+}
+
+/**
+ * Resolve an ID back to an absolute path, refusing anything outside LOCAL_FILES_DIR
+ */
+function decodeId(id, prefix) {
+  const value = String(id || '');
+  if (!value.startsWith(`${prefix}_`)) throw notFound(id);
+
+  const relPath = Buffer.from(value.slice(prefix.length + 1), 'base64url').toString('utf8');
+  const root = getFilesDir();
+  const absPath = path.resolve(root, relPath);
+
+  if (!absPath.startsWith(root + path.sep)) throw notFound(id);
+
+  return { relPath: path.relative(root, absPath), absPath };
+}
+
+/**
+ * One path segment: no separators, no "." / ".."
+ */
+function safeSegment(name) {
+  const segment = String(name ?? '').replace(/[/\\]/g, '-').trim();
+  if (!segment || segment === '.' || segment === '..') return '_';
+  return segment;
+}
+
+function mimeTypeFor(fileName) {
+  return MIME_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+}
+
+export function signFileId(fileId) {
+  return crypto.createHmac('sha256', getSecret()).update(String(fileId)).digest('base64url').slice(0, 32);
+}
+
+export function verifyFileSignature(fileId, signature) {
+  const expected = Buffer.from(signFileId(fileId));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+export function fileUrl(fileId) {
+  return `${getPublicBaseUrl()}/files/${fileId}?sig=${signFileId(fileId)}`;
+}
+
+function toFile(relPath, stat) {
+  const id = encodeId('fil', relPath);
+  const url = fileUrl(id);
+
+  return {
+    id,
+    name: path.basename(relPath),
+    mimeType: mimeTypeFor(relPath),
+    createdTime: stat.birthtime.toISOString(),
+    webViewLink: url,
+    webContentLink: `${url}&download=1`,
+  };
+}
+
+export function rootFolderId() {
+  return encodeId('fld', ROOT_FOLDER_NAME);
+}
+
+export async function findFolder(parentFolderId, folderName) {
+  const { relPath } = decodeId(parentFolderId, 'fld');
+  const name = safeSegment(folderName);
+  const childRel = path.join(relPath, name);
+
+  try {
+    const stat = await fs.promises.stat(path.join(getFilesDir(), childRel));
+    if (!stat.isDirectory()) return null;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  return { id: encodeId('fld', childRel), name, webViewLink: null };
+}
+
+export async function createFolder(parentFolderId, folderName) {
+  const { relPath } = decodeId(parentFolderId, 'fld');
+  const name = safeSegment(folderName);
+  const childRel = path.join(relPath, name);
+
+  await fs.promises.mkdir(path.join(getFilesDir(), childRel), { recursive: true });
+
+  return { id: encodeId('fld', childRel), name, webViewLink: null };
+}
+
+async function readDir(parentFolderId) {
+  const { relPath, absPath } = decodeId(parentFolderId, 'fld');
+
+  try {
+    const entries = await fs.promises.readdir(absPath, { withFileTypes: true });
+    return { relPath, entries };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { relPath, entries: [] };
+    throw error;
+  }
+}
+
+export async function listFolders(parentFolderId, nameContains) {
+  const { relPath, entries } = await readDir(parentFolderId);
+
+  return entries
+    .filter((e) => e.isDirectory())
+    .filter((e) => !nameContains || e.name.includes(nameContains))
+    .map((e) => ({ id: encodeId('fld', path.join(relPath, e.name)), name: e.name, webViewLink: null }));
+}
+
+export async function listFiles(parentFolderId) {
+  const { relPath, entries } = await readDir(parentFolderId);
+  const files = entries.filter((e) => e.isFile());
+
+  return Promise.all(
+    files.map(async (e) => {
+      const childRel = path.join(relPath, e.name);
+      const stat = await fs.promises.stat(path.join(getFilesDir(), childRel));
+      return toFile(childRel, stat);
+    })
+  );
+}
+
+export async function createFile({ parentFolderId, name, buffer, stream }) {
+  const { relPath, absPath } = decodeId(parentFolderId, 'fld');
+  await fs.promises.mkdir(absPath, { recursive: true });
+
+  const fileName = safeSegment(name);
+  const ext = path.extname(fileName);
+  const base = fileName.slice(0, fileName.length - ext.length);
+
+  // Exclusive create so concurrent uploads of the same name never overwrite each other
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? fileName : `${base} (${n})${ext}`;
+    const childRel = path.join(relPath, candidate);
+
+    let handle;
+    try {
+      handle = await fs.promises.open(path.join(getFilesDir(), childRel), 'wx');
+    } catch (error) {
+      if (error.code === 'EEXIST') continue;
+      throw error;
+    }
+
+    try {
+      if (stream) {
+        await pipeline(stream, handle.createWriteStream());
+      } else {
+        await handle.writeFile(buffer).finally(() => handle.close());
+      }
+    } catch (error) {
+      // No half-written file left behind
+      await fs.promises.rm(path.join(getFilesDir(), childRel), { force: true });
+      throw error;
+    }
+
+    const stat = await fs.promises.stat(path.join(getFilesDir(), childRel));
+    return toFile(childRel, stat);
+  }
+}
+
+/**
+ * Absolute path of a stored file (used by GET /files/:id)
+ */
+export async function resolveFilePath(fileId) {
+  const { absPath } = decodeId(fileId, 'fil');
+
+  try {
+    const stat = await fs.promises.stat(absPath);
+    if (!stat.isFile()) throw notFound(fileId);
+  } catch (error) {
+    if (error.code === 'ENOENT') throw notFound(fileId);
+    throw error;
+  }
+
+  return absPath;
+}
+
+export async function getFileMeta(fileId) {
+  const absPath = await resolveFilePath(fileId);
+
+  return {
+    name: path.basename(absPath),
+    mimeType: mimeTypeFor(absPath),
+  };
+}
+
+/**
+ * Files in LOCAL_FILES_DIR/.trash are outside the main folder (null)
+ */
+export async function getFileLocation(fileId) {
+  const absPath = await resolveFilePath(fileId);
+  const { relPath } = decodeId(fileId, 'fil');
+  const [top, ...rest] = relPath.split(path.sep);
+  if (top !== ROOT_FOLDER_NAME) return null;
+
+  return { name: path.basename(absPath), mimeType: mimeTypeFor(absPath), isFolder: false, folders: rest.slice(0, -1) };
+}
+
+/**
+ * ".../files/<id>?sig=..."
+ */
+/**
+ * Signed link for <img> tags (the same as webViewLink here)
+ */
+export function imageUrl(fileId) {
+  return fileUrl(fileId);
+}
+
+export function fileIdFromUrl(url) {
+  const match = String(url || '').match(/\/files\/(fil_[A-Za-z0-9_-]+)/);
+  return match ? match[1] : null;
+}
+
+export async function trashFile(fileId) {
+  const absPath = await resolveFilePath(fileId);
+  const { relPath } = decodeId(fileId, 'fil');
+
+  let trashPath = path.join(getFilesDir(), TRASH_FOLDER_NAME, relPath);
+  await fs.promises.mkdir(path.dirname(trashPath), { recursive: true });
+
+  if (fs.existsSync(trashPath)) {
+    trashPath = `${trashPath}.${Date.now()}`;
+  }
+
+  await fs.promises.rename(absPath, trashPath);
+}
+
+export async function downloadFile(fileId) {
+  const absPath = await resolveFilePath(fileId);
+  return fs.promises.readFile(absPath);
+}
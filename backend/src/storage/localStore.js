@@ -0,0 +1,292 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { highestReportNumber, highestRevision, reportIdConflict, revisionCounterKey } from './reportIds.js';
+import { findPropertyConflict } from './propertyIds.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Local file storage driver (STORAGE_DRIVER=local)
+ *
+ * Keeps the same records the Sheets driver returns, as JSON files:
+ *   LOCAL_DATA_DIR/
+ *   ├── reports.json     ← array of report records (same fields as Reports A:AM)
+ *   ├── reportHistory.json ← array of revision entries (same fields as ReportHistory A:F)
+ *   ├── counters.json    ← last allocated number per counter key (same fields as Counters A:C)
+ *   ├── idempotency.json ← Idempotency-Key → response of the first request (expired entries are pruned)
+ *   └── properties.json  ← array of property records (same fields as Properties A:R)
+ *
+ * Notes:
+ * - No Google credentials needed (offline development, tests, small deployments)
+ * - Seed the catalogue by dropping a properties.json array into LOCAL_DATA_DIR
+ * - Writes go through a single in-process queue and are atomic (tmp file + rename)
+ */
+
+export function getDataDir() {
+  return process.env.LOCAL_DATA_DIR || path.join(__dirname, '../../data');
+}
+
+function collectionPath(name) {
+  return path.join(getDataDir(), `${name}.json`);
+}
+
+async function readCollection(name) {
+  const filePath = collectionPath(name);
+
+  let raw;
+  try {
+    raw = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  if (!raw.trim()) return [];
+
+  const parsed = JSON.parse(raw);
+  if (!Array.isArray(parsed)) {
+    throw new Error(`Invalid local data file (expected a JSON array): ${filePath}`);
+  }
+  return parsed;
+}
+
+async function writeCollection(name, items) {
+  const filePath = collectionPath(name);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmpPath, JSON.stringify(items, null, 2));
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a read-modify-write against a collection, one at a time.
+ */
+function updateCollection(name, mutate) {
+  const run = writeQueue.then(async () => {
+    const items = await readCollection(name);
+    const result = await mutate(items);
+    await writeCollection(name, items);
+    return result;
+  });
+
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+/**
+ * Allocate the next `count` numbers of a counter and return the first one;
+ * `seed()` gives the last number already in use when the counter does not exist yet.
+ * Runs inside the write queue, so concurrent callers always get different numbers.
+ */
+async function allocateCounter(key, seed, count = 1) {
+  return updateCollection('counters', async (counters) => {
+    let counter = counters.find((c) => c.key === key);
+
+    if (!counter) {
+      counter = { key, lastNumber: await seed() };
+      counters.push(counter);
+    }
+
+    counter.lastNumber += count;
+    counter.updatedAt = new Date().toISOString();
+
+    return counter.lastNumber - count + 1;
+  });
+}
+
+/**
+ * Allocate the next report number for an ID prefix
+ */
+export async function allocateReportNumber(prefix) {
+  return allocateCounter(prefix, async () => {
+    const reports = await readCollection('reports');
+    return highestReportNumber(reports.map((r) => r.reportId), prefix);
+  });
+}
+
+/**
+ * Last number handed out by a counter (null when it does not exist yet), without allocating
+ */
+export async function getCounterValue(key) {
+  const counter = (await readCollection('counters')).find((c) => c.key === key);
+  return counter ? counter.lastNumber : null;
+}
+
+/**
+ * Allocate the next number (or block of `count` numbers, first one returned) of a property counter
+ * `seed(properties)` gives the last number already used in the catalogue (only id and code are needed).
+ */
+export async function allocatePropertyNumber(key, seed, count = 1) {
+  return allocateCounter(key, async () => seed(await readCollection('properties')), count);
+}
+
+export async function getAllReports() {
+  return readCollection('reports');
+}
+
+export async function getReport(reportId) {
+  const reports = await readCollection('reports');
+  return reports.find((r) => r.reportId === reportId) || null;
+}
+
+export async function appendReport(report) {
+  const file = collectionPath('reports');
+
+  const index = await updateCollection('reports', (reports) => {
+    if (reports.some((r) => r.reportId === report.reportId)) {
+      throw reportIdConflict(`Report ID ${report.reportId} already exists`);
+    }
+
+    reports.push(report);
+    return reports.length;
+  });
+
+  return { file, range: `reports[${index - 1}]` };
+}
+
+/**
+ * Replace an existing report record in place
+ * Returns null when the reportId is not stored.
+ */
+export async function updateReport(reportId, report) {
+  const file = collectionPath('reports');
+
+  const index = await updateCollection('reports', (reports) => {
+    const i = reports.findIndex((r) => r.reportId === reportId);
+    if (i !== -1) reports[i] = report;
+    return i;
+  });
+
+  if (index === -1) return null;
+  return { file, range: `reports[${index}]` };
+}
+
+// ============================================================================
+// REPORT HISTORY
+// ============================================================================
+
+export async function getReportHistory(reportId) {
+  const entries = await readCollection('reportHistory');
+
+  return entries.filter((e) => e.reportId === reportId).sort((a, b) => a.revision - b.revision);
+}
+
+/**
+ * Allocate the next revision number of a report (seeded from its history the first time)
+ */
+export async function allocateRevisionNumber(reportId) {
+  return allocateCounter(revisionCounterKey(reportId), async () => highestRevision(await getReportHistory(reportId)));
+}
+
+export async function appendReportHistory(entry) {
+  const file = collectionPath('reportHistory');
+
+  const index = await updateCollection('reportHistory', (entries) => {
+    entries.push(entry);
+    return entries.length;
+  });
+
+  return { file, range: `reportHistory[${index - 1}]` };
+}
+
+// ============================================================================
+// IDEMPOTENCY KEYS
+// ============================================================================
+
+export async function getIdempotencyEntry(scope, key) {
+  const entries = await readCollection('idempotency');
+  return entries.find((e) => e.scope === scope && e.key === key) || null;
+}
+
+export async function saveIdempotencyEntry(entry) {
+  const file = collectionPath('idempotency');
+  const now = new Date().toISOString();
+
+  await updateCollection('idempotency', (entries) => {
+    const live = entries.filter((e) => !e.expiresAt || e.expiresAt > now);
+    entries.splice(0, entries.length, ...live, entry);
+  });
+
+  return { file };
+}
+
+// ============================================================================
+// PROPERTIES
+// ============================================================================
+
+export async function getAllProperties() {
+  const properties = await readCollection('properties');
+
+  console.log(`[Local] Properties read: file=${collectionPath('properties')} rows=${properties.length}`);
+
+  return properties;
+}
+
+export async function appendProperty(property) {
+  await appendProperties([property]);
+
+  console.log(`[Local] New property added: id=${property.id} code=${property.code}`);
+
+  return { file: collectionPath('properties') };
+}
+
+/**
+ * Add several properties at once; nothing is written if any id or code already exists
+ */
+export async function appendProperties(newProperties) {
+  await updateCollection('properties', (properties) => {
+    const merged = [...properties];
+    for (const property of newProperties) {
+      const conflict = findPropertyConflict(merged, property);
+      if (conflict) throw conflict;
+      merged.push(property);
+    }
+
+    properties.push(...newProperties);
+  });
+
+  return { file: collectionPath('properties'), count: newProperties.length };
+}
+
+/**
+ * Replace several properties (matched by id) at once
+ * Returns { updated, missing } — missing lists ids that are not in the catalogue.
+ */
+export async function updateProperties(changed) {
+  const missing = await updateCollection('properties', (properties) => {
+    const indexById = new Map(properties.map((p, i) => [String(p.id), i]));
+    const notFound = [];
+
+    for (const property of changed) {
+      const i = indexById.get(String(property.id));
+      if (i === undefined) notFound.push(property.id);
+      else properties[i] = property;
+    }
+
+    return notFound;
+  });
+
+  return { file: collectionPath('properties'), updated: changed.length - missing.length, missing };
+}
+
+export async function updateProperty(id, property) {
+  const file = collectionPath('properties');
+
+  const index = await updateCollection('properties', (properties) => {
+    const i = properties.findIndex((p) => String(p.id) === String(id));
+    if (i !== -1) properties[i] = property;
+    return i;
+  });
+
+  if (index === -1) return null;
+  return { file, range: `properties[${index}]` };
+}
@@ -0,0 +1,43 @@
+/**
+ * Property ID / code helpers shared by the storage drivers
+ *
+ * IDs are plain numbers ("1", "2"...) handed out by the PROPERTY_ID_COUNTER counter,
+ * so they never depend on the row count. Codes must be unique across the catalogue
+ * (compared trimmed and case-insensitive); see services/propertyCodes.js for generation.
+ */
+
+export const PROPERTY_ID_COUNTER = 'property-id';
+
+/**
+ * Highest numeric ID in use (0 when none), the starting point of a new ID counter
+ */
+export function highestNumericId(ids) {
+  return ids.reduce((max, id) => {
+    const value = String(id ?? '').trim();
+    return /^\d+$/.test(value) ? Math.max(max, parseInt(value, 10)) : max;
+  }, 0);
+}
+
+export function sameCode(a, b) {
+  return String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+}
+
+export function propertyConflict(message, code = 'PROPERTY_CONFLICT') {
+  const error = new Error(message);
+  error.status = 409;
+  error.code = code;
+  return error;
+}
+
+/**
+ * The conflict error for adding `property` next to `properties`, or null
+ */
+export function findPropertyConflict(properties, property) {
+  if (properties.some((p) => String(p.id).trim() === String(property.id).trim())) {
+    return propertyConflict(`Property ID ${property.id} already exists`, 'PROPERTY_ID_CONFLICT');
+  }
+  if (properties.some((p) => sameCode(p.code, property.code))) {
+    return propertyConflict(`Property code ${property.code} already exists`, 'PROPERTY_CODE_CONFLICT');
+  }
+  return null;
+}
@@ -0,0 +1,51 @@
+/**
+ * Report ID helpers shared by the storage drivers
+ *
+ * IDs look like "<prefix>-<number>" (REPORT-001, REPORT-2026-0001...).
+ * Each prefix has its own counter; see allocateReportNumber() in the drivers.
+ */
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Highest number already used with this prefix (0 when none),
+ * so a new counter continues an existing sequence instead of restarting it.
+ */
+export function highestReportNumber(reportIds, prefix) {
+  const pattern = new RegExp(`^${escapeRegExp(prefix)}-(\\d+)$`);
+
+  return reportIds.reduce((max, id) => {
+    const match = String(id || '').match(pattern);
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+}
+
+/**
+ * Counter key of a report's revision numbers (one counter per report)
+ */
+export function revisionCounterKey(reportId) {
+  return `revision:${reportId}`;
+}
+
+/**
+ * Highest revision number in a report's history (0 when none)
+ */
+export function highestRevision(entries) {
+  return entries.reduce((max, entry) => Math.max(max, parseInt(entry.revision, 10) || 0), 0);
+}
+
+export function revisionConflict(message) {
+  const error = new Error(message);
+  error.status = 409;
+  error.code = 'REPORT_REVISION_CONFLICT';
+  return error;
+}
+
+export function reportIdConflict(message) {
+  const error = new Error(message);
+  error.status = 409;
+  error.code = 'REPORT_ID_CONFLICT';
+  return error;
+}
@@ -0,0 +1,822 @@
+import crypto from 'crypto';
+import { getSheetsClient } from '../config/google-hybrid.js';
+import {
+  highestReportNumber,
+  highestRevision,
+  reportIdConflict,
+  revisionConflict,
+  revisionCounterKey,
+} from './reportIds.js';
+import { findPropertyConflict, propertyConflict } from './propertyIds.js';
+
+/**
+ * Google Sheets storage driver (STORAGE_DRIVER=sheets, default)
+ *
+ * Reports Sheet Structure:
+ * Column A: reportId (REPORT-001, REPORT-002, or REPORT-2026-0001 with REPORT_ID_PREFIX)
+ * Column B: submitDate (YYYY-MM-DD format)
+ * Column C: submitTime (HH:mm:ss format, Bahrain time)
+ * Column D: propertyId
+ * Column E: propertyCode
+ * Column F: propertyName
+ * Column G: waqfType (نوع الوقف)
+ * Column H: propertyType (نوع العقار)
+ * Column I: endowedTo (موقوف على)
+ * Column J: building (مبنى)
+ * Column K: unitNumber (رقم الوحدة)
+ * Column L: road (طريق / شارع)
+ * Column M: area (المنطقة)
+ * Column N: governorate (المحافظة)
+ * Column O: block (مجمع)
+ * Column P: locationDescription
+ * Column Q: locationLink
+ * Column R: visitType
+ * Column S: complaint
+ * Column T: complaintFilesCount
+ * Column U: complaintFiles (JSON string)
+ * Column V: mainPhotosCount
+ * Column W: mainPhotosUrls (JSON string)
+ * Column X: findingsCount
+ * Column Y: findings (JSON string)
+ * Column Z: actionsCount
+ * Column AA: actions (JSON string)
+ * Column AB: corrector
+ * Column AC: inspectorName
+ * Column AD: floorsCount (عدد الطوابق)
+ * Column AE: flatsCount (عدد الشقق)
+ * Column AF: additionalNotes (ملاحظات إضافية)
+ * Column AG: latitude (parsed from locationLink, empty when unknown)
+ * Column AH: longitude
+ * Column AI: visitStartLocation (JSON string: device GPS when the visit started)
+ * Column AJ: submitLocation (JSON string: device GPS at submit)
+ * Column AK: distanceFromProperty (metres, from the submit position)
+ * Column AL: locationFlagged (TRUE when submitted far from the property)
+ * Column AM: photoMetadata (JSON string: EXIF data per photo URL)
+ *
+ * OPTIONAL (recommended for exports caching later):
+ * Column AN: exports (JSON string: { pdfUrl, zipUrl, folderUrl, pdfName, zipName, generatedAt })
+ *
+ * ReportHistory Sheet Structure (one row per revision, same spreadsheet as Reports):
+ * Column A: reportId
+ * Column B: revision (1, 2, 3...)
+ * Column C: changedAt (ISO timestamp)
+ * Column D: changedBy
+ * Column E: source (submit | api | direct | baseline)
+ * Column F: snapshot (JSON string: full report record at that revision)
+ * Columns G:Y: rest of a snapshot longer than one cell (cells hold at most 50,000 characters)
+ *
+ * Counters Sheet Structure (report / property ID allocation, same spreadsheet as Reports):
+ * Column A: key (report ID prefix, e.g. REPORT or REPORT-2026; property-id; property-code:...; revision:<reportId>)
+ * Column B: lastNumber (last allocated number)
+ * Column C: updatedAt (ISO timestamp)
+ * Column D: token (writer of the last allocation, used to detect races)
+ *
+ * Idempotency Sheet Structure (same spreadsheet as Reports):
+ * Column A: scope (reports | upload)
+ * Column B: key (client Idempotency-Key)
+ * Column C: fingerprint (hash of the first request)
+ * Column D: createdAt (ISO timestamp)
+ * Column E: expiresAt (ISO timestamp)
+ * Column F: result (JSON string: response of the first request)
+ *
+ * Properties Sheet Structure:
+ * Column A: id
+ * Column B: code
+ * Column C: name
+ * Column D: waqfType
+ * Column E: propertyType
+ * Column F: endowedTo
+ * Column G: building
+ * Column H: unitNumber
+ * Column I: road
+ * Column J: area
+ * Column K: governorate
+ * Column L: block
+ * Column M: defaultLocationLink
+ * Column N: postcode
+ * Column O: archivedAt (ISO timestamp, empty = active)
+ * Column P: updatedAt (ISO timestamp of the last edit through the API)
+ * Column Q: latitude (parsed from defaultLocationLink, empty when unknown)
+ * Column R: longitude
+ */
+
+function s(v) {
+  return (v ?? '').toString().trim();
+}
+
+/**
+ * Latitude / longitude cell → number or null (sheets in some locales show "26,2285")
+ */
+function parseCoordinate(value) {
+  const n = parseFloat(s(value).replace(',', '.'));
+  return Number.isFinite(n) ? n : null;
+}
+
+function safeJsonParse(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function getReportsSheet() {
+  return {
+    spreadsheetId: process.env.GOOGLE_SHEETS_REPORTS_ID,
+    sheetName: process.env.REPORTS_SHEET_NAME || 'Reports',
+  };
+}
+
+function getReportHistorySheet() {
+  return {
+    spreadsheetId: process.env.GOOGLE_SHEETS_REPORTS_ID,
+    sheetName: process.env.REPORT_HISTORY_SHEET_NAME || 'ReportHistory',
+  };
+}
+
+function getCountersSheet() {
+  return {
+    spreadsheetId: process.env.GOOGLE_SHEETS_REPORTS_ID,
+    sheetName: process.env.COUNTERS_SHEET_NAME || 'Counters',
+  };
+}
+
+function getIdempotencySheet() {
+  return {
+    spreadsheetId: process.env.GOOGLE_SHEETS_REPORTS_ID,
+    sheetName: process.env.IDEMPOTENCY_SHEET_NAME || 'Idempotency',
+  };
+}
+
+function getPropertiesSheet() {
+  const spreadsheetId = s(process.env.GOOGLE_SHEETS_PROPERTIES_ID);
+  const sheetName = s(process.env.PROPERTIES_SHEET_NAME) || 'Properties';
+
+  if (!spreadsheetId) {
+    throw new Error('Missing GOOGLE_SHEETS_PROPERTIES_ID');
+  }
+
+  return { spreadsheetId, sheetName };
+}
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+function reportToRow(report) {
+  return [
+    report.reportId, // A
+    report.submitDate, // B
+    report.submitTime, // C
+    report.propertyId, // D
+    report.propertyCode, // E
+    report.propertyName, // F
+    report.waqfType, // G
+    report.propertyType, // H
+    report.endowedTo, // I
+    report.building, // J
+    report.unitNumber, // K
+    report.road, // L
+    report.area, // M
+    report.governorate, // N
+    report.block, // O
+    report.locationDescription, // P
+    report.locationLink, // Q
+    report.visitType, // R
+    report.complaint, // S
+    report.complaintFilesCount, // T
+    JSON.stringify(report.complaintFiles), // U
+    report.mainPhotosCount, // V
+    JSON.stringify(report.mainPhotosUrls), // W
+    report.findingsCount, // X
+    JSON.stringify(report.findings), // Y
+    report.actionsCount, // Z
+    JSON.stringify(report.actions), // AA
+    report.corrector, // AB
+    report.inspectorName, // AC
+    report.floorsCount ?? '', // AD
+    report.flatsCount ?? '', // AE
+    report.additionalNotes, // AF
+    report.latitude ?? '', // AG
+    report.longitude ?? '', // AH
+    report.visitStartLocation ? JSON.stringify(report.visitStartLocation) : '', // AI
+    report.submitLocation ? JSON.stringify(report.submitLocation) : '', // AJ
+    report.distanceFromProperty ?? '', // AK
+    report.locationFlagged ? 'TRUE' : '', // AL
+    JSON.stringify(report.photoMetadata || []), // AM
+    // AN reserved for exports JSON (optional)
+  ];
+}
+
+function rowToReport(row) {
+  return {
+    reportId: row[0] || '',
+    submitDate: row[1] || '',
+    submitTime: row[2] || '',
+    propertyId: row[3] || '',
+    propertyCode: row[4] || '',
+    propertyName: row[5] || '',
+    waqfType: row[6] || '',
+    propertyType: row[7] || '',
+    endowedTo: row[8] || '',
+    building: row[9] || '',
+    unitNumber: row[10] || '',
+    road: row[11] || '',
+    area: row[12] || '',
+    governorate: row[13] || '',
+    block: row[14] || '',
+    locationDescription: row[15] || '',
+    locationLink: row[16] || '',
+    visitType: row[17] || '',
+    complaint: row[18] || '',
+    complaintFilesCount: parseInt(row[19], 10) || 0,
+    complaintFiles: safeJsonParse(row[20], []),
+    mainPhotosCount: parseInt(row[21], 10) || 0,
+    mainPhotosUrls: safeJsonParse(row[22], []),
+    findingsCount: parseInt(row[23], 10) || 0,
+    findings: safeJsonParse(row[24], []),
+    actionsCount: parseInt(row[25], 10) || 0,
+    actions: safeJsonParse(row[26], []),
+    corrector: row[27] || '',
+    inspectorName: row[28] || '',
+    floorsCount: (row[29] || '').trim() || undefined,
+    flatsCount: (row[30] || '').trim() || undefined,
+    additionalNotes: row[31] || '',
+    latitude: parseCoordinate(row[32]),
+    longitude: parseCoordinate(row[33]),
+    visitStartLocation: safeJsonParse(row[34], null),
+    submitLocation: safeJsonParse(row[35], null),
+    distanceFromProperty: parseCoordinate(row[36]),
+    locationFlagged: s(row[37]).toUpperCase() === 'TRUE',
+    photoMetadata: safeJsonParse(row[38], []),
+    // exports: safeJsonParse(row[39], null), // if you add AN later
+  };
+}
+
+async function getReportIds(sheets) {
+  const { spreadsheetId, sheetName } = getReportsSheet();
+
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${sheetName}!A2:A`,
+  });
+
+  return (response.data.values || []).map((row) => row[0]);
+}
+
+const ALLOCATION_ATTEMPTS = 5;
+const ALLOCATION_SETTLE_MS = 250;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Allocations from this server instance run one at a time
+let allocationQueue = Promise.resolve();
+
+/**
+ * Read the counter row of a key (first matching row wins)
+ */
+async function readCounter(sheets, key) {
+  const { spreadsheetId, sheetName } = getCountersSheet();
+
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${sheetName}!A2:D`,
+  });
+
+  const rows = response.data.values || [];
+  const index = rows.findIndex((row) => row[0] === key);
+  if (index === -1) return null;
+
+  return {
+    rowNumber: index + 2,
+    lastNumber: parseInt(rows[index][1], 10) || 0,
+    token: rows[index][3] || '',
+  };
+}
+
+async function writeCounter(sheets, counter, key, lastNumber, token) {
+  const { spreadsheetId, sheetName } = getCountersSheet();
+  const values = [[key, lastNumber, new Date().toISOString(), token]];
+
+  if (counter) {
+    await sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range: `${sheetName}!A${counter.rowNumber}:D${counter.rowNumber}`,
+      valueInputOption: 'RAW',
+      requestBody: { values },
+    });
+    return;
+  }
+
+  await sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: `${sheetName}!A:D`,
+    valueInputOption: 'RAW',
+    insertDataOption: 'INSERT_ROWS',
+    requestBody: { values },
+  });
+}
+
+/**
+ * Allocate the next number of a counter (Counters tab)
+ *
+ * Sheets has no compare-and-set, so each attempt writes the new number with a
+ * random token, waits for concurrent writers to land, then reads the row back.
+ * Another token in the row means someone else won → retry from the new value.
+ * Gives up with `conflict(message)` (a 409 error) instead of ever returning a duplicate.
+ *
+ * `seed(sheets)` gives the last number already in use when the counter row does not exist yet.
+ * With `count` > 1 a block of numbers is reserved and the first one returned.
+ */
+function allocateCounter(key, seed, conflict, count = 1) {
+  const run = allocationQueue.then(async () => {
+    const sheets = await getSheetsClient();
+
+    for (let attempt = 1; attempt <= ALLOCATION_ATTEMPTS; attempt++) {
+      const counter = await readCounter(sheets, key);
+      const lastNumber = counter ? counter.lastNumber : await seed(sheets);
+
+      const next = lastNumber + count;
+      const token = crypto.randomUUID();
+
+      await writeCounter(sheets, counter, key, next, token);
+      await sleep(ALLOCATION_SETTLE_MS);
+
+      const check = await readCounter(sheets, key);
+      if (check?.token === token && check.lastNumber === next) {
+        return lastNumber + 1;
+      }
+
+      console.warn(`⚠️  Counter allocation race for "${key}" (attempt ${attempt}/${ALLOCATION_ATTEMPTS})`);
+      await sleep(ALLOCATION_SETTLE_MS * attempt + Math.floor(Math.random() * ALLOCATION_SETTLE_MS));
+    }
+
+    throw conflict(`Could not allocate a number for "${key}" after ${ALLOCATION_ATTEMPTS} attempts`);
+  });
+
+  allocationQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Allocate the next report number for an ID prefix
+ */
+export async function allocateReportNumber(prefix) {
+  return allocateCounter(
+    prefix,
+    async (sheets) => highestReportNumber(await getReportIds(sheets), prefix),
+    reportIdConflict
+  );
+}
+
+/**
+ * Last number handed out by a counter (null when it does not exist yet), without allocating
+ */
+export async function getCounterValue(key) {
+  const counter = await readCounter(await getSheetsClient(), key);
+  return counter ? counter.lastNumber : null;
+}
+
+/**
+ * Allocate the next number (or block of `count` numbers, first one returned) of a property counter
+ * `seed(properties)` gives the last number already used in the catalogue (receives { id, code } only).
+ */
+export async function allocatePropertyNumber(key, seed, count = 1) {
+  return allocateCounter(key, async (sheets) => seed(await getPropertyKeys(sheets)), propertyConflict, count);
+}
+
+export async function getAllReports() {
+  const sheets = await getSheetsClient();
+  const { spreadsheetId, sheetName } = getReportsSheet();
+
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${sheetName}!A2:AM`,
+  });
+
+  const rows = response.data.values || [];
+  return rows.map(rowToReport);
+}
+
+export async function appendReport(report) {
+  const sheets = await getSheetsClient();
+  const { spreadsheetId, sheetName } = getReportsSheet();
+
+  // Last line of defence: never write a second row with the same ID
+  const existingIds = await getReportIds(sheets);
+  if (existingIds.includes(report.reportId)) {
+    throw reportIdConflict(`Report ID ${report.reportId} already exists`);
+  }
+
+  const response = await sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: `${sheetName}!A:AM`,
+    valueInputOption: 'RAW',
+    requestBody: { values: [reportToRow(report)] },
+  });
+
+  return {
+    spreadsheetId,
+    range: response.data.updates.updatedRange,
+  };
+}
+
+/**
+ * Find the sheet row number (1-based, header = row 1) holding a reportId
+ */
+async function findReportRow(sheets, reportId) {
+  const index = (await getReportIds(sheets)).indexOf(reportId);
+
+  return index === -1 ? null : index + 2;
+}
+
+/**
+ * Read a single report: column A to locate the row, then only that row
+ */
+export async function getReport(reportId) {
+  const sheets = await getSheetsClient();
+  const { spreadsheetId, sheetName } = getReportsSheet();
+
+  const rowNumber = await findReportRow(sheets, reportId);
+  if (!rowNumber) return null;
+
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${sheetName}!A${rowNumber}:AM${rowNumber}`,
+  });
+
+  const row = response.data.values?.[0];
+  return row ? rowToReport(row) : null;
+}
+
+/**
+ * Rewrite columns A:AM of an existing report row in place
+ * Returns null when the reportId is not in the sheet.
+ */
+export async function updateReport(reportId, report) {
+  const sheets = await getSheetsClient();
+  const { spreadsheetId, sheetName } = getReportsSheet();
+
+  const rowNumber = await findReportRow(sheets, reportId);
+  if (!rowNumber) return null;
+
+  const range = `${sheetName}!A${rowNumber}:AM${rowNumber}`;
+
+  await sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range,
+    valueInputOption: 'RAW',
+    requestBody: { values: [reportToRow(report)] },
+  });
+
+  return { spreadsheetId, range };
+}
+
+// ============================================================================
+// REPORT HISTORY
+// ============================================================================
+
+// Sheets cells hold at most 50,000 characters: a longer snapshot goes on in the next columns (F to Y)
+const SNAPSHOT_CELL_CHARS = 49000;
+const SNAPSHOT_CELLS = 20;
+
+/**
+ * Snapshot JSON cut into cells, never between the two halves of a surrogate pair
+ */
+function snapshotCells(snapshot) {
+  const json = JSON.stringify(snapshot);
+  const cells = [];
+
+  for (let start = 0; start < json.length; ) {
+    let end = Math.min(start + SNAPSHOT_CELL_CHARS, json.length);
+    if (end < json.length && /[\uD800-\uDBFF]/.test(json[end - 1])) end--;
+    cells.push(json.slice(start, end));
+    start = end;
+  }
+
+  if (cells.length > SNAPSHOT_CELLS) {
+    throw new Error(`Report ${snapshot?.reportId} is too large for its history snapshot (${json.length} characters)`);
+  }
+  return cells;
+}
+
+function rowToHistoryEntry(row) {
+  return {
+    reportId: row[0] || '',
+    revision: parseInt(row[1], 10) || 0,
+    changedAt: row[2] || '',
+    changedBy: row[3] || '',
+    source: row[4] || '',
+    snapshot: safeJsonParse(row.slice(5).join(''), null),
+  };
+}
+
+export async function getReportHistory(reportId) {
+  const sheets = await getSheetsClient();
+  const { spreadsheetId, sheetName } = getReportHistorySheet();
+
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${sheetName}!A2:Y`,
+  });
+
+  const rows = response.data.values || [];
+
+  return rows
+    .filter((row) => row[0] === reportId)
+    .map(rowToHistoryEntry)
+    .sort((a, b) => a.revision - b.revision);
+}
+
+/**
+ * Allocate the next revision number of a report (Counters row "revision:<reportId>",
+ * seeded from its history the first time), with the same write / read-back check as report IDs
+ */
+export async function allocateRevisionNumber(reportId) {
+  return allocateCounter(
+    revisionCounterKey(reportId),
+    async () => highestRevision(await getReportHistory(reportId)),
+    revisionConflict
+  );
+}
+
+export async function appendReportHistory(entry) {
+  const sheets = await getSheetsClient();
+  const { spreadsheetId, sheetName } = getReportHistorySheet();
+
+  const response = await sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: `${sheetName}!A:Y`,
+    valueInputOption: 'RAW',
+    requestBody: {
+      values: [
+        [
+          entry.reportId,
+          entry.revision,
+          entry.changedAt,
+          entry.changedBy,
+          entry.source,
+          ...snapshotCells(entry.snapshot),
+        ],
+      ],
+    },
+  });
+
+  return {
+    spreadsheetId,
+    range: response.data.updates.updatedRange,
+  };
+}
+
+// ============================================================================
+// IDEMPOTENCY KEYS
+// ============================================================================
+
+export async function getIdempotencyEntry(scope, key) {
+  const sheets = await getSheetsClient();
+  const { spreadsheetId, sheetName } = getIdempotencySheet();
+
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${sheetName}!A2:F`,
+  });
+
+  // Latest row wins (a key can be reused once its previous entry expired)
+  const row = (response.data.values || []).findLast((r) => r[0] === scope && r[1] === key);
+  if (!row) return null;
+
+  return {
+    scope: row[0],
+    key: row[1],
+    fingerprint: row[2] || '',
+    createdAt: row[3] || '',
+    expiresAt: row[4] || '',
+    result: safeJsonParse(row[5], null),
+  };
+}
+
+export async function saveIdempotencyEntry(entry) {
+  const sheets = await getSheetsClient();
+  const { spreadsheetId, sheetName } = getIdempotencySheet();
+
+  const response = await sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: `${sheetName}!A:F`,
+    valueInputOption: 'RAW',
+    insertDataOption: 'INSERT_ROWS',
+    requestBody: {
+      values: [
+        [
+          entry.scope,
+          entry.key,
+          entry.fingerprint,
+          entry.createdAt,
+          entry.expiresAt,
+          JSON.stringify(entry.result),
+        ],
+      ],
+    },
+  });
+
+  return {
+    spreadsheetId,
+    range: response.data.updates.updatedRange,
+  };
+}
+
+// ============================================================================
+// PROPERTIES
+// ============================================================================
+
+function propertyToRow(property) {
+  // A=id, B=code, C=name, D=waqfType, E=propertyType, F=endowedTo,
+  // G=building, H=unitNumber, I=road, J=area, K=governorate, L=block, M=defaultLocationLink, N=postcode,
+  // O=archivedAt, P=updatedAt, Q=latitude, R=longitude
+  return [
+    property.id,
+    property.code,
+    property.name,
+    property.waqfType,
+    property.propertyType,
+    property.endowedTo,
+    property.building,
+    property.unitNumber,
+    property.road,
+    property.area,
+    property.governorate,
+    property.block,
+    property.defaultLocationLink,
+    property.postcode,
+    property.archivedAt || '',
+    property.updatedAt || '',
+    property.latitude ?? '',
+    property.longitude ?? '',
+  ];
+}
+
+function rowToProperty(row) {
+  return {
+    id: s(row[0]),
+    code: s(row[1]),
+    name: s(row[2]),
+    waqfType: s(row[3]),
+    propertyType: s(row[4]),
+    endowedTo: s(row[5]),
+    building: s(row[6]),
+    unitNumber: s(row[7]),
+    road: s(row[8]),
+    area: s(row[9]),
+    governorate: s(row[10]),
+    block: s(row[11]),
+    defaultLocationLink: s(row[12]),
+    postcode: s(row[13]),
+    archivedAt: s(row[14]),
+    updatedAt: s(row[15]),
+    latitude: parseCoordinate(row[16]),
+    longitude: parseCoordinate(row[17]),
+  };
+}
+
+/**
+ * { id, code } of every property row (columns A:B only)
+ */
+async function getPropertyKeys(sheets) {
+  const { spreadsheetId, sheetName } = getPropertiesSheet();
+
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${sheetName}!A2:B`,
+  });
+
+  return (response.data.values || []).map((row) => ({ id: s(row[0]), code: s(row[1]) }));
+}
+
+export async function getAllProperties() {
+  const { spreadsheetId, sheetName } = getPropertiesSheet();
+  const sheets = await getSheetsClient();
+
+  const range = `${sheetName}!A2:R`;
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range,
+  });
+
+  const rows = response?.data?.values || [];
+
+  console.log(
+    `[Sheets] Properties read: spreadsheetId=${spreadsheetId} sheet=${sheetName} range=${range} rows=${rows.length}`
+  );
+
+  // If your app worked locally but production shows empty, this helps you detect it immediately.
+  // Remove this block later if you prefer silent empty behavior.
+  if (rows.length === 0) {
+    throw new Error(
+      `No rows returned from Google Sheets. Check: (1) sheet shared with service account, (2) correct spreadsheetId, (3) correct tab name "${sheetName}", (4) data exists in A2:R`
+    );
+  }
+
+  return rows.map(rowToProperty);
+}
+
+export async function appendProperty(property) {
+  const { spreadsheetId } = await appendProperties([property]);
+
+  console.log(`[Sheets] New property added: id=${property.id} code=${property.code}`);
+
+  return { spreadsheetId };
+}
+
+/**
+ * Append several property rows in one request; nothing is written if any id or code already exists
+ */
+export async function appendProperties(properties) {
+  const { spreadsheetId, sheetName } = getPropertiesSheet();
+  const sheets = await getSheetsClient();
+
+  // Never write a second row with the same id or code
+  const keys = await getPropertyKeys(sheets);
+  for (const property of properties) {
+    const conflict = findPropertyConflict(keys, property);
+    if (conflict) throw conflict;
+    keys.push({ id: s(property.id), code: s(property.code) });
+  }
+
+  await sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: `${sheetName}!A:R`,
+    // RAW like the updates: "007" must stay "007" (and "=..." text), or codes stop matching on re-import
+    valueInputOption: 'RAW',
+    insertDataOption: 'INSERT_ROWS',
+    requestBody: {
+      values: properties.map(propertyToRow),
+    },
+  });
+
+  return { spreadsheetId, count: properties.length };
+}
+
+/**
+ * Rewrite several property rows (matched by id in column A) in one batch request
+ * Returns { updated, missing } — missing lists ids that are not in the sheet.
+ */
+export async function updateProperties(properties) {
+  const { spreadsheetId, sheetName } = getPropertiesSheet();
+  const sheets = await getSheetsClient();
+
+  const rowById = new Map((await getPropertyKeys(sheets)).map((p, i) => [p.id, i + 2]));
+  const missing = [];
+  const data = [];
+
+  for (const property of properties) {
+    const rowNumber = rowById.get(s(property.id));
+    if (!rowNumber) {
+      missing.push(property.id);
+      continue;
+    }
+    data.push({ range: `${sheetName}!A${rowNumber}:R${rowNumber}`, values: [propertyToRow(property)] });
+  }
+
+  if (data.length) {
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      requestBody: { valueInputOption: 'RAW', data },
+    });
+  }
+
+  console.log(`[Sheets] Properties updated: ${data.length} rows`);
+
+  return { spreadsheetId, updated: data.length, missing };
+}
+
+/**
+ * Rewrite columns A:R of an existing property row in place
+ * Returns null when the id is not in column A.
+ */
+export async function updateProperty(id, property) {
+  const { spreadsheetId, sheetName } = getPropertiesSheet();
+  const sheets = await getSheetsClient();
+
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${sheetName}!A2:A`,
+  });
+
+  const index = (response.data.values || []).findIndex((row) => s(row[0]) === s(id));
+  if (index === -1) return null;
+
+  const range = `${sheetName}!A${index + 2}:R${index + 2}`;
+
+  await sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range,
+    valueInputOption: 'RAW',
+    requestBody: { values: [propertyToRow(property)] },
+  });
+
+  console.log(`[Sheets] Property updated: id=${property.id} code=${property.code} range=${range}`);
+
+  return { spreadsheetId, range };
+}
@@ -0,0 +1,198 @@
+import fs from 'fs';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  REPORT_FILES_SUBFOLDER,
+  allowedFileTypes,
+  detectFileType,
+  validateFileContent,
+} from '../src/services/fileTypes.js';
+
+const PHOTOS = 'الصور الرئيسية';
+const FINDING = 'Finding 2 - تسرب مياه';
+
+const bytes = (...values) => Buffer.from(values);
+const text = (value) => Buffer.from(value, 'utf8');
+
+const SAMPLES = {
+  jpeg: bytes(0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46),
+  png: bytes(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d),
+  gif: text('GIF89a\x01\x00\x01\x00'),
+  webp: Buffer.concat([text('RIFF'), bytes(0x24, 0, 0, 0), text('WEBPVP8 ')]),
+  heic: fs.readFileSync(new URL('./fixtures/heic-with-exif.heic', import.meta.url)),
+  pdf: text('%PDF-1.7\n1 0 obj\n'),
+  office: bytes(0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0x00),
+  docx: Buffer.concat([bytes(0x50, 0x4b, 0x03, 0x04), Buffer.alloc(26), text('word/document.xml')]),
+  xlsx: Buffer.concat([bytes(0x50, 0x4b, 0x03, 0x04), Buffer.alloc(26), text('xl/workbook.xml')]),
+  csv: text('code,name,area\n007,مسجد,المحرق\n'),
+};
+
+function bmp() {
+  const header = Buffer.alloc(54);
+  header.write('BM', 0, 'latin1');
+  header.writeUInt32LE(54, 2);
+  header.writeUInt32LE(40, 14);
+  return header;
+}
+
+const check = (originalname, mimetype, subfolder, content) =>
+  validateFileContent({ originalname, mimetype }, subfolder, content);
+
+const rejects = (code, fn) => assert.throws(fn, (error) => error.status === 400 && error.code === code);
+
+describe('detectFileType', () => {
+  it('identifies each supported type by its magic bytes', () => {
+    for (const [id, content] of Object.entries(SAMPLES)) {
+      assert.equal(detectFileType(content)?.id, id === 'csv' ? 'text' : id, id);
+    }
+    assert.equal(detectFileType(bmp())?.id, 'bmp');
+    assert.equal(detectFileType(bytes(0x49, 0x49, 0x2a, 0x00, 0x08))?.id, 'tiff');
+  });
+
+  it('returns null for empty and unknown content', () => {
+    assert.equal(detectFileType(Buffer.alloc(0)), null);
+    assert.equal(detectFileType(null), null);
+    assert.equal(detectFileType(bytes(0x4d, 0x5a, 0x90, 0x00, 0x03)), null); // Windows executable
+    assert.equal(detectFileType(bytes(0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01, 0x01, 0x00)), null); // ELF
+  });
+
+  it('does not identify truncated headers', () => {
+    const truncated = {
+      jpeg: bytes(0xff, 0xd8),
+      png: bytes(0x89, 0x50, 0x4e, 0x47),
+      gif: text('GIF8'),
+      bmp: bmp().subarray(0, 20),
+      heic: SAMPLES.heic.subarray(0, 12),
+      docx: bytes(0x50, 0x4b, 0x03, 0x04),
+      pdf: text('%PD'),
+    };
+    for (const [id, content] of Object.entries(truncated)) {
+      assert.notEqual(detectFileType(content)?.id, id, id);
+      // ASCII-only leftovers look like text, which is not accepted under these names
+      rejects('UNRECOGNIZED_FILE_TYPE', () => check(`a.${id}`, '', REPORT_FILES_SUBFOLDER, content));
+    }
+  });
+
+  it('requires %PDF- at the very start', () => {
+    assert.equal(detectFileType(text('%PDF-1.4'))?.id, 'pdf');
+    assert.equal(detectFileType(Buffer.concat([bytes(0x00, 0x01), text('%PDF-1.4')])), null);
+    assert.notEqual(detectFileType(text('junk before %PDF-1.4'))?.id, 'pdf');
+  });
+
+  it('accepts UTF-8 text with a BOM or a multi-byte character cut at the end of the sample', () => {
+    assert.equal(detectFileType(text('\uFEFFcode;name\n1;مسجد\n'))?.id, 'text');
+    const arabic = text('name\nمسجد');
+    assert.equal(detectFileType(arabic.subarray(0, arabic.length - 1))?.id, 'text');
+  });
+
+  it('rejects binary and invalid UTF-8 posing as text', () => {
+    assert.equal(detectFileType(text('a,b\n1,\u0000\n')), null);
+    assert.equal(detectFileType(bytes(0x61, 0x2c, 0xc3, 0x28, 0x0a)), null);
+    assert.equal(detectFileType(bytes(0x61, 0x2c, 0xff, 0xfe, 0x0a)), null);
+  });
+
+  it('rejects markup and scripts as text', () => {
+    const markup = [
+      '<!DOCTYPE html><html><body>hi</body></html>',
+      '<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"/>',
+      '<?xml version="1.0"?><root/>',
+      'name,note\n1,<script>alert(1)</script>\n',
+      'name,note\n1,< IFRAME src=x>\n',
+      '\uFEFF<?php echo 1; ?>',
+      '#!/bin/sh\nrm -rf /\n',
+    ];
+    for (const sample of markup) assert.equal(detectFileType(text(sample)), null, sample);
+  });
+
+  it('keeps text that only mentions angle brackets', () => {
+    assert.equal(detectFileType(text('area,note\n1,price < 100 and > 50\n'))?.id, 'text');
+  });
+});
+
+describe('validateFileContent', () => {
+  it('returns the detected type with the declared MIME type when it matches', () => {
+    assert.deepEqual(check('photo.jpg', 'image/jpeg', PHOTOS, SAMPLES.jpeg), {
+      id: 'jpeg',
+      kind: 'image',
+      mimeType: 'image/jpeg',
+    });
+    const pdf = check('scan.pdf', 'application/pdf', REPORT_FILES_SUBFOLDER, SAMPLES.pdf);
+    assert.equal(pdf.mimeType, 'application/pdf');
+  });
+
+  it('uses the detected MIME type when nothing was declared', () => {
+    assert.equal(check('photo', 'application/octet-stream', PHOTOS, SAMPLES.png).mimeType, 'image/png');
+    assert.equal(check('IMG_0001.HEIC', '', PHOTOS, SAMPLES.heic).mimeType, 'image/heic');
+  });
+
+  it('accepts a .csv declared as Excel (Windows)', () => {
+    const type = check('list.csv', 'application/vnd.ms-excel', REPORT_FILES_SUBFOLDER, SAMPLES.csv);
+    assert.equal(type.id, 'text');
+  });
+
+  it('rejects spoofed extensions: the content decides', () => {
+    const executable = bytes(0x4d, 0x5a, 0x90, 0x00);
+    rejects('UNRECOGNIZED_FILE_TYPE', () => check('photo.jpg', 'image/jpeg', PHOTOS, executable));
+    rejects('FILE_TYPE_MISMATCH', () => check('photo.jpg', 'image/jpeg', PHOTOS, SAMPLES.png));
+    rejects('FILE_TYPE_MISMATCH', () =>
+      check('report.pdf', 'application/pdf', REPORT_FILES_SUBFOLDER, SAMPLES.docx)
+    );
+    // A PDF renamed .jpg is still a PDF: not allowed among photos
+    rejects('INVALID_FILE_TYPE_FOR_SUBFOLDER', () => check('photo.jpg', '', PHOTOS, SAMPLES.pdf));
+  });
+
+  it('accepts text only from .csv and .txt files', () => {
+    assert.equal(check('notes.TXT', 'text/plain', REPORT_FILES_SUBFOLDER, text('hello')).id, 'text');
+    for (const name of ['page.html', 'image.svg', 'script.js', 'data.json', 'noextension']) {
+      rejects('UNRECOGNIZED_FILE_TYPE', () => check(name, '', REPORT_FILES_SUBFOLDER, text('hello')));
+    }
+  });
+
+  it('rejects markup in a .csv or .txt file', () => {
+    rejects('UNRECOGNIZED_FILE_TYPE', () =>
+      check('list.csv', 'text/csv', REPORT_FILES_SUBFOLDER, text('<html><script>x()</script></html>'))
+    );
+    rejects('UNRECOGNIZED_FILE_TYPE', () =>
+      check('image.txt', 'text/plain', REPORT_FILES_SUBFOLDER, text('<svg><circle r="1"/></svg>'))
+    );
+  });
+
+  it('rejects empty files', () => {
+    rejects('UNRECOGNIZED_FILE_TYPE', () => check('empty.jpg', 'image/jpeg', PHOTOS, Buffer.alloc(0)));
+  });
+});
+
+describe('per-subfolder allow-lists', () => {
+  const images = { 'a.jpg': SAMPLES.jpeg, 'a.png': SAMPLES.png, 'a.gif': SAMPLES.gif, 'a.heic': SAMPLES.heic };
+  const documents = {
+    'a.pdf': SAMPLES.pdf,
+    'a.doc': SAMPLES.office,
+    'a.docx': SAMPLES.docx,
+    'a.xlsx': SAMPLES.xlsx,
+    'a.csv': SAMPLES.csv,
+  };
+
+  for (const subfolder of [PHOTOS, FINDING, 'any other folder']) {
+    it(`"${subfolder}" takes images only`, () => {
+      for (const [name, content] of Object.entries(images)) {
+        assert.equal(check(name, '', subfolder, content).kind, 'image', name);
+      }
+      for (const [name, content] of Object.entries(documents)) {
+        rejects('INVALID_FILE_TYPE_FOR_SUBFOLDER', () => check(name, '', subfolder, content));
+      }
+    });
+  }
+
+  it(`"${REPORT_FILES_SUBFOLDER}" takes images and documents`, () => {
+    for (const [name, content] of Object.entries({ ...images, ...documents })) {
+      assert.ok(check(name, '', REPORT_FILES_SUBFOLDER, content), name);
+    }
+  });
+
+  it('lists the allowed type ids', () => {
+    assert.ok(!allowedFileTypes(PHOTOS).includes('pdf'));
+    assert.ok(!allowedFileTypes(FINDING).includes('text'));
+    assert.ok(allowedFileTypes(REPORT_FILES_SUBFOLDER).includes('pdf'));
+    assert.ok(allowedFileTypes(REPORT_FILES_SUBFOLDER).includes('text'));
+  });
+});
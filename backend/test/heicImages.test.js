@@ -0,0 +1,130 @@
+import fs from 'fs';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { convertHeicToJpeg, heicExif, isHeic } from '../src/services/heicImages.js';
+import { extractExif } from '../src/services/exifMetadata.js';
+import { processImage } from '../src/services/imageProcessing.js';
+
+/**
+ * Fixtures: 64×64 HEVC-coded HEIC files laid out like iPhone photos (ftyp heic/mif1, meta with
+ * hdlr / pitm / iinf / iref / iprp / iloc, mdat); the Exif item is big-endian with orientation 6
+ * - heic-with-exif.heic: Apple iPhone 13, 2024-01-15 10:23:45 +03:00, 26.2285 N 50.586 E
+ * - heic-without-exif.heic: same picture, no Exif item
+ * - heic-truncated.heic: heic-with-exif.heic cut inside its iloc box
+ */
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+
+const withExif = fixture('heic-with-exif.heic');
+const withoutExif = fixture('heic-without-exif.heic');
+const truncated = fixture('heic-truncated.heic');
+
+const FIXTURE_EXIF = {
+  capturedAt: '2024-01-15T10:23:45+03:00',
+  latitude: 26.2285,
+  longitude: 50.586,
+  cameraMake: 'Apple',
+  cameraModel: 'iPhone 13',
+};
+
+function ftyp(major, ...compatible) {
+  const box = Buffer.alloc(16 + compatible.length * 4);
+  box.writeUInt32BE(box.length, 0);
+  box.write(`ftyp${major}`, 4, 'latin1');
+  compatible.forEach((brand, i) => box.write(brand, 16 + i * 4, 'latin1'));
+  return box;
+}
+
+describe('isHeic', () => {
+  it('recognises HEIC files by their ftyp brands', () => {
+    assert.equal(isHeic(withExif), true);
+    assert.equal(isHeic(withoutExif), true);
+    assert.equal(isHeic(ftyp('mif1', 'heic')), true);
+    assert.equal(isHeic(ftyp('msf1', 'hevc')), true);
+  });
+
+  it('rejects AVIF, other ftyp files and short buffers', () => {
+    assert.equal(isHeic(ftyp('avif', 'mif1', 'miaf')), false);
+    assert.equal(isHeic(ftyp('mif1', 'avif')), false);
+    assert.equal(isHeic(ftyp('isom', 'mp41')), false);
+    assert.equal(isHeic(withExif.subarray(0, 12)), false);
+    assert.equal(isHeic(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), false);
+  });
+});
+
+describe('heicExif', () => {
+  it('finds the Exif item through iinf and iloc', () => {
+    const tiff = heicExif(withExif);
+    assert.ok(tiff);
+    assert.equal(tiff.toString('latin1', 0, 4), 'MM\0*');
+    assert.deepEqual(extractExif(withExif), FIXTURE_EXIF);
+  });
+
+  it('returns null for a file without an Exif item', () => {
+    assert.equal(heicExif(withoutExif), null);
+    assert.equal(extractExif(withoutExif), null);
+  });
+
+  it('returns null for truncated boxes', () => {
+    assert.equal(heicExif(truncated), null);
+    assert.equal(extractExif(truncated), null);
+  });
+
+  it('never throws on a file cut anywhere', () => {
+    for (let length = 0; length < withExif.length; length += 7) {
+      const cut = withExif.subarray(0, length);
+      const tiff = heicExif(cut);
+      assert.ok(tiff === null || ['II', 'MM'].includes(tiff.toString('latin1', 0, 2)), `cut at ${length}`);
+      assert.doesNotThrow(() => extractExif(cut), `cut at ${length}`);
+    }
+  });
+});
+
+describe('convertHeicToJpeg', () => {
+  it('decodes the picture and carries the EXIF data over, upright', async () => {
+    const jpeg = await convertHeicToJpeg(withExif);
+    const metadata = await sharp(jpeg).metadata();
+
+    assert.equal(metadata.format, 'jpeg');
+    assert.equal(metadata.width, 64);
+    assert.equal(metadata.height, 64);
+    // libheif already applied the rotation: the EXIF orientation 6 is reset
+    assert.equal(metadata.orientation, 1);
+    assert.deepEqual(extractExif(jpeg), FIXTURE_EXIF);
+  });
+
+  it('writes no EXIF segment when the HEIC file has none', async () => {
+    const jpeg = await convertHeicToJpeg(withoutExif);
+    const metadata = await sharp(jpeg).metadata();
+
+    assert.equal(metadata.format, 'jpeg');
+    assert.equal(metadata.exif, undefined);
+    assert.equal(extractExif(jpeg), null);
+  });
+
+  it('rejects a truncated file', async () => {
+    await assert.rejects(convertHeicToJpeg(truncated));
+  });
+});
+
+describe('processImage with HEIC uploads', () => {
+  it('stores a HEIC photo as JPEG with its EXIF data', async () => {
+    const { image, thumbnail, processed } = await processImage(withExif, 'IMG_0001.heic', 'image/heic');
+
+    assert.equal(image.fileName, 'IMG_0001.jpg');
+    assert.equal(image.mimeType, 'image/jpeg');
+    assert.equal(processed, true);
+    assert.ok(thumbnail);
+    assert.deepEqual(extractExif(image.buffer), FIXTURE_EXIF);
+  });
+
+  it('stores a HEIC file that cannot be decoded as uploaded', async () => {
+    const { image, thumbnail, processed } = await processImage(truncated, 'IMG_0002.heic', 'image/heic');
+
+    assert.equal(image.buffer, truncated);
+    assert.equal(image.fileName, 'IMG_0002.heic');
+    assert.equal(image.mimeType, 'image/heic');
+    assert.equal(thumbnail, null);
+    assert.equal(processed, false);
+  });
+});
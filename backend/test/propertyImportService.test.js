@@ -0,0 +1,118 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { importProperties } from '../src/services/propertyImportService.js';
+import { toCsv, writeXlsx } from '../src/services/tabularFiles.js';
+
+const STORED = {
+  id: '1',
+  code: 'RYD-001',
+  name: 'مسجد الفاتح',
+  propertyType: 'مسجد',
+  area: 'الجفير',
+  governorate: 'العاصمة',
+};
+
+const FILE = [
+  ['رمز العقار | Property Code', 'name', 'area', 'notes'],
+  ['RYD-001', '', 'المحرق', 'not imported'],
+  ['RYD-002', 'مسجد جديد', 'الرفاع', ''],
+];
+
+let dataDir;
+
+const propertiesFile = () => path.join(dataDir, 'properties.json');
+const stored = async () => JSON.parse(await fs.promises.readFile(propertiesFile(), 'utf8'));
+
+before(async () => {
+  dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'property-import-test-'));
+  process.env.STORAGE_DRIVER = 'local';
+  process.env.LOCAL_DATA_DIR = dataDir;
+});
+
+after(async () => {
+  delete process.env.STORAGE_DRIVER;
+  delete process.env.LOCAL_DATA_DIR;
+  await fs.promises.rm(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await fs.promises.rm(dataDir, { recursive: true, force: true });
+  await fs.promises.mkdir(dataDir, { recursive: true });
+  await fs.promises.writeFile(propertiesFile(), JSON.stringify([STORED]));
+});
+
+describe('importProperties', () => {
+  it('dry run reports what would change and writes nothing', async () => {
+    const before = await fs.promises.readFile(propertiesFile(), 'utf8');
+
+    const result = await importProperties(Buffer.from(toCsv(FILE), 'utf8'), { dryRun: true });
+
+    assert.equal(result.dryRun, true);
+    assert.equal(result.created, 1);
+    assert.equal(result.updated, 1);
+    assert.deepEqual(result.ignoredColumns, ['notes']);
+    assert.deepEqual(
+      result.results.map(({ row, code, action, changedFields }) => ({ row, code, action, changedFields })),
+      [
+        { row: 2, code: 'RYD-001', action: 'updated', changedFields: ['area'] },
+        { row: 3, code: 'RYD-002', action: 'created', changedFields: ['name', 'area'] },
+      ]
+    );
+    assert.equal(await fs.promises.readFile(propertiesFile(), 'utf8'), before);
+    assert.equal(fs.existsSync(path.join(dataDir, 'counters.json')), false);
+  });
+
+  it('apply writes the same changes the dry run reported', async () => {
+    const file = await writeXlsx(FILE);
+    const preview = await importProperties(file, { dryRun: true });
+    const result = await importProperties(file);
+
+    assert.equal(result.dryRun, false);
+    assert.equal(result.created, preview.created);
+    assert.equal(result.updated, preview.updated);
+    assert.deepEqual(
+      result.results.map((r) => r.action),
+      preview.results.map((r) => r.action)
+    );
+
+    const [updated, created] = await stored();
+    // Empty cells keep the stored values
+    assert.equal(updated.name, STORED.name);
+    assert.equal(updated.area, 'المحرق');
+    assert.equal(updated.governorate, STORED.governorate);
+    assert.ok(updated.updatedAt);
+    assert.equal(created.id, '2');
+    assert.equal(created.code, 'RYD-002');
+    assert.equal(created.name, 'مسجد جديد');
+    assert.equal(result.results[1].id, '2');
+
+    // Imported again: nothing left to change
+    const again = await importProperties(file);
+    assert.equal(again.created, 0);
+    assert.equal(again.updated, 0);
+    assert.equal(again.unchanged, 2);
+  });
+
+  it('writes nothing when a row is invalid, unless skipInvalid is set', async () => {
+    const invalid = Buffer.from(toCsv([...FILE, ['', 'بدون رمز'], ['RYD-002', 'مكرر']]), 'utf8');
+
+    await assert.rejects(importProperties(invalid), (error) => {
+      assert.equal(error.status, 422);
+      assert.equal(error.code, 'IMPORT_VALIDATION_FAILED');
+      assert.deepEqual(
+        error.result.errors.map((e) => e.row),
+        [4, 5]
+      );
+      return true;
+    });
+    assert.deepEqual(await stored(), [STORED]);
+
+    const result = await importProperties(invalid, { skipInvalid: true });
+    assert.equal(result.created, 1);
+    assert.equal(result.skipped, 2);
+    assert.equal((await stored()).length, 2);
+  });
+});
@@ -0,0 +1,55 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { indexReport, MAX_QUERY_WORDS, searchReports } from '../src/services/reportSearchService.js';
+
+const REPORTS = [
+  { reportId: 'RPT-1', submitDate: '2026-01-01', complaint: 'تسربات المياه في السقف' },
+  { reportId: 'RPT-2', submitDate: '2026-01-02', complaint: 'تسرب في دورة المياه', findings: [{ text: 'رطوبة' }] },
+  { reportId: 'RPT-3', submitDate: '2026-01-03', complaint: 'تشقق الجدار', actions: ['ترميم الجدار'] },
+];
+
+let dataDir;
+
+const ids = async (query) => (await searchReports(query)).results.map((r) => r.reportId).sort();
+
+before(async () => {
+  dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'report-search-test-'));
+  process.env.STORAGE_DRIVER = 'local';
+  process.env.LOCAL_DATA_DIR = dataDir;
+  await fs.promises.writeFile(path.join(dataDir, 'reports.json'), JSON.stringify(REPORTS));
+});
+
+after(async () => {
+  delete process.env.STORAGE_DRIVER;
+  delete process.env.LOCAL_DATA_DIR;
+  await fs.promises.rm(dataDir, { recursive: true, force: true });
+});
+
+describe('searchReports', () => {
+  it('matches every word by prefix', async () => {
+    assert.deepEqual(await ids('تسرب'), ['RPT-1', 'RPT-2']);
+    assert.deepEqual(await ids('تسرب دوره'), ['RPT-2']);
+    assert.deepEqual(await ids('ت'), ['RPT-1', 'RPT-2', 'RPT-3']);
+    assert.deepEqual(await ids('تسربات الجدار'), []);
+    assert.deepEqual(await ids('ي'), []);
+  });
+
+  it('finds words added and forgets words removed by indexReport', async () => {
+    indexReport({ ...REPORTS[2], complaint: 'تسرب من النافذة', actions: [] });
+    assert.deepEqual(await ids('تسرب'), ['RPT-1', 'RPT-2', 'RPT-3']);
+    assert.deepEqual(await ids('نافذ'), ['RPT-3']);
+    assert.deepEqual(await ids('جدار'), []);
+  });
+
+  it(`refuses more than ${MAX_QUERY_WORDS} words`, async () => {
+    const query = Array.from({ length: MAX_QUERY_WORDS + 1 }, (_, i) => `كلمة${i}`).join(' ');
+    await assert.rejects(searchReports(query), (error) => {
+      assert.equal(error.status, 400);
+      assert.equal(error.code, 'TOO_MANY_SEARCH_WORDS');
+      return true;
+    });
+  });
+});
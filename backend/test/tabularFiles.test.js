@@ -0,0 +1,161 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { isXlsx, parseCsv, parseTable, parseXlsx, toCsv, writeXlsx } from '../src/services/tabularFiles.js';
+
+const MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+/**
+ * Workbook laid out like the ones Excel writes: `sheets` is [{ name, xml }] in workbook order,
+ * stored under sheet<n>.xml in reverse so that the first sheet is not sheet1.xml
+ */
+async function xlsx(sheets, { sharedStrings = null } = {}) {
+  const zip = new JSZip();
+  const files = sheets.map((sheet, i) => ({ ...sheet, id: `rId${i + 1}`, file: `sheet${sheets.length - i}.xml` }));
+
+  zip.file(
+    'xl/workbook.xml',
+    `<workbook xmlns="${MAIN}" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>` +
+      files.map((s, i) => `<sheet name="${s.name}" sheetId="${i + 1}" r:id="${s.id}"/>`).join('') +
+      '</sheets></workbook>'
+  );
+  zip.file(
+    'xl/_rels/workbook.xml.rels',
+    `<Relationships xmlns="${RELS}">` +
+      files.map((s) => `<Relationship Id="${s.id}" Type="worksheet" Target="worksheets/${s.file}"/>`).join('') +
+      '</Relationships>'
+  );
+  for (const s of files) {
+    zip.file(`xl/worksheets/${s.file}`, `<worksheet xmlns="${MAIN}"><sheetData>${s.xml}</sheetData></worksheet>`);
+  }
+  if (sharedStrings) {
+    const items = sharedStrings.map((item) => `<si>${item}</si>`).join('');
+    zip.file('xl/sharedStrings.xml', `<sst xmlns="${MAIN}" count="${sharedStrings.length}">${items}</sst>`);
+  }
+
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('parseXlsx', () => {
+  it('reads shared strings, including rich text runs and entities', async () => {
+    const sheet = '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>';
+    const file = await xlsx([{ name: 'Data', xml: sheet }], {
+      sharedStrings: ['<t>رمز العقار</t>', '<r><t>Road </t></r><r><rPr><b/></rPr><t>&amp; Street</t></r>'],
+    });
+    assert.deepEqual(await parseXlsx(file), [['رمز العقار', 'Road & Street']]);
+  });
+
+  it('reads inline strings, numbers, booleans and cached formula values', async () => {
+    const file = await xlsx([
+      {
+        name: 'Data',
+        xml:
+          '<row r="1"><c r="A1" t="inlineStr"><is><t xml:space="preserve"> 007 </t></is></c>' +
+          '<c r="B1"><v>12.5</v></c><c r="C1" t="b"><v>1</v></c><c r="D1" t="b"><v>0</v></c>' +
+          '<c r="E1"><f>B1*2</f><v>25</v></c><c r="F1" t="str"><f>"a"&amp;"b"</f><v>ab</v></c></row>',
+      },
+    ]);
+    assert.deepEqual(await parseXlsx(file), [[' 007 ', '12.5', 'TRUE', 'FALSE', '25', 'ab']]);
+  });
+
+  it('keeps cells in their columns when column letters are skipped', async () => {
+    const file = await xlsx([
+      {
+        name: 'Data',
+        xml:
+          '<row r="1"><c r="A1" t="inlineStr"><is><t>code</t></is></c>' +
+          '<c r="C1" t="inlineStr"><is><t>area</t></is></c>' +
+          '<c r="AA1" t="inlineStr"><is><t>far</t></is></c></row>',
+      },
+    ]);
+    const [row] = await parseXlsx(file);
+    assert.equal(row.length, 27);
+    assert.equal(row[0], 'code');
+    assert.equal(row[1], '');
+    assert.equal(row[2], 'area');
+    assert.equal(row[26], 'far');
+  });
+
+  it('turns empty and missing cells and skipped rows into empty strings', async () => {
+    const file = await xlsx([
+      {
+        name: 'Data',
+        xml:
+          '<row r="1"><c r="A1" t="inlineStr"><is><t>code</t></is></c><c r="B1"/><c r="C1" s="1"></c>' +
+          '<c r="D1" t="inlineStr"><is><t>name</t></is></c></row>' +
+          '<row r="3"><c r="A3"><v>7</v></c></row>' +
+          '<row r="4" spans="1:4"/>' +
+          '<row r="5"><c r="A5" t="inlineStr"><is><t> </t></is></c></row>',
+      },
+    ]);
+    assert.deepEqual(await parseXlsx(file), [['code', '', '', 'name'], [], ['7']]);
+  });
+
+  it('reads cells without a reference one after another', async () => {
+    const sheet = '<row><c><v>1</v></c><c><v>2</v></c></row><row><c><v>3</v></c></row>';
+    const file = await xlsx([{ name: 'Data', xml: sheet }]);
+    assert.deepEqual(await parseXlsx(file), [['1', '2'], ['3']]);
+  });
+
+  it('reads the first sheet of the workbook, wherever it is stored', async () => {
+    const file = await xlsx([
+      { name: 'Properties', xml: '<row r="1"><c r="A1" t="inlineStr"><is><t>first</t></is></c></row>' },
+      { name: 'Notes', xml: '<row r="1"><c r="A1" t="inlineStr"><is><t>second</t></is></c></row>' },
+    ]);
+    assert.deepEqual(await parseXlsx(file), [['first']]);
+  });
+
+  it('rejects a zip without a worksheet', async () => {
+    const zip = new JSZip();
+    zip.file('word/document.xml', '<document/>');
+    await assert.rejects(parseXlsx(await zip.generateAsync({ type: 'nodebuffer' })), /no worksheet/);
+  });
+
+  it('reads back what writeXlsx wrote', async () => {
+    const rows = [
+      ['code', 'name', 'note'],
+      ['007', 'مسجد <الفاتح> & "الكبير"', ' padded '],
+      ['008', '', '=1+1'],
+    ];
+    const file = await writeXlsx(rows, { sheetName: 'العقارات' });
+    assert.equal(isXlsx(file), true);
+    assert.deepEqual(await parseXlsx(file), rows);
+  });
+});
+
+describe('parseCsv', () => {
+  it('detects the delimiter and handles quotes, BOM and line endings', () => {
+    assert.deepEqual(parseCsv('\uFEFFcode;name\r\n007;"مسجد; ""الفاتح"""\r\n\r\n'), [
+      ['code', 'name'],
+      ['007', 'مسجد; "الفاتح"'],
+    ]);
+    assert.deepEqual(parseCsv('a\tb\n1\t"line\nbreak"'), [
+      ['a', 'b'],
+      ['1', 'line\nbreak'],
+    ]);
+  });
+
+  it('round-trips formula-like cells escaped by toCsv', () => {
+    const rows = [
+      ['code', 'note', 'amount'],
+      ['007', '=HYPERLINK("http://x")', '-5'],
+      ['008', '@SUM(A1)', '+3.5'],
+      ['009', "'kept as typed", '-cmd'],
+    ];
+    const csv = toCsv(rows);
+
+    assert.match(csv, /,"'=HYPERLINK\(""http:\/\/x""\)",-5\r\n/);
+    assert.match(csv, /,'@SUM\(A1\),\+3\.5\r\n/);
+    assert.match(csv, /,'-cmd\r\n/);
+    assert.deepEqual(parseCsv(csv), rows);
+  });
+});
+
+describe('parseTable', () => {
+  it('picks the reader from the content', async () => {
+    const rows = [['code'], ['007']];
+    assert.deepEqual(await parseTable(await writeXlsx(rows)), rows);
+    assert.deepEqual(await parseTable(Buffer.from(toCsv(rows), 'utf8')), rows);
+  });
+});
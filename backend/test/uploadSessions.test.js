@@ -0,0 +1,286 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  appendUploadChunk,
+  clearExpiredUploadSessions,
+  createUploadSession,
+  getCompletedUpload,
+  getUploadSession,
+  markUploadCompleted,
+  removeUploadSession,
+} from '../src/services/uploadSessions.js';
+
+const FILE = crypto.randomBytes(10000);
+const FIELDS = { propertyCode: 'RYD-001', propertyType: 'مسجد', endowedTo: 'الفقراء', subfolder: 'ملفات البلاغ' };
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'upload-sessions-test-'));
+  process.env.UPLOAD_TMP_DIR = tmpDir;
+});
+
+after(async () => {
+  delete process.env.UPLOAD_TMP_DIR;
+  delete process.env.UPLOAD_SESSION_TTL_HOURS;
+  delete process.env.UPLOAD_MAX_SESSIONS;
+  delete process.env.UPLOAD_SESSIONS_MAX_MB;
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  delete process.env.UPLOAD_SESSION_TTL_HOURS;
+  delete process.env.UPLOAD_MAX_SESSIONS;
+  delete process.env.UPLOAD_SESSIONS_MAX_MB;
+  await fs.promises.rm(path.join(tmpDir, 'sessions'), { recursive: true, force: true });
+});
+
+const sessionFile = (uploadId, extension) => path.join(tmpDir, 'sessions', `${uploadId}.${extension}`);
+
+const start = (input = {}) => createUploadSession({ fileName: 'scan.pdf', size: FILE.length, ...FIELDS, ...input });
+
+const send = (uploadId, offset, end) =>
+  appendUploadChunk(uploadId, offset, Readable.from([FILE.subarray(offset, end)]));
+
+// A connection that drops after `bytes` bytes of the chunk
+function droppedAfter(chunk, bytes) {
+  return Readable.from(
+    (async function* () {
+      yield chunk.subarray(0, bytes);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      throw new Error('socket hang up');
+    })()
+  );
+}
+
+async function backdate(uploadId, hours) {
+  const meta = JSON.parse(await fs.promises.readFile(sessionFile(uploadId, 'json'), 'utf8'));
+  meta.updatedAt = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  await fs.promises.writeFile(sessionFile(uploadId, 'json'), JSON.stringify(meta));
+}
+
+const rejectsWith = (promise, status, code, extra = {}) =>
+  assert.rejects(promise, (error) => {
+    assert.equal(error.status, status);
+    assert.equal(error.code, code);
+    for (const [key, value] of Object.entries(extra)) assert.equal(error[key], value);
+    return true;
+  });
+
+describe('createUploadSession', () => {
+  it('starts at offset 0', async () => {
+    const session = await start();
+    assert.match(session.uploadId, /^[a-f0-9]{32}$/);
+    assert.equal(session.offset, 0);
+    assert.equal(session.size, FILE.length);
+    assert.equal(session.fileName, 'scan.pdf');
+    assert.equal(session.mimeType, 'application/octet-stream');
+    assert.ok(session.chunkSize > 0);
+    assert.ok(Date.parse(session.expiresAt) > Date.now());
+  });
+
+  it('requires a file name, a property code and a valid size', async () => {
+    await rejectsWith(start({ fileName: ' ' }), 400, 'INVALID_UPLOAD_SESSION');
+    await rejectsWith(start({ propertyCode: '' }), 400, 'INVALID_UPLOAD_SESSION');
+    await rejectsWith(start({ size: 0 }), 400, 'INVALID_UPLOAD_SESSION');
+    await rejectsWith(start({ size: 1.5 }), 400, 'INVALID_UPLOAD_SESSION');
+    await rejectsWith(start({ size: 51 * 1024 * 1024 }), 400, 'LIMIT_FILE_SIZE');
+  });
+
+  it('refuses more than UPLOAD_MAX_SESSIONS open sessions, even started together', async () => {
+    process.env.UPLOAD_MAX_SESSIONS = '2';
+    const results = await Promise.allSettled([start(), start(), start()]);
+    assert.equal(results.filter((r) => r.status === 'fulfilled').length, 2);
+    await rejectsWith(Promise.reject(results[2].reason), 429, 'TOO_MANY_UPLOAD_SESSIONS');
+
+    // An abandoned session frees its place
+    await removeUploadSession(results[0].value.uploadId);
+    await start();
+  });
+
+  it('refuses a session past the UPLOAD_SESSIONS_MAX_MB declared by open sessions', async () => {
+    process.env.UPLOAD_SESSIONS_MAX_MB = String((2.5 * FILE.length) / (1024 * 1024));
+    const first = await start();
+    await start();
+    await rejectsWith(start(), 507, 'UPLOAD_STORAGE_FULL');
+    await start({ size: 1000 });
+
+    // A completed session only counts what is left of its file
+    await send(first.uploadId, 0, FILE.length);
+    await markUploadCompleted(first.uploadId);
+    await fs.promises.rm(sessionFile(first.uploadId, 'part'));
+    await start();
+  });
+});
+
+describe('appendUploadChunk', () => {
+  it('appends chunks sent in order', async () => {
+    const { uploadId } = await start();
+    assert.equal((await send(uploadId, 0, 4000)).offset, 4000);
+    assert.equal((await send(uploadId, 4000, 8000)).offset, 8000);
+    assert.equal((await send(uploadId, 8000, FILE.length)).offset, FILE.length);
+  });
+
+  it('refuses a chunk sent ahead of the offset (out of order)', async () => {
+    const { uploadId } = await start();
+    await send(uploadId, 0, 4000);
+
+    await rejectsWith(send(uploadId, 8000, FILE.length), 409, 'UPLOAD_OFFSET_MISMATCH', { offset: 4000 });
+    assert.equal((await getUploadSession(uploadId)).offset, 4000);
+  });
+
+  it('refuses a chunk overlapping bytes already received', async () => {
+    const { uploadId } = await start();
+    await send(uploadId, 0, 4000);
+
+    await rejectsWith(send(uploadId, 2000, 6000), 409, 'UPLOAD_OFFSET_MISMATCH', { offset: 4000 });
+    await rejectsWith(send(uploadId, 0, 4000), 409, 'UPLOAD_OFFSET_MISMATCH', { offset: 4000 });
+    await rejectsWith(send(uploadId, -1, 4000), 409, 'UPLOAD_OFFSET_MISMATCH', { offset: 4000 });
+    await rejectsWith(send(uploadId, NaN, 4000), 409, 'UPLOAD_OFFSET_MISMATCH', { offset: 4000 });
+
+    await send(uploadId, 4000, FILE.length);
+    const { file } = await getCompletedUpload(uploadId);
+    assert.deepEqual(await fs.promises.readFile(file.path), FILE);
+  });
+
+  it('refuses a second chunk while one is being received', async () => {
+    const { uploadId } = await start();
+    const slow = appendUploadChunk(uploadId, 0, droppedAfter(FILE, 1000));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    await rejectsWith(send(uploadId, 0, 4000), 409, 'UPLOAD_SESSION_BUSY');
+    await assert.rejects(slow);
+  });
+
+  it('drops a chunk that goes past the file size', async () => {
+    const { uploadId } = await start();
+    await send(uploadId, 0, 4000);
+
+    const tooLong = Readable.from([Buffer.concat([FILE.subarray(4000), Buffer.alloc(10)])]);
+    await rejectsWith(appendUploadChunk(uploadId, 4000, tooLong), 400, 'UPLOAD_CHUNK_TOO_LARGE');
+    assert.equal((await getUploadSession(uploadId)).offset, 4000);
+  });
+
+  it('keeps the bytes of a dropped chunk and resumes from the reported offset', async () => {
+    const { uploadId } = await start();
+    await send(uploadId, 0, 4000);
+
+    await assert.rejects(appendUploadChunk(uploadId, 4000, droppedAfter(FILE.subarray(4000), 1500)));
+
+    const { offset } = await getUploadSession(uploadId);
+    assert.equal(offset, 5500);
+    await send(uploadId, offset, FILE.length);
+
+    const { file } = await getCompletedUpload(uploadId);
+    assert.deepEqual(await fs.promises.readFile(file.path), FILE);
+  });
+});
+
+describe('getCompletedUpload', () => {
+  it('refuses to complete before every byte arrived', async () => {
+    const { uploadId } = await start();
+    await rejectsWith(getCompletedUpload(uploadId), 409, 'UPLOAD_INCOMPLETE', { offset: 0 });
+
+    await send(uploadId, 0, FILE.length - 1);
+    await rejectsWith(getCompletedUpload(uploadId), 409, 'UPLOAD_INCOMPLETE', { offset: FILE.length - 1 });
+  });
+
+  it('returns the assembled file like a multer upload, with the fields sent at start', async () => {
+    const draftPhotos = [{ url: 'https://example.com/a.jpg', sha256: 'a'.repeat(64) }];
+    const { uploadId } = await start({ mimeType: 'application/pdf', draftPhotos });
+    await send(uploadId, 0, FILE.length);
+
+    const { file, fields } = await getCompletedUpload(uploadId);
+    assert.equal(file.size, FILE.length);
+    assert.equal(file.originalname, 'scan.pdf');
+    assert.equal(file.mimetype, 'application/pdf');
+    assert.equal(file.sha256, crypto.createHash('sha256').update(FILE).digest('hex'));
+    assert.deepEqual(fields, { ...FIELDS, draftPhotos });
+  });
+
+  it('a session marked completed can be completed again for UPLOAD_SESSION_TTL_HOURS', async () => {
+    const { uploadId } = await start();
+    await send(uploadId, 0, FILE.length);
+    await backdate(uploadId, 23);
+
+    await markUploadCompleted(uploadId);
+    const { expiresAt } = await getUploadSession(uploadId);
+    assert.ok(Date.parse(expiresAt) > Date.now() + 23.9 * 60 * 60 * 1000);
+    assert.equal((await getCompletedUpload(uploadId)).file.size, FILE.length);
+
+    await backdate(uploadId, 25);
+    await rejectsWith(getCompletedUpload(uploadId), 404, 'UPLOAD_SESSION_NOT_FOUND');
+  });
+
+  it('is gone once the session is removed', async () => {
+    const { uploadId } = await start();
+    await send(uploadId, 0, FILE.length);
+
+    await removeUploadSession(uploadId);
+    await rejectsWith(getCompletedUpload(uploadId), 404, 'UPLOAD_SESSION_NOT_FOUND');
+    assert.equal(fs.existsSync(sessionFile(uploadId, 'part')), false);
+  });
+});
+
+describe('session expiry', () => {
+  it('forgets a session UPLOAD_SESSION_TTL_HOURS after its last chunk and deletes its files', async () => {
+    process.env.UPLOAD_SESSION_TTL_HOURS = '2';
+    const { uploadId } = await start();
+    await send(uploadId, 0, 4000);
+
+    await backdate(uploadId, 1);
+    assert.equal((await getUploadSession(uploadId)).offset, 4000);
+
+    await backdate(uploadId, 3);
+    await rejectsWith(getUploadSession(uploadId), 404, 'UPLOAD_SESSION_NOT_FOUND');
+    await rejectsWith(send(uploadId, 4000, FILE.length), 404, 'UPLOAD_SESSION_NOT_FOUND');
+    assert.equal(fs.existsSync(sessionFile(uploadId, 'json')), false);
+    assert.equal(fs.existsSync(sessionFile(uploadId, 'part')), false);
+  });
+
+  it('a new chunk restarts the countdown', async () => {
+    process.env.UPLOAD_SESSION_TTL_HOURS = '2';
+    const { uploadId } = await start();
+    await backdate(uploadId, 1.5);
+
+    const session = await send(uploadId, 0, 4000);
+    assert.ok(Date.parse(session.expiresAt) > Date.now() + 1.9 * 60 * 60 * 1000);
+  });
+
+  it('clearExpiredUploadSessions removes expired and unreadable sessions only', async () => {
+    const fresh = await start();
+    const expired = await start();
+    const unreadable = await start();
+    await backdate(expired.uploadId, 25);
+    await fs.promises.writeFile(sessionFile(unreadable.uploadId, 'json'), '{ not json');
+
+    assert.equal(await clearExpiredUploadSessions(), 2);
+
+    assert.equal((await getUploadSession(fresh.uploadId)).offset, 0);
+    for (const { uploadId } of [expired, unreadable]) {
+      await rejectsWith(getUploadSession(uploadId), 404, 'UPLOAD_SESSION_NOT_FOUND');
+      assert.equal(fs.existsSync(sessionFile(uploadId, 'part')), false);
+    }
+  });
+
+  it('starting a session clears expired ones', async () => {
+    const expired = await start();
+    await backdate(expired.uploadId, 25);
+
+    await start();
+    assert.equal(fs.existsSync(sessionFile(expired.uploadId, 'json')), false);
+  });
+});
+
+describe('session ids', () => {
+  it('answers 404 for unknown and malformed ids', async () => {
+    await rejectsWith(getUploadSession('0'.repeat(32)), 404, 'UPLOAD_SESSION_NOT_FOUND');
+    await rejectsWith(getUploadSession('../../etc/passwd'), 404, 'UPLOAD_SESSION_NOT_FOUND');
+    await rejectsWith(getCompletedUpload(''), 404, 'UPLOAD_SESSION_NOT_FOUND');
+  });
+});
@@ -1,6 +1,9 @@
 import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
+// Same ranking as the real backend, so search results match between environments
+import { nearbyProperties, rankProperties } from '../backend/src/services/propertySearch.js';
+import { withCoordinates } from '../backend/src/services/locationLinks.js';
 
 const app = express();
 const PORT = 8080;
@@ -122,29 +125,46 @@ const reports = [];
 
 // 1. Search Properties
 app.get('/api/properties', (req, res) => {
-  const searchQuery = req.query.search?.toLowerCase() || '';
+  const searchQuery = String(req.query.search || '').trim();
+  const limit = req.query.limit === undefined ? 20 : parseInt(req.query.limit, 10);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ error: 'Invalid query', message: 'limit must be between 1 and 100' });
+  }
 
   if (!searchQuery) {
     return res.json({ properties: [], total: 0 });
   }
 
-  const filteredProperties = mockProperties.filter(prop =>
-    prop.name.toLowerCase().includes(searchQuery) ||
-    prop.code.includes(searchQuery) ||
-    prop.area.toLowerCase().includes(searchQuery)
-  );
-
-  // Limit results to 20 for better performance
-  const limitedResults = filteredProperties.slice(0, 20);
+  const located = mockProperties.map((p) => withCoordinates(p, 'defaultLocationLink'));
+  const { properties, total } = rankProperties(located, searchQuery, { limit });
 
-  console.log(`🔍 Search query: "${searchQuery}" - Found ${filteredProperties.length} properties, returning ${limitedResults.length}`);
+  console.log(`🔍 Search query: "${searchQuery}" - Found ${total} properties, returning ${properties.length}`);
 
   res.json({
-    properties: limitedResults,
-    total: filteredProperties.length
+    properties,
+    total
   });
 });
 
+// 1b. Nearby Properties (GPS)
+app.get('/api/properties/nearby', (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lng = parseFloat(req.query.lng);
+  const radius = req.query.radius === undefined ? 1000 : parseFloat(req.query.radius);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || !Number.isFinite(radius) || radius <= 0) {
+    return res.status(400).json({ error: 'Invalid query', message: 'lat and lng are required (decimal degrees)' });
+  }
+
+  const located = mockProperties.map((p) => withCoordinates(p, 'defaultLocationLink'));
+  const { properties, total } = nearbyProperties(located, { lat, lng }, { radius, limit: 20 });
+
+  console.log(`📍 Nearby: ${lat},${lng} within ${radius}m - Found ${total} properties`);
+
+  res.json({ properties, total, radius });
+});
+
 // 2. Upload File
 app.post('/api/upload', upload.single('file'), (req, res) => {
   const file = req.file;
@@ -1,10 +1,16 @@
 // src/api.ts
 import {
+  DraftPhoto,
+  NearbyPropertiesResponse,
+  NextPropertyCodeResponse,
   Property,
   PropertySearchResponse,
   PropertyReport,
   ReportSubmitResponse,
+  ReportUpdateResponse,
+  StoredReport,
   UploadResponse,
+  UploadSession,
 } from './types';
 
 // Normalizes base URL and guarantees correct backend prefix:
@@ -106,14 +112,18 @@ function getFilenameFromDisposition(cd: string | null, fallback: string): string
 }
 
 /**
- * Search for properties by name/code/area/governorate/postcode
- * GET /api/properties?search=<query>
+ * Search for properties by code/name/road/area/governorate/block/building/postcode
+ * GET /api/properties?search=<query>&limit=<n>
+ * Results are ranked by the backend (best match first); limit defaults to the server's setting.
  */
-export async function searchProperties(query: string): Promise<Property[]> {
+export async function searchProperties(query: string, limit?: number): Promise<Property[]> {
   const q = query.trim();
   if (!q) return [];
 
-  const response = await fetch(buildUrl(`/properties?search=${encodeURIComponent(q)}`), {
+  const params = new URLSearchParams({ search: q });
+  if (limit) params.set('limit', String(limit));
+
+  const response = await fetch(buildUrl(`/properties?${params}`), {
     credentials: 'include',
   });
 
@@ -126,6 +136,26 @@ export async function searchProperties(query: string): Promise<Property[]> {
   return Array.isArray(data.properties) ? data.properties : [];
 }
 
+/**
+ * Properties around a GPS position, nearest first (each with `distance` in metres)
+ * GET /api/properties/nearby?lat=<lat>&lng=<lng>&radius=<metres>
+ */
+export async function getNearbyProperties(lat: number, lng: number, radius?: number): Promise<NearbyPropertiesResponse> {
+  const params = new URLSearchParams({ lat: String(lat), lng: String(lng) });
+  if (radius) params.set('radius', String(Math.round(radius)));
+
+  const response = await fetch(buildUrl(`/properties/nearby?${params}`), {
+    credentials: 'include',
+  });
+
+  if (!response.ok) {
+    const message = await parseErrorMessage(response);
+    throw new Error(`Nearby search failed: ${message}`);
+  }
+
+  return (await response.json()) as NearbyPropertiesResponse;
+}
+
 /**
  * Add a new property to the database
  * POST /api/properties
@@ -146,28 +176,198 @@ export async function addProperty(data: Partial<Property>): Promise<{ success: b
   return await response.json();
 }
 
+/**
+ * Code the backend would generate for a new property in this governorate
+ * GET /api/properties/next-code?governorate=<name>
+ */
+export async function getNextPropertyCode(governorate: string): Promise<NextPropertyCodeResponse> {
+  const params = new URLSearchParams({ governorate: governorate.trim() });
+
+  const response = await fetch(buildUrl(`/properties/next-code?${params}`), {
+    credentials: 'include',
+  });
+
+  if (!response.ok) {
+    const message = await parseErrorMessage(response);
+    throw new Error(`Failed to get next property code: ${message}`);
+  }
+
+  return (await response.json()) as NextPropertyCodeResponse;
+}
+
+// Files larger than this go through a resumable upload session instead of one POST
+const RESUMABLE_UPLOAD_MIN_SIZE = 2 * 1024 * 1024;
+// Consecutive failed attempts (dropped connection, 5xx) before an upload gives up for now
+const RESUMABLE_UPLOAD_ATTEMPTS = 6;
+
+// Resume key (idempotency key, else the file's identity) → upload session ID, so a retry continues the upload
+const uploadSessionIds = new Map<string, string>();
+
+function wait(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// null when the request did not reach the server or the connection dropped
+async function fetchOrNull(url: string, init: RequestInit): Promise<Response | null> {
+  try {
+    return await fetch(url, { credentials: 'include', ...init });
+  } catch {
+    return null;
+  }
+}
+
+async function openUploadSession(
+  resumeKey: string,
+  file: File,
+  fields: {
+    propertyCode: string;
+    propertyType: string;
+    endowedTo: string;
+    subfolder?: string;
+    draftPhotos?: DraftPhoto[];
+  }
+): Promise<UploadSession> {
+  const existingId = uploadSessionIds.get(resumeKey);
+  if (existingId) {
+    const response = await fetchOrNull(buildUrl(`/upload/sessions/${existingId}`), { method: 'GET' });
+    if (response?.ok) return (await response.json()) as UploadSession;
+    // Expired or already completed: start over
+    if (response) uploadSessionIds.delete(resumeKey);
+  }
+
+  const response = await fetchOrNull(buildUrl('/upload/sessions'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fileName: file.name, mimeType: file.type, size: file.size, ...fields }),
+  });
+  if (!response) throw new Error('Upload failed: no connection to the server');
+  if (!response.ok) throw new Error(`Upload failed: ${await parseErrorMessage(response)}`);
+
+  const session = (await response.json()) as UploadSession;
+  uploadSessionIds.set(resumeKey, session.uploadId);
+  return session;
+}
+
+/**
+ * Send the rest of the file from the session's offset, one chunk per PUT
+ * After a dropped connection or a 5xx it waits (1s, 2s, 4s...) and asks the server where to continue:
+ * part of a cut chunk may have arrived.
+ */
+async function sendUploadChunks(session: UploadSession, file: File): Promise<void> {
+  let offset = session.offset;
+  let failures = 0;
+
+  while (offset < file.size) {
+    const response = await fetchOrNull(buildUrl(`/upload/sessions/${session.uploadId}?offset=${offset}`), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: file.slice(offset, offset + session.chunkSize),
+    });
+
+    // 409: the server expects another offset (or is still writing a previous attempt)
+    if (response && (response.ok || response.status === 409)) {
+      const body = (await response.json()) as UploadSession & { code?: string };
+      if (body.code === 'UPLOAD_SESSION_BUSY') await wait(1000);
+      offset = body.offset;
+      failures = 0;
+      continue;
+    }
+    if (response && response.status < 500) throw new Error(`Upload failed: ${await parseErrorMessage(response)}`);
+
+    failures++;
+    if (failures >= RESUMABLE_UPLOAD_ATTEMPTS) {
+      throw new Error('Upload failed: connection lost, try again to resume the upload');
+    }
+    await wait(Math.min(1000 * 2 ** (failures - 1), 15000));
+
+    const status = await fetchOrNull(buildUrl(`/upload/sessions/${session.uploadId}`), { method: 'GET' });
+    if (status?.ok) offset = ((await status.json()) as UploadSession).offset;
+  }
+}
+
+/**
+ * Resumable upload: start (or resume) a session, send the chunks, then complete it
+ * POST /api/upload/sessions → PUT /api/upload/sessions/:id?offset= → POST /api/upload/sessions/:id/complete
+ */
+async function uploadFileResumable(
+  file: File,
+  fields: {
+    propertyCode: string;
+    propertyType: string;
+    endowedTo: string;
+    subfolder?: string;
+    draftPhotos?: DraftPhoto[];
+  },
+  idempotencyKey?: string
+): Promise<UploadResponse> {
+  const resumeKey =
+    idempotencyKey || [fields.propertyCode, fields.subfolder, file.name, file.size, file.lastModified].join('|');
+
+  const session = await openUploadSession(resumeKey, file, fields);
+  await sendUploadChunks(session, file);
+
+  for (let attempt = 1; ; attempt++) {
+    const response = await fetchOrNull(buildUrl(`/upload/sessions/${session.uploadId}/complete`), {
+      method: 'POST',
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
+    });
+
+    if (response?.ok) {
+      uploadSessionIds.delete(resumeKey);
+      return (await response.json()) as UploadResponse;
+    }
+    if (response && response.status < 500) {
+      uploadSessionIds.delete(resumeKey);
+      throw new Error(`Upload failed: ${await parseErrorMessage(response)}`);
+    }
+    if (attempt >= RESUMABLE_UPLOAD_ATTEMPTS) {
+      throw new Error(
+        response ? `Upload failed: ${await parseErrorMessage(response)}` : 'Upload failed: no connection to the server'
+      );
+    }
+    await wait(Math.min(1000 * 2 ** (attempt - 1), 15000));
+  }
+}
+
 /**
  * Upload a file to Google Drive
- * POST /api/upload
+ * POST /api/upload (files over 2 MB: resumable upload session, continued after a dropped connection)
+ * Same idempotencyKey on a retry → backend returns the first upload instead of a duplicate
+ * draftPhotos: photos already uploaded for the same report, checked for duplicateOf like earlier reports
  */
 export async function uploadFile(
   file: File,
   propertyCode: string,
   propertyType: string,
   endowedTo: string,
-  subfolder?: string
+  subfolder?: string,
+  idempotencyKey?: string,
+  draftPhotos: DraftPhoto[] = []
 ): Promise<UploadResponse> {
   if (!propertyCode) throw new Error('Property code is required for upload');
 
+  if (file.size > RESUMABLE_UPLOAD_MIN_SIZE) {
+    const fields = {
+      propertyCode,
+      propertyType: propertyType || '',
+      endowedTo: endowedTo || '',
+      subfolder,
+      draftPhotos,
+    };
+    return uploadFileResumable(file, fields, idempotencyKey);
+  }
+
   const formData = new FormData();
   formData.append('file', file);
   formData.append('propertyCode', propertyCode);
   formData.append('propertyType', propertyType || '');
   formData.append('endowedTo', endowedTo || '');
   if (subfolder) formData.append('subfolder', subfolder);
+  if (draftPhotos.length) formData.append('draftPhotos', JSON.stringify(draftPhotos));
 
   const response = await fetch(buildUrl('/upload'), {
     method: 'POST',
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
     body: formData,
     credentials: 'include',
   });
@@ -180,15 +380,46 @@ export async function uploadFile(
   return (await response.json()) as UploadResponse;
 }
 
+/**
+ * Move an uploaded file to the trash
+ * DELETE /api/upload/:fileId?sig=<signature>
+ * `url` is the file's link from the upload response: its `sig` (local file storage) proves the upload is ours.
+ * Returns false when a saved report uses the file (409: it is kept); a file already gone counts as deleted
+ */
+export async function deleteUploadedFile(fileId: string, url?: string | null): Promise<boolean> {
+  const sig = url ? new URL(url, window.location.href).searchParams.get('sig') : null;
+  const query = sig ? `?sig=${encodeURIComponent(sig)}` : '';
+  const response = await fetch(buildUrl(`/upload/${encodeURIComponent(fileId)}${query}`), {
+    method: 'DELETE',
+    credentials: 'include',
+  });
+
+  if (response.status === 409) return false;
+  if (!response.ok && response.status !== 404) {
+    const message = await parseErrorMessage(response);
+    throw new Error(`Delete failed: ${message}`);
+  }
+  return true;
+}
+
 /**
  * Submit a complete property report
  * POST /api/reports
+ * Same idempotencyKey on a retry → backend returns the first reportId instead of a duplicate row
+ * applyPropertyEdits → backend also copies the property details of the report to the catalogue
  */
-export async function submitReport(report: PropertyReport): Promise<ReportSubmitResponse> {
+export async function submitReport(
+  report: PropertyReport,
+  idempotencyKey?: string,
+  applyPropertyEdits = false
+): Promise<ReportSubmitResponse> {
   const response = await fetch(buildUrl('/reports'), {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(report),
+    headers: {
+      'Content-Type': 'application/json',
+      ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
+    },
+    body: JSON.stringify(applyPropertyEdits ? { ...report, applyPropertyEdits: true } : report),
     credentials: 'include',
   });
 
@@ -200,6 +431,52 @@ export async function submitReport(report: PropertyReport): Promise<ReportSubmit
   return (await response.json()) as ReportSubmitResponse;
 }
 
+/**
+ * Get a single stored report
+ * GET /api/reports/:id
+ */
+export async function getReport(reportId: string): Promise<StoredReport> {
+  if (!reportId) throw new Error('reportId is required');
+
+  const response = await fetch(buildUrl(`/reports/${encodeURIComponent(reportId)}`), {
+    credentials: 'include',
+  });
+
+  if (!response.ok) {
+    const message = await parseErrorMessage(response);
+    throw new Error(`Failed to load report: ${message}`);
+  }
+
+  return (await response.json()) as StoredReport;
+}
+
+/**
+ * Edit and resubmit an existing report (full replace)
+ * PUT /api/reports/:id
+ * editedBy is recorded in the report history
+ */
+export async function updateReport(
+  reportId: string,
+  report: PropertyReport,
+  editedBy?: string
+): Promise<ReportUpdateResponse> {
+  if (!reportId) throw new Error('reportId is required');
+
+  const response = await fetch(buildUrl(`/reports/${encodeURIComponent(reportId)}`), {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...report, editedBy: editedBy || undefined }),
+    credentials: 'include',
+  });
+
+  if (!response.ok) {
+    const message = await parseErrorMessage(response);
+    throw new Error(`Report update failed: ${message}`);
+  }
+
+  return (await response.json()) as ReportUpdateResponse;
+}
+
 /**
  * Generate exports (PDF + ZIP) on the backend and upload to Drive
  * POST /api/reports/:id/exports
@@ -1,6 +1,6 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { Property } from '../types';
-import { addProperty } from '../api';
+import { addProperty, getNextPropertyCode } from '../api';
 import './AddPropertyModal.css';
 
 interface AddPropertyModalProps {
@@ -11,6 +11,7 @@ interface AddPropertyModalProps {
 
 export default function AddPropertyModal({ open, onClose, onPropertyAdded }: AddPropertyModalProps) {
   const [formData, setFormData] = useState({
+    code: '',
     name: '',
     waqfType: '',
     propertyType: '',
@@ -24,6 +25,28 @@ export default function AddPropertyModal({ open, onClose, onPropertyAdded }: Add
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [suggestedCode, setSuggestedCode] = useState<string | null>(null);
+
+  // Preview of the generated code (it may depend on the governorate, see PROPERTY_CODE_FORMAT)
+  useEffect(() => {
+    if (!open) return;
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      getNextPropertyCode(formData.governorate)
+        .then((result) => {
+          if (!cancelled) setSuggestedCode(result.code);
+        })
+        .catch(() => {
+          if (!cancelled) setSuggestedCode(null);
+        });
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [open, formData.governorate]);
 
   const handleChange = (field: string, value: string) => {
     setFormData((prev) => ({ ...prev, [field]: value }));
@@ -34,10 +57,12 @@ export default function AddPropertyModal({ open, onClose, onPropertyAdded }: Add
     setIsSubmitting(true);
 
     try {
-      const result = await addProperty(formData);
+      // An empty code is generated by the backend
+      const result = await addProperty({ ...formData, code: formData.code.trim() || undefined });
       onPropertyAdded(result.property);
       // Reset form
       setFormData({
+        code: '',
         name: '',
         waqfType: '',
         propertyType: '',
@@ -72,6 +97,21 @@ export default function AddPropertyModal({ open, onClose, onPropertyAdded }: Add
         <div className="modal-body">
           <p className="modal-hint">جميع الحقول اختيارية | All fields are optional</p>
 
+          <div className="modal-field">
+            <label htmlFor="add-code">رمز العقار | Property Code</label>
+            <input
+              type="text"
+              id="add-code"
+              value={formData.code}
+              onChange={(e) => handleChange('code', e.target.value)}
+              placeholder={
+                suggestedCode
+                  ? `تلقائي: ${suggestedCode} | Auto: ${suggestedCode}`
+                  : 'يُنشأ تلقائياً إذا تُرك فارغاً | Generated if left empty'
+              }
+            />
+          </div>
+
           <div className="modal-field">
             <label htmlFor="add-name">اسم العقار | Property Name</label>
             <input
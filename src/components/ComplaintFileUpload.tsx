@@ -1,4 +1,5 @@
 import { ComplaintFile } from '../types';
+import { discardUploadedFile } from '../reportUtils';
 import './ComplaintFileUpload.css';
 
 interface Props {
@@ -24,6 +25,8 @@ export default function ComplaintFileUpload({ files, onFilesChange }: Props) {
   };
 
   const handleRemoveFile = (localId: string) => {
+    const fileToRemove = files.find((f) => f.localId === localId);
+    if (fileToRemove) discardUploadedFile(fileToRemove);
     onFilesChange(files.filter((f) => f.localId !== localId));
   };
 
@@ -1,5 +1,6 @@
 import { Finding } from '../types';
 import { generateId } from '../utils';
+import { discardUploadedFile } from '../reportUtils';
 import PhotoUpload from './PhotoUpload';
 import './FindingsList.css';
 
@@ -19,6 +20,7 @@ export default function FindingsList({ findings, onFindingsChange }: FindingsLis
   };
 
   const handleRemoveFinding = (id: string) => {
+    findings.find((f) => f.id === id)?.photos.forEach(discardUploadedFile);
     onFindingsChange(findings.filter((f) => f.id !== id));
   };
 
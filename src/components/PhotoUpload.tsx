@@ -1,6 +1,7 @@
 import { useRef } from 'react';
 import { UploadedPhoto } from '../types';
 import { generateId, createImagePreview, isImageFile } from '../utils';
+import { discardUploadedFile } from '../reportUtils';
 import './PhotoUpload.css';
 
 interface PhotoUploadProps {
@@ -42,6 +43,7 @@ export default function PhotoUpload({
       onPhotosChange([...photos, ...newPhotos]);
     } else {
       // Replace existing photos if not multiple
+      photos.forEach(discardUploadedFile);
       onPhotosChange(newPhotos);
     }
 
@@ -54,6 +56,7 @@ export default function PhotoUpload({
     if (photoToRemove?.previewUrl) {
       URL.revokeObjectURL(photoToRemove.previewUrl);
     }
+    if (photoToRemove) discardUploadedFile(photoToRemove);
 
     onPhotosChange(photos.filter((p) => p.localId !== localId));
   };
@@ -74,7 +77,7 @@ export default function PhotoUpload({
       <input
         ref={cameraInputRef}
         type="file"
-        accept="image/*"
+        accept="image/*,.heic,.heif"
         capture="environment"
         onChange={handleFileSelect}
         className="photo-input-hidden"
@@ -84,7 +87,7 @@ export default function PhotoUpload({
       <input
         ref={galleryInputRef}
         type="file"
-        accept="image/*"
+        accept="image/*,.heic,.heif"
         multiple={multiple}
         onChange={handleFileSelect}
         className="photo-input-hidden"
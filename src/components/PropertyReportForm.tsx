@@ -1,7 +1,20 @@
 import { useState, useMemo, useEffect } from 'react';
-import { Property, PropertyReport, Finding, Action, UploadedPhoto, ComplaintFile } from '../types';
+import { Property, PropertyReport, Finding, Action, UploadedPhoto, ComplaintFile, GpsFix } from '../types';
 import { validateReportForPdf, formatBahrainDate } from '../pdfUtils';
 import { downloadReportZip } from '../zipUtils';
+import { getReport, submitReport, updateReport } from '../api';
+import {
+  applyPropertyFormValues,
+  changedPropertyFields,
+  storedActions,
+  storedComplaintFiles,
+  storedFindings,
+  storedMainPhotos,
+  newSubmissionKey,
+  storedReportToProperty,
+  uploadPendingFiles,
+} from '../reportUtils';
+import { captureGpsFix } from '../utils';
 
 import PropertySearch from './PropertySearch';
 import PhotoUpload from './PhotoUpload';
@@ -39,6 +52,16 @@ function hasMeaningfulReportData(report: PropertyReport): boolean {
   );
 }
 
+function formatGpsFix(fix: GpsFix): string {
+  const accuracy = fix.accuracy != null ? ` (±${fix.accuracy} m)` : '';
+  const distance = fix.distance != null ? ` — ${fix.distance} m from property` : '';
+  return `${fix.latitude.toFixed(5)}, ${fix.longitude.toFixed(5)}${accuracy}${distance}`;
+}
+
+function duplicatePhotosNote(count: number): string {
+  return `${count} صورة مكررة من هذا التقرير أو من تقرير سابق للعقار | duplicate photo(s) in this or an earlier report`;
+}
+
 async function waitForPrintAssets(timeoutMs = 3000) {
   const start = Date.now();
 
@@ -108,8 +131,33 @@ export default function PropertyReportForm() {
   const [printQueued, setPrintQueued] = useState(false);
   const [isDownloadingZip, setIsDownloadingZip] = useState(false);
 
+  // Submitting: one Idempotency-Key per draft, reused when the inspector retries
+  const [submissionKey, setSubmissionKey] = useState(() => newSubmissionKey());
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [applyPropertyEdits, setApplyPropertyEdits] = useState(false);
+
+  // GPS evidence: device position when the visit starts (property selected) and at submit
+  const [visitStartLocation, setVisitStartLocation] = useState<GpsFix | null>(null);
+  const [submitLocation, setSubmitLocation] = useState<GpsFix | null>(null);
+  const [isLocatingVisit, setIsLocatingVisit] = useState(false);
+
+  // Editing an already submitted report
+  const [loadReportId, setLoadReportId] = useState('');
+  const [editingReportId, setEditingReportId] = useState<string | null>(null);
+  const [editedBy, setEditedBy] = useState('');
+  const [isLoadingReport, setIsLoadingReport] = useState(false);
+  const [isSavingReport, setIsSavingReport] = useState(false);
+  const [saveError, setSaveError] = useState<string | null>(null);
+  const [saveSuccess, setSaveSuccess] = useState<string | null>(null);
+
   const isMobile = useMemo(() => isProbablyMobile(), []);
 
+  // Property details corrected in the form, offered to be saved back to the catalogue on submit
+  const propertyEdits = useMemo(
+    () => (selectedProperty ? changedPropertyFields(selectedProperty, formData) : []),
+    [selectedProperty, formData]
+  );
+
   // Inject print styles once on mount
   useEffect(() => {
     if (typeof document === 'undefined') return;
@@ -152,6 +200,7 @@ export default function PropertyReportForm() {
 
   const handlePropertySelect = (property: Property | null) => {
     setSelectedProperty(property);
+    setApplyPropertyEdits(false);
 
     if (property) {
       setFormData((prev) => ({
@@ -167,6 +216,13 @@ export default function PropertyReportForm() {
         block: property.block || '',
         locationLink: property.defaultLocationLink || prev.locationLink,
       }));
+
+      if (!editingReportId && !visitStartLocation && !isLocatingVisit) {
+        setIsLocatingVisit(true);
+        captureGpsFix()
+          .then(setVisitStartLocation)
+          .finally(() => setIsLocatingVisit(false));
+      }
       return;
     }
 
@@ -197,6 +253,63 @@ export default function PropertyReportForm() {
     setZipError(null);
     setPrintQueued(false);
     setIsDownloadingZip(false);
+    setEditingReportId(null);
+    setSaveError(null);
+    setSaveSuccess(null);
+    setSubmissionKey(newSubmissionKey());
+    setVisitStartLocation(null);
+    setSubmitLocation(null);
+  };
+
+  const handleLoadReport = async () => {
+    const reportId = loadReportId.trim();
+    if (!reportId) {
+      setSaveError('يرجى إدخال رقم التقرير | Please enter a report ID');
+      return;
+    }
+
+    setIsLoadingReport(true);
+    setSaveError(null);
+    setSaveSuccess(null);
+
+    try {
+      const stored = await getReport(reportId);
+
+      setSelectedProperty(storedReportToProperty(stored));
+      setFormData({
+        waqfType: stored.waqfType || '',
+        propertyType: stored.propertyType || '',
+        endowedTo: stored.endowedTo || '',
+        building: stored.building || '',
+        unitNumber: stored.unitNumber || '',
+        road: stored.road || '',
+        area: stored.area || '',
+        governorate: stored.governorate || '',
+        block: stored.block || '',
+        locationDescription: stored.locationDescription || '',
+        locationLink: stored.locationLink || '',
+        floorsCount: stored.floorsCount || '',
+        flatsCount: stored.flatsCount || '',
+        additionalNotes: stored.additionalNotes || '',
+        visitType: stored.visitType || '',
+        complaint: stored.complaint || '',
+        corrector: stored.corrector || '',
+      });
+      setMainPhotos(storedMainPhotos(stored));
+      setComplaintFiles(storedComplaintFiles(stored));
+      setFindings(storedFindings(stored));
+      setActions(storedActions(stored));
+      setVisitStartLocation(stored.visitStartLocation ?? null);
+      setSubmitLocation(stored.submitLocation ?? null);
+
+      setEditingReportId(stored.reportId);
+      setLoadReportId('');
+    } catch (error) {
+      console.error('Load report error:', error);
+      setSaveError((error instanceof Error && error.message) || 'فشل تحميل التقرير | Failed to load report');
+    } finally {
+      setIsLoadingReport(false);
+    }
   };
 
   const handleInputChange = (field: string, value: string) => {
@@ -245,6 +358,9 @@ export default function PropertyReportForm() {
       actions,
 
       corrector: formData.corrector || undefined,
+
+      visitStartLocation,
+      submitLocation,
     };
   };
 
@@ -355,6 +471,108 @@ export default function PropertyReportForm() {
     }
   };
 
+  const handleSubmitReport = async () => {
+    const currentReport = buildCurrentReport();
+    if (!currentReport || editingReportId) return;
+
+    const baseValidation = validateForExport();
+    if (baseValidation) {
+      setSaveError(baseValidation);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+      return;
+    }
+
+    setIsSubmitting(true);
+    setSaveError(null);
+    setSaveSuccess(null);
+
+    try {
+      // Captured once per draft: a retry must send the same body as the first attempt
+      const submitFix = submitLocation ?? (await captureGpsFix());
+      setSubmitLocation(submitFix);
+
+      const uploaded = await uploadPendingFiles({ ...currentReport, submitLocation: submitFix }, submissionKey);
+
+      setMainPhotos(uploaded.mainPhotos);
+      setComplaintFiles(uploaded.complaintFiles);
+      setFindings(uploaded.findings);
+
+      const result = await submitReport(uploaded, submissionKey, applyPropertyEdits && propertyEdits.length > 0);
+
+      const distance = result.locationCheck?.distanceFromProperty;
+      if (submitFix && distance != null) setSubmitLocation({ ...submitFix, distance });
+
+      let propertyNote = '';
+      if (result.propertyUpdate && 'error' in result.propertyUpdate) {
+        propertyNote = ` — ⚠️ لم يتم تحديث بيانات العقار | Property catalogue not updated: ${result.propertyUpdate.error}`;
+      } else if (result.propertyUpdate && selectedProperty) {
+        setSelectedProperty(applyPropertyFormValues(selectedProperty, formData));
+        setApplyPropertyEdits(false);
+        propertyNote = ` — تم تحديث بيانات العقار | Property catalogue updated`;
+      }
+      if (result.photosBeforeVisit) {
+        propertyNote += ` — ⚠️ ${result.photosBeforeVisit} صورة ملتقطة قبل تاريخ الزيارة | photo(s) taken before the visit date`;
+      }
+      if (result.duplicatePhotos) {
+        propertyNote += ` — ⚠️ ${duplicatePhotosNote(result.duplicatePhotos)}`;
+      }
+      if (result.locationCheck?.locationFlagged) {
+        propertyNote += ` — ⚠️ تم الإرسال على بعد ${distance} م من العقار | Submitted ${distance} m from the property`;
+      }
+
+      // Further changes to this report go through "Save Changes" (PUT), not a new submission
+      setEditingReportId(result.reportId);
+      setSubmissionKey(newSubmissionKey());
+      setSaveSuccess(`تم إرسال التقرير | ${result.message} (${result.reportId})${propertyNote}`);
+    } catch (error) {
+      console.error('Submit report error:', error);
+      setSaveError(
+        (error instanceof Error && error.message) ||
+          'فشل إرسال التقرير، حاول مرة أخرى | Failed to submit report, try again'
+      );
+    } finally {
+      setIsSubmitting(false);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+  };
+
+  const handleSaveReport = async () => {
+    const currentReport = buildCurrentReport();
+    if (!currentReport || !editingReportId) return;
+
+    const baseValidation = validateForExport();
+    if (baseValidation) {
+      setSaveError(baseValidation);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+      return;
+    }
+
+    setIsSavingReport(true);
+    setSaveError(null);
+    setSaveSuccess(null);
+
+    try {
+      const uploaded = await uploadPendingFiles(currentReport, submissionKey);
+
+      // Keep the uploaded URLs so a second save does not upload the same files again
+      setMainPhotos(uploaded.mainPhotos);
+      setComplaintFiles(uploaded.complaintFiles);
+      setFindings(uploaded.findings);
+
+      const result = await updateReport(editingReportId, uploaded, editedBy.trim());
+      const duplicateNote = result.duplicatePhotos ? ` — ⚠️ ${duplicatePhotosNote(result.duplicatePhotos)}` : '';
+      setSaveSuccess(
+        `تم حفظ التعديلات | ${result.message} (${result.reportId}, revision ${result.revision})${duplicateNote}`
+      );
+    } catch (error) {
+      console.error('Save report error:', error);
+      setSaveError((error instanceof Error && error.message) || 'فشل حفظ التعديلات | Failed to save changes');
+    } finally {
+      setIsSavingReport(false);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+  };
+
   const isFormDisabled = !selectedProperty;
   const isPrintButtonDisabled = !selectedProperty || printQueued;
   const isZipButtonDisabled = !selectedProperty || isDownloadingZip;
@@ -381,8 +599,64 @@ export default function PropertyReportForm() {
           </div>
         )}
 
+        {saveError && (
+          <div className="alert alert-error" role="alert">
+            {saveError}
+          </div>
+        )}
+
+        {saveSuccess && (
+          <div className="alert alert-success" role="status">
+            {saveSuccess}
+          </div>
+        )}
+
+        {editingReportId && (
+          <div className="alert alert-success" role="status">
+            تعديل التقرير {editingReportId} | Editing report {editingReportId}
+          </div>
+        )}
+
         <PropertySearch onPropertySelect={handlePropertySelect} selectedProperty={selectedProperty} />
 
+        {isFormDisabled && (
+          <div className="section">
+            <h3 className="section-title">تعديل تقرير سابق | Edit Existing Report</h3>
+            <div className="field-group">
+              <label htmlFor="loadReportId">رقم التقرير | Report ID</label>
+              <input
+                type="text"
+                id="loadReportId"
+                value={loadReportId}
+                onChange={(e) => setLoadReportId(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    handleLoadReport();
+                  }
+                }}
+                placeholder="REPORT-001"
+                dir="ltr"
+              />
+            </div>
+            <button
+              type="button"
+              className="save-button"
+              onClick={handleLoadReport}
+              disabled={isLoadingReport || !loadReportId.trim()}
+            >
+              {isLoadingReport ? (
+                <>
+                  <span className="loading"></span>
+                  <span>جاري التحميل...</span>
+                </>
+              ) : (
+                '📂 تحميل التقرير / Load Report'
+              )}
+            </button>
+          </div>
+        )}
+
         {isFormDisabled && (
           <div className="form-disabled-message">
             يرجى اختيار العقار أولاً لإكمال التقرير
@@ -520,6 +794,32 @@ export default function PropertyReportForm() {
                   placeholder="https://maps.google.com/..."
                 />
               </div>
+
+              <div className="gps-evidence" role="status">
+                {isLocatingVisit
+                  ? 'جاري تحديد موقع الزيارة... | Capturing visit location...'
+                  : visitStartLocation
+                    ? `📍 موقع بدء الزيارة | Visit start: ${formatGpsFix(visitStartLocation)}`
+                    : 'لم يتم تسجيل موقع الجهاز | Device location not recorded'}
+                {submitLocation && <div>📍 موقع الإرسال | Submitted at: {formatGpsFix(submitLocation)}</div>}
+              </div>
+
+              {!editingReportId && propertyEdits.length > 0 && (
+                <div className="field-group checkbox-field">
+                  <label htmlFor="applyPropertyEdits">
+                    <input
+                      type="checkbox"
+                      id="applyPropertyEdits"
+                      checked={applyPropertyEdits}
+                      onChange={(e) => setApplyPropertyEdits(e.target.checked)}
+                    />
+                    <span>
+                      تحديث بيانات العقار في قاعدة البيانات عند الإرسال | Apply these property edits to the catalogue
+                      on submit ({propertyEdits.join(', ')})
+                    </span>
+                  </label>
+                </div>
+              )}
             </div>
 
             <div className="section">
@@ -629,7 +929,61 @@ export default function PropertyReportForm() {
               </div>
             </div>
 
+            {editingReportId && (
+              <div className="section">
+                <h3 className="section-title">المعدّل | Edited By</h3>
+                <div className="field-group">
+                  <label htmlFor="editedBy">اسم من قام بالتعديل | Your Name</label>
+                  <input
+                    type="text"
+                    id="editedBy"
+                    value={editedBy}
+                    onChange={(e) => setEditedBy(e.target.value)}
+                    placeholder="يظهر في سجل التعديلات | Shown in the report history"
+                  />
+                </div>
+              </div>
+            )}
+
             <div className="submit-section">
+              {!editingReportId && (
+                <button
+                  type="button"
+                  className="save-button"
+                  onClick={handleSubmitReport}
+                  disabled={isSubmitting}
+                  title="إرسال التقرير وحفظه | Submit and save the report"
+                >
+                  {isSubmitting ? (
+                    <>
+                      <span className="loading"></span>
+                      <span>جاري الإرسال...</span>
+                    </>
+                  ) : (
+                    '📤 إرسال التقرير / Submit Report'
+                  )}
+                </button>
+              )}
+
+              {editingReportId && (
+                <button
+                  type="button"
+                  className="save-button"
+                  onClick={handleSaveReport}
+                  disabled={isSavingReport}
+                  title="حفظ التعديلات على التقرير | Save changes to the report"
+                >
+                  {isSavingReport ? (
+                    <>
+                      <span className="loading"></span>
+                      <span>جاري الحفظ...</span>
+                    </>
+                  ) : (
+                    '💾 حفظ التعديلات / Save Changes'
+                  )}
+                </button>
+              )}
+
               <button
                 type="button"
                 className="pdf-button"
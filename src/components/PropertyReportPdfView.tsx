@@ -1,4 +1,4 @@
-import { PropertyReport } from '../types';
+import { GpsFix, PropertyReport } from '../types';
 import { formatFileSize } from '../utils';
 import './PropertyReportPdfView.css';
 
@@ -26,6 +26,15 @@ function buildOneLineAddress(report: PropertyReport): string {
   return [firstSegment, secondSegment, thirdSegment].filter(Boolean).join(', ');
 }
 
+function formatGpsFix(fix: GpsFix): string {
+  const accuracy = fix.accuracy != null ? ` (±${fix.accuracy} m)` : '';
+  const time = fix.capturedAt
+    ? ` — ${new Date(fix.capturedAt).toLocaleString('en-GB', { timeZone: 'Asia/Bahrain' })}`
+    : '';
+  const distance = fix.distance != null ? ` — ${fix.distance} m` : '';
+  return `${fix.latitude.toFixed(5)}, ${fix.longitude.toFixed(5)}${accuracy}${time}${distance}`;
+}
+
 export default function PropertyReportPdfView({ report, generatedDate }: PropertyReportPdfViewProps) {
   const addressLine = buildOneLineAddress(report);
 
@@ -113,7 +122,7 @@ export default function PropertyReportPdfView({ report, generatedDate }: Propert
       </section>
 
       {/* Location */}
-      {(report.locationDescription || report.locationLink) && (
+      {(report.locationDescription || report.locationLink || report.visitStartLocation || report.submitLocation) && (
         <section className="pdf-section">
           <h3 className="pdf-section-title">الموقع | Location</h3>
           {report.locationDescription && (
@@ -135,6 +144,18 @@ export default function PropertyReportPdfView({ report, generatedDate }: Propert
               </a>
             </div>
           )}
+          {report.visitStartLocation && (
+            <div className="pdf-field">
+              <span className="pdf-label">موقع بدء الزيارة | Visit Start GPS:</span>
+              <span className="pdf-value" dir="ltr">{formatGpsFix(report.visitStartLocation)}</span>
+            </div>
+          )}
+          {report.submitLocation && (
+            <div className="pdf-field">
+              <span className="pdf-label">موقع الإرسال | Submit GPS:</span>
+              <span className="pdf-value" dir="ltr">{formatGpsFix(report.submitLocation)}</span>
+            </div>
+          )}
         </section>
       )}
 
@@ -178,7 +199,7 @@ export default function PropertyReportPdfView({ report, generatedDate }: Propert
                     className="pdf-photo-link"
                   >
                     <img
-                      src={photo.previewUrl || URL.createObjectURL(photo.file)}
+                      src={photo.thumbnailUrl || photo.previewUrl || URL.createObjectURL(photo.file)}
                       alt={`Photo ${index + 1}`}
                       className="pdf-photo-thumbnail"
                     />
@@ -187,7 +208,7 @@ export default function PropertyReportPdfView({ report, generatedDate }: Propert
                 ) : (
                   <div className="pdf-photo-wrapper">
                     <img
-                      src={photo.previewUrl || URL.createObjectURL(photo.file)}
+                      src={photo.thumbnailUrl || photo.previewUrl || URL.createObjectURL(photo.file)}
                       alt={`Photo ${index + 1}`}
                       className="pdf-photo-thumbnail"
                     />
@@ -275,7 +296,7 @@ export default function PropertyReportPdfView({ report, generatedDate }: Propert
                           className="pdf-photo-link"
                         >
                           <img
-                            src={photo.previewUrl || URL.createObjectURL(photo.file)}
+                            src={photo.thumbnailUrl || photo.previewUrl || URL.createObjectURL(photo.file)}
                             alt={`Finding ${findingIndex + 1} Photo ${photoIndex + 1}`}
                             className="pdf-photo-thumbnail"
                           />
@@ -284,7 +305,7 @@ export default function PropertyReportPdfView({ report, generatedDate }: Propert
                       ) : (
                         <div className="pdf-photo-wrapper">
                           <img
-                            src={photo.previewUrl || URL.createObjectURL(photo.file)}
+                            src={photo.thumbnailUrl || photo.previewUrl || URL.createObjectURL(photo.file)}
                             alt={`Finding ${findingIndex + 1} Photo ${photoIndex + 1}`}
                             className="pdf-photo-thumbnail"
                           />
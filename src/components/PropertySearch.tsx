@@ -1,10 +1,23 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Property } from '../types';
-import { searchProperties } from '../api';
+import { getNearbyProperties, searchProperties } from '../api';
 import { debounce } from '../utils';
 import AddPropertyModal from './AddPropertyModal';
 import './PropertySearch.css';
 
+// "Near me" search radius in metres
+const NEARBY_RADIUS = 2000;
+
+function formatDistance(metres: number): string {
+  return metres < 1000 ? `${metres} م` : `${(metres / 1000).toFixed(1)} كم`;
+}
+
+function geolocationErrorMessage(err: GeolocationPositionError): string {
+  if (err.code === err.PERMISSION_DENIED) return 'تم رفض الوصول إلى الموقع. فعّل إذن الموقع في المتصفح.';
+  if (err.code === err.TIMEOUT) return 'انتهت مهلة تحديد الموقع. حاول مرة أخرى.';
+  return 'تعذر تحديد موقعك. حاول مرة أخرى.';
+}
+
 interface PropertySearchProps {
   onPropertySelect: (property: Property) => void;
   selectedProperty: Property | null;
@@ -17,16 +30,29 @@ export default function PropertySearch({ onPropertySelect, selectedProperty }: P
   const [error, setError] = useState<string | null>(null);
   const [showResults, setShowResults] = useState(false);
   const [showAddModal, setShowAddModal] = useState(false);
+  const [isLocating, setIsLocating] = useState(false);
+  const [nearbyMode, setNearbyModeState] = useState(false);
+  const nearbyModeRef = useRef(false); // read by the debounced search
+
+  const setNearbyMode = (value: boolean) => {
+    nearbyModeRef.current = value;
+    setNearbyModeState(value);
+  };
 
   // Debounced search function
   useEffect(() => {
     const debouncedSearch = debounce(async (query: string) => {
       if (!query.trim()) {
-        setSearchResults([]);
-        setShowResults(false);
+        // keep "near me" results until the user types a query
+        if (!nearbyModeRef.current) {
+          setSearchResults([]);
+          setShowResults(false);
+        }
         return;
       }
 
+      setNearbyMode(false);
+
       setIsSearching(true);
       setError(null);
 
@@ -45,11 +71,45 @@ export default function PropertySearch({ onPropertySelect, selectedProperty }: P
     debouncedSearch(searchQuery);
   }, [searchQuery]);
 
+  const handleNearMe = () => {
+    if (!('geolocation' in navigator)) {
+      setError('المتصفح لا يدعم تحديد الموقع | Geolocation is not supported');
+      return;
+    }
+
+    setIsLocating(true);
+    setError(null);
+
+    navigator.geolocation.getCurrentPosition(
+      async (position) => {
+        try {
+          const { latitude, longitude } = position.coords;
+          const result = await getNearbyProperties(latitude, longitude, NEARBY_RADIUS);
+          setSearchQuery('');
+          setNearbyMode(true);
+          setSearchResults(result.properties);
+          setShowResults(true);
+        } catch (err) {
+          setError('فشل البحث عن العقارات القريبة. حاول مرة أخرى.');
+          setSearchResults([]);
+        } finally {
+          setIsLocating(false);
+        }
+      },
+      (err) => {
+        setError(geolocationErrorMessage(err));
+        setIsLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 }
+    );
+  };
+
   const handlePropertyClick = (property: Property) => {
     onPropertySelect(property);
     setSearchQuery('');
     setShowResults(false);
     setSearchResults([]);
+    setNearbyMode(false);
   };
 
   const handleClearSelection = () => {
@@ -57,6 +117,7 @@ export default function PropertySearch({ onPropertySelect, selectedProperty }: P
     setSearchQuery('');
     setSearchResults([]);
     setShowResults(false);
+    setNearbyMode(false);
   };
 
   const handlePropertyAdded = (property: Property) => {
@@ -102,8 +163,23 @@ export default function PropertySearch({ onPropertySelect, selectedProperty }: P
             {isSearching && <span className="search-loading loading"></span>}
           </div>
 
+          <button
+            type="button"
+            className="near-me-btn secondary small"
+            onClick={handleNearMe}
+            disabled={isLocating}
+          >
+            {isLocating ? 'جاري تحديد الموقع...' : '📍 عقارات قريبة مني | Near me'}
+          </button>
+
           {error && <div className="error-message">{error}</div>}
 
+          {showResults && nearbyMode && searchResults.length > 0 && (
+            <div className="nearby-heading">
+              العقارات ضمن {formatDistance(NEARBY_RADIUS)} من موقعك | Within {NEARBY_RADIUS / 1000} km
+            </div>
+          )}
+
           {showResults && searchResults.length > 0 && (
             <div className="search-results">
               {searchResults.map((property) => (
@@ -118,13 +194,20 @@ export default function PropertySearch({ onPropertySelect, selectedProperty }: P
                   <div className="property-item-location">
                     {property.area} - {property.block}
                   </div>
+                  {property.distance !== undefined && (
+                    <div className="property-item-distance">📍 {formatDistance(property.distance)}</div>
+                  )}
                 </button>
               ))}
             </div>
           )}
 
           {showResults && searchResults.length === 0 && !isSearching && (
-            <div className="no-results">لا توجد نتائج | No results found</div>
+            <div className="no-results">
+              {nearbyMode
+                ? `لا توجد عقارات ضمن ${formatDistance(NEARBY_RADIUS)} | No properties nearby`
+                : 'لا توجد نتائج | No results found'}
+            </div>
           )}
 
           <button
@@ -0,0 +1,246 @@
+import {
+  Action,
+  ComplaintFile,
+  DraftPhoto,
+  Finding,
+  Property,
+  PropertyReport,
+  StoredReport,
+  UploadedPhoto,
+} from './types';
+import { deleteUploadedFile, uploadFile } from './api';
+import { generateId } from './utils';
+
+/**
+ * Helpers for editing a stored report in PropertyReportForm.
+ *
+ * Stored reports only keep URLs, so loaded items get an empty placeholder File
+ * (size 0) plus uploadedUrl — zipUtils already fetches those by URL.
+ */
+
+function fileNameFromUrl(url: string, fallback: string): string {
+  try {
+    const last = new URL(url).pathname.split('/').filter(Boolean).pop();
+    return last ? decodeURIComponent(last) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function photoFromUrl(url: string, fallbackName: string, stored?: StoredReport): UploadedPhoto {
+  const metadata = stored?.photoMetadata?.find((m) => m.url === url);
+  return {
+    localId: generateId(),
+    file: new File([], fileNameFromUrl(url, fallbackName)),
+    uploadedUrl: url,
+    previewUrl: metadata?.thumbnailUrl || url,
+    thumbnailUrl: metadata?.thumbnailUrl,
+    exif: metadata
+      ? {
+          capturedAt: metadata.capturedAt,
+          latitude: metadata.latitude,
+          longitude: metadata.longitude,
+          cameraMake: metadata.cameraMake,
+          cameraModel: metadata.cameraModel,
+        }
+      : undefined,
+    sha256: metadata?.sha256,
+    perceptualHash: metadata?.perceptualHash,
+  };
+}
+
+export function storedReportToProperty(stored: StoredReport): Property {
+  return {
+    id: stored.propertyId,
+    code: stored.propertyCode,
+    name: stored.propertyName,
+    waqfType: stored.waqfType,
+    propertyType: stored.propertyType,
+    endowedTo: stored.endowedTo,
+    building: stored.building,
+    unitNumber: stored.unitNumber,
+    road: stored.road,
+    area: stored.area,
+    governorate: stored.governorate,
+    block: stored.block,
+    defaultLocationLink: stored.locationLink,
+  };
+}
+
+export function storedMainPhotos(stored: StoredReport): UploadedPhoto[] {
+  return (stored.mainPhotosUrls || []).map((url, i) => photoFromUrl(url, `photo-${i + 1}.jpg`, stored));
+}
+
+export function storedComplaintFiles(stored: StoredReport): ComplaintFile[] {
+  return (stored.complaintFiles || []).map((f) => ({
+    localId: generateId(),
+    file: new File([], f.name, { type: f.type }),
+    uploadedUrl: f.url,
+    name: f.name,
+    type: f.type,
+    size: f.size,
+  }));
+}
+
+export function storedFindings(stored: StoredReport): Finding[] {
+  return (stored.findings || []).map((f, i) => ({
+    id: generateId(),
+    text: f.text || '',
+    photos: (f.photos || []).map((url, j) => photoFromUrl(url, `finding-${i + 1}-${j + 1}.jpg`, stored)),
+  }));
+}
+
+export function storedActions(stored: StoredReport): Action[] {
+  return (stored.actions || []).map((text) => ({ id: generateId(), text }));
+}
+
+/**
+ * Catalogue fields the inspector can correct in the form, as [property field, form field]
+ */
+const EDITABLE_PROPERTY_FIELDS = [
+  ['waqfType', 'waqfType'],
+  ['propertyType', 'propertyType'],
+  ['endowedTo', 'endowedTo'],
+  ['building', 'building'],
+  ['unitNumber', 'unitNumber'],
+  ['road', 'road'],
+  ['area', 'area'],
+  ['governorate', 'governorate'],
+  ['block', 'block'],
+  ['defaultLocationLink', 'locationLink'],
+] as const;
+
+type PropertyFormValues = Record<(typeof EDITABLE_PROPERTY_FIELDS)[number][1], string>;
+
+/**
+ * Property fields whose form value differs from the catalogue
+ * (empty form values are ignored, like the backend does with applyPropertyEdits)
+ */
+export function changedPropertyFields(property: Property, values: PropertyFormValues): string[] {
+  return EDITABLE_PROPERTY_FIELDS.filter(([field, formField]) => {
+    const value = values[formField].trim();
+    return value !== '' && value !== (property[field] || '').trim();
+  }).map(([field]) => field);
+}
+
+/**
+ * The property with the form values applied (what the catalogue holds after applyPropertyEdits)
+ */
+export function applyPropertyFormValues(property: Property, values: PropertyFormValues): Property {
+  const updated: Property = { ...property };
+  for (const [field, formField] of EDITABLE_PROPERTY_FIELDS) {
+    const value = values[formField].trim();
+    if (value) updated[field] = value;
+  }
+  return updated;
+}
+
+/**
+ * Key for one report submission (Idempotency-Key), kept across retries of the same draft
+ */
+export function newSubmissionKey(): string {
+  return typeof crypto !== 'undefined' && 'randomUUID' in crypto ? crypto.randomUUID() : generateId();
+}
+
+function needsUpload(item: { file: File; uploadedUrl?: string }): boolean {
+  return !item.uploadedUrl && item.file.size > 0;
+}
+
+/**
+ * Upload every file that has no uploadedUrl yet (one at a time)
+ * and return the report with uploadedUrl (and the photos' thumbnail, EXIF data and hashes) filled in.
+ * With a submissionKey, each file gets its own Idempotency-Key so a retry never uploads it twice.
+ * Each photo is sent with the hashes of the report's photos uploaded before it, so the backend also flags
+ * a photo attached twice to this report (duplicateOf).
+ */
+export async function uploadPendingFiles(report: PropertyReport, submissionKey?: string): Promise<PropertyReport> {
+  const draftPhotos: DraftPhoto[] = [...report.mainPhotos, ...report.findings.flatMap((f) => f.photos)].flatMap(
+    (photo) =>
+      photo.uploadedUrl && (photo.sha256 || photo.perceptualHash)
+        ? [{ url: photo.uploadedUrl, sha256: photo.sha256, perceptualHash: photo.perceptualHash }]
+        : []
+  );
+
+  const upload = async (file: File, subfolder: string, localId: string) => {
+    const result = await uploadFile(
+      file,
+      report.propertyCode,
+      report.propertyType,
+      report.endowedTo,
+      subfolder,
+      submissionKey ? `${submissionKey}:${localId}` : undefined,
+      draftPhotos
+    );
+    return result;
+  };
+
+  const uploadPhoto = async (photo: UploadedPhoto, subfolder: string): Promise<UploadedPhoto> => {
+    const result = await upload(photo.file, subfolder, photo.localId);
+    draftPhotos.push({ url: result.url, sha256: result.sha256, perceptualHash: result.perceptualHash });
+    return {
+      ...photo,
+      uploadedUrl: result.url,
+      fileId: result.fileId,
+      thumbnailFileId: result.thumbnailFileId ?? null,
+      originalFileId: result.originalFileId ?? null,
+      originalUrl: result.originalUrl ?? null,
+      thumbnailUrl: result.thumbnailUrl ?? null,
+      exif: result.exif ?? null,
+      sha256: result.sha256 ?? null,
+      perceptualHash: result.perceptualHash ?? null,
+    };
+  };
+
+  const mainPhotos: UploadedPhoto[] = [];
+  for (const photo of report.mainPhotos) {
+    mainPhotos.push(needsUpload(photo) ? await uploadPhoto(photo, 'الصور الرئيسية') : photo);
+  }
+
+  const complaintFiles: ComplaintFile[] = [];
+  for (const f of report.complaintFiles) {
+    if (!needsUpload(f)) {
+      complaintFiles.push(f);
+      continue;
+    }
+    const result = await upload(f.file, 'ملفات البلاغ', f.localId);
+    complaintFiles.push({ ...f, uploadedUrl: result.url, fileId: result.fileId });
+  }
+
+  const findings: Finding[] = [];
+  for (const [i, finding] of report.findings.entries()) {
+    const photos: UploadedPhoto[] = [];
+    for (const photo of finding.photos) {
+      photos.push(
+        needsUpload(photo) ? await uploadPhoto(photo, `Finding ${i + 1} - ${finding.text || 'ملاحظة'}`) : photo
+      );
+    }
+    findings.push({ ...finding, photos });
+  }
+
+  return { ...report, mainPhotos, complaintFiles, findings };
+}
+
+/**
+ * Trash a removed photo / complaint file if it was already uploaded (in the background, errors are only logged).
+ * Its thumbnail and kept HEIC original go once the file itself is gone: files of a saved report are kept.
+ * Each file is sent with its link, which carries the proof that this upload is ours.
+ */
+export function discardUploadedFile(item: {
+  fileId?: string;
+  uploadedUrl?: string;
+  thumbnailFileId?: string | null;
+  thumbnailUrl?: string | null;
+  originalFileId?: string | null;
+  originalUrl?: string | null;
+}): void {
+  const { fileId } = item;
+  if (!fileId) return;
+
+  const companions = [
+    [item.thumbnailFileId, item.thumbnailUrl],
+    [item.originalFileId, item.originalUrl],
+  ].filter((pair): pair is [string, string | null | undefined] => Boolean(pair[0]));
+  deleteUploadedFile(fileId, item.uploadedUrl)
+    .then((deleted) => (deleted ? Promise.all(companions.map(([id, url]) => deleteUploadedFile(id, url))) : undefined))
+    .catch((error) => console.warn(`Could not delete uploaded file ${fileId}:`, error));
+}
@@ -13,6 +13,12 @@ export interface Property {
   governorate: string;     // المحافظة
   block: string;           // مجمع
   defaultLocationLink?: string;
+  postcode?: string;
+  archivedAt?: string;     // set when archived: hidden from search, kept for old reports
+  updatedAt?: string;
+  latitude?: number | null;  // parsed from defaultLocationLink (null when unknown)
+  longitude?: number | null;
+  distance?: number;         // metres, only in nearby results
 }
 
 // Photo with upload status
@@ -21,6 +27,40 @@ export interface UploadedPhoto {
   file: File;
   uploadedUrl?: string;
   previewUrl?: string;
+  // From the upload response: DELETE /api/upload/:fileId when the photo is removed
+  fileId?: string;
+  thumbnailFileId?: string | null;
+  originalFileId?: string | null;
+  originalUrl?: string | null;
+  thumbnailUrl?: string | null; // from the upload response (used by the PDF)
+  exif?: PhotoExif | null; // from the upload response
+  sha256?: string | null; // from the upload response (duplicate detection)
+  perceptualHash?: string | null;
+}
+
+// EXIF metadata read by the backend from an uploaded photo
+export interface PhotoExif {
+  capturedAt: string | null; // "2024-01-15T10:23:45", camera local time unless it has an offset
+  latitude: number | null;
+  longitude: number | null;
+  cameraMake: string | null;
+  cameraModel: string | null;
+}
+
+// Earlier photo a photo repeats: same bytes ('exact') or the same picture re-encoded / resized ('similar')
+export interface PhotoDuplicate {
+  reportId: string | null;
+  url: string;
+  match: 'exact' | 'similar';
+  distance: number; // differing bits of the perceptual hashes (0–64)
+}
+
+// Photo already uploaded for the report being filled in: sent with the next uploads so a photo attached
+// twice to the same report comes back with duplicateOf
+export interface DraftPhoto {
+  url: string;
+  sha256?: string | null;
+  perceptualHash?: string | null;
 }
 
 // Finding entry (text + photos)
@@ -41,11 +81,21 @@ export interface ComplaintFile {
   localId: string;
   file: File;
   uploadedUrl?: string;
+  fileId?: string; // from the upload response
   name: string;
   type: string;
   size: number;
 }
 
+// Device position captured during a visit (distance is added by the backend)
+export interface GpsFix {
+  latitude: number;
+  longitude: number;
+  accuracy: number | null; // metres
+  capturedAt: string;
+  distance?: number | null; // metres to the property's coordinates
+}
+
 // Complete report form data
 export interface PropertyReport {
   // Property info
@@ -91,6 +141,10 @@ export interface PropertyReport {
   // Metadata
   submittedAt?: string;
   inspectorName?: string;
+
+  // GPS evidence (device position at visit start and at submit)
+  visitStartLocation?: GpsFix | null;
+  submitLocation?: GpsFix | null;
 }
 
 // API Response types
@@ -99,13 +153,114 @@ export interface PropertySearchResponse {
   total: number;
 }
 
+// GET /api/properties/nearby (nearest first)
+export interface NearbyPropertiesResponse {
+  properties: Property[];
+  total: number;
+  radius: number;
+}
+
+// GET /api/properties/next-code (a preview, the code is assigned when the property is added)
+export interface NextPropertyCodeResponse {
+  code: string;
+  format: string;
+}
+
 export interface UploadResponse {
   url: string;
   filename: string;
+  fileId: string;
+  thumbnailUrl?: string | null; // images only; url is the compressed full-size photo
+  thumbnailFileId?: string | null;
+  originalUrl?: string | null; // the .heic file of a HEIC photo stored as JPEG (HEIC_KEEP_ORIGINAL)
+  originalFileId?: string | null;
+  exif?: PhotoExif | null;
+  sha256?: string | null;
+  perceptualHash?: string | null; // images only
+  duplicateOf?: PhotoDuplicate | null; // a photo of this report (draftPhotos) or an earlier one for the property
+}
+
+// Resumable upload session (POST/GET/PUT /api/upload/sessions)
+export interface UploadSession {
+  uploadId: string;
+  fileName: string;
+  mimeType: string;
+  size: number;
+  offset: number; // bytes received so far: the next chunk starts here
+  chunkSize: number;
+  expiresAt: string;
 }
 
 export interface ReportSubmitResponse {
   success: boolean;
   reportId: string;
   message: string;
+  // Only when submitted with applyPropertyEdits
+  propertyUpdate?: { propertyId: string; changedFields: string[] } | { error: string };
+  locationCheck?: { distanceFromProperty: number | null; locationFlagged: boolean };
+  photosBeforeVisit?: number; // photos whose EXIF capture date is before the visit date
+  duplicatePhotos?: number; // photos repeating one of this report or of an earlier report for the property
+}
+
+// Report as stored by the backend (GET /api/reports/:id)
+export interface StoredReport {
+  reportId: string;
+  submitDate: string;
+  submitTime: string;
+
+  propertyId: string;
+  propertyCode: string;
+  propertyName: string;
+  waqfType: string;
+  propertyType: string;
+  endowedTo: string;
+  building: string;
+  unitNumber: string;
+  road: string;
+  area: string;
+  governorate: string;
+  block: string;
+
+  locationDescription: string;
+  locationLink: string;
+  latitude?: number | null;  // parsed from locationLink (null when unknown)
+  longitude?: number | null;
+
+  visitType: string;
+  complaint: string;
+  complaintFiles: Array<{ name: string; type: string; size: number; url: string }>;
+  mainPhotosUrls: string[];
+  findings: Array<{ text: string; photos: string[] }>;
+  actions: string[];
+
+  corrector: string;
+  inspectorName: string;
+  floorsCount?: string;
+  flatsCount?: string;
+  additionalNotes: string;
+
+  visitStartLocation?: GpsFix | null;
+  submitLocation?: GpsFix | null;
+  distanceFromProperty?: number | null;
+  locationFlagged?: boolean;
+  photoMetadata?: Array<
+    PhotoExif & {
+      url: string;
+      thumbnailUrl: string | null;
+      takenBeforeVisit: boolean;
+      sha256?: string | null;
+      perceptualHash?: string | null;
+      duplicateOf?: PhotoDuplicate | null;
+    }
+  >;
+}
+
+export interface ReportUpdateResponse {
+  success: boolean;
+  reportId: string;
+  message: string;
+  revision: number;
+  duplicatePhotos?: number;
+  exportsInvalidated: number;
+  exportsEndpoint: string;
 }
@@ -1,3 +1,5 @@
+import { GpsFix } from './types';
+
 /**
  * Generate a unique ID for local use
  */
@@ -61,7 +63,29 @@ export function formatFileSize(bytes: number): string {
 
 /**
  * Check if file is an image
+ * HEIC photos often have no MIME type outside Safari; the server stores them as JPEG
  */
 export function isImageFile(file: File): boolean {
-  return file.type.startsWith('image/');
+  return file.type.startsWith('image/') || /\.(heic|heif)$/i.test(file.name);
+}
+
+/**
+ * Current device position, or null when geolocation is unavailable, denied or too slow
+ */
+export function captureGpsFix(timeout = 15000): Promise<GpsFix | null> {
+  if (!('geolocation' in navigator)) return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    navigator.geolocation.getCurrentPosition(
+      (position) =>
+        resolve({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: Math.round(position.coords.accuracy),
+          capturedAt: new Date(position.timestamp).toISOString(),
+        }),
+      () => resolve(null),
+      { enableHighAccuracy: true, timeout, maximumAge: 0 }
+    );
+  });
 }